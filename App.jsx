@@ -1,27 +1,117 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut } from 'firebase/auth';
-import { getFirestore, doc, setDoc, addDoc, onSnapshot, query, updateDoc, deleteDoc, collection } from 'firebase/firestore';
-import { Home, LogIn, LogOut, User, Users, FileText, Trash, PlusCircle, AlertTriangle, Loader, X, Edit2 } from 'lucide-react';
+import React, { createContext, useContext, useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef, useDeferredValue } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { Home, LogIn, LogOut, User, Users, FileText, Trash, PlusCircle, AlertTriangle, Loader, X, Edit2, Check, History, GitCompare, RotateCcw, Share2, UserPlus, Eye, Globe, Lock, Bold, Italic, Heading, List, ListOrdered, Link, Code, Table, Columns, Search, ArrowUp, ArrowDown, Tag, Cloud, CloudOff, RefreshCw, MessageSquare, CornerDownRight, Download, Upload, Printer, Folder, FolderPlus, ChevronRight, ChevronDown, CheckCircle, Info, XCircle, Settings, LayoutTemplate, Activity, Paperclip, FileIcon, ImageIcon } from 'lucide-react';
+import { appId, firebaseConfig, initialAuthToken, storageBackend } from './environment.js';
+import { createFirebaseBackend, createLocalBackend, sameValue } from './backend.js';
+import {
+  INVITE_ROLES, ROLE_LABELS, getDocumentRole, canEditRole, canCommentRole, TRANSFER_FIELDS, isMoving,
+  PROFILE_LIMITS, ATTACHMENT_TYPES, ATTACHMENT_MAX_BYTES,
+} from './accessControl.js';
 
-// Define global configuration variables (MANDATORY for Canvas environment)
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// --- Storage Backends ---
+//
+// The app runs on Firebase or on a local backend offering the same APIs (see backend.js).
 
-// --- Firebase Initialization and Helpers ---
+const createBackend = () => {
+  if (firebaseConfig && storageBackend !== 'local' && storageBackend !== 'memory') {
+    try {
+      return createFirebaseBackend(firebaseConfig);
+    } catch (e) {
+      console.error("Firebase initialization failed:", e);
+      return { ...createLocalBackend(true), firebaseFailed: true };
+    }
+  }
+  return createLocalBackend(storageBackend !== 'memory');
+};
+
+const backend = createBackend();
+const { db, auth, storage } = backend;
+const {
+  doc, collection, collectionGroup, query, where, orderBy, limit, startAfter, endAt,
+  getDoc, getDocs, setDoc, updateDoc, deleteDoc, deleteField, increment, onSnapshot, writeBatch, runTransaction,
+  onAuthStateChanged, signInAnonymously, signInWithCustomToken, signOut,
+  signInWithEmailAndPassword, createUserWithEmailAndPassword, signInWithPopup, linkWithCredential, linkWithPopup,
+  EmailAuthProvider, GoogleAuthProvider, GithubAuthProvider,
+  ref: storageRef, uploadBytes, getBlob, deleteObject,
+} = backend;
+
+// --- Connection and Sync Status ---
+
+// Number of writes the server has not acknowledged yet, shared with the header indicator
+const syncTracker = { pending: 0, listeners: new Set() };
+
+const setPendingWrites = (delta) => {
+  syncTracker.pending += delta;
+  syncTracker.listeners.forEach(listener => listener(syncTracker.pending));
+};
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Firestore only resolves a write once the server has it, which never happens offline.
+// The write is queued in the persistent cache either way, so offline callers don't wait.
+const commitWrite = (promise) => {
+  setPendingWrites(1);
+  const settled = promise.finally(() => setPendingWrites(-1));
+  if (!isOffline()) return settled;
+  settled.catch(e => console.error("Queued write failed after reconnecting:", e));
+  return Promise.resolve();
+};
+
+const useSyncStatus = () => {
+  const [online, setOnline] = useState(!isOffline());
+  const [pending, setPending] = useState(syncTracker.pending);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    syncTracker.listeners.add(setPending);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      syncTracker.listeners.delete(setPending);
+    };
+  }, []);
+
+  if (!online) return { status: 'offline', pending };
+  return { status: pending > 0 ? 'syncing' : 'online', pending };
+};
+
+// Metadata edits made offline are held here instead of in Firestore's own queue,
+// so that on reconnect they can be checked against what others changed meanwhile.
+const getOfflineQueueKey = (userId) => `offline-edits:${appId}:${userId}`;
 
-let app, db, auth;
-if (firebaseConfig) {
+const loadOfflineQueue = (userId) => {
   try {
-    app = initializeApp(firebaseConfig);
-    db = getFirestore(app);
-    auth = getAuth(app);
-    // setLogLevel('Debug'); // Uncomment for verbose logging
+    return JSON.parse(localStorage.getItem(getOfflineQueueKey(userId))) || [];
   } catch (e) {
-    console.error("Firebase initialization failed:", e);
+    return [];
+  }
+};
+
+const saveOfflineQueue = (userId, queue) => {
+  if (queue.length) localStorage.setItem(getOfflineQueueKey(userId), JSON.stringify(queue));
+  else localStorage.removeItem(getOfflineQueueKey(userId));
+};
+
+// Adds an edit to the queue, folding it into an earlier edit of the same document.
+// `before` keeps the values the user saw when first changing each field.
+const queueOfflineEdit = (userId, docItem, data, revision) => {
+  const queue = loadOfflineQueue(userId);
+  const location = { id: docItem.id, isPublic: !!docItem.isPublic, ownerId: docItem.ownerId || null };
+  let edit = queue.find(e => e.location.id === location.id && e.location.isPublic === location.isPublic);
+  if (!edit) {
+    edit = { location, title: docItem.title, data: {}, before: {}, revisions: [], queuedAt: Date.now() };
+    queue.push(edit);
   }
-}
+  Object.keys(data).forEach((field) => {
+    if (!(field in edit.before)) edit.before[field] = docItem[field] === undefined ? null : docItem[field];
+  });
+  Object.assign(edit.data, data);
+  if (revision) edit.revisions.push({ ...revision, createdAt: Date.now() });
+  saveOfflineQueue(userId, queue);
+};
 
 // Function to get the correct Firestore reference for private collection
 const getPrivateCollectionRef = (userId, collectionName) => {
@@ -35,443 +125,6098 @@ const getPublicCollectionRef = (collectionName) => {
   return collection(db, `artifacts/${appId}/public/data/${collectionName}`);
 };
 
-// --- Utility Components ---
+// Function to get the reference of a single document item in either collection.
+// Private documents live under their owner's path, which is not always the current user.
+const getDocumentRef = (docItem) => {
+  const ref = docItem.isPublic
+    ? getPublicCollectionRef('documents')
+    : getPrivateCollectionRef(docItem.ownerId, 'documents');
+  return ref ? doc(ref, docItem.id) : null;
+};
 
-// Error/Message Modal (replaces alert/confirm)
-const MessageModal = ({ message, type, onClose }) => {
-    if (!message) return null;
+// Id of a document's entry in a collaborator's `sharedWithMe` index
+const getShareEntryId = (ownerId, docId) => `${ownerId}_${docId}`;
 
-    const baseClasses = "fixed inset-0 flex items-center justify-center p-4 bg-black bg-opacity-50 z-50 transition-opacity duration-300";
-    const cardClasses = "bg-white p-6 rounded-xl shadow-2xl max-w-sm w-full transform transition-all duration-300 scale-100";
-    
-    let icon, color, title;
-    switch (type) {
-        case 'error':
-            icon = <AlertTriangle className="text-red-500" size={24} />;
-            color = 'border-red-500';
-            title = 'Error';
-            break;
-        default: // info
-            icon = <User className="text-blue-500" size={24} />;
-            color = 'border-blue-500';
-            title = 'Notification';
+// Document bodies live in a single `content/body` document beside the metadata, so list
+// queries never download them. Older documents still keep `content` and `version` inline.
+const getBodyRef = (docRef) => doc(docRef, 'content', 'body');
+
+const loadDocumentBody = async (docRef) => {
+  // Offline, a body that was never cached (e.g. a document created offline) is unavailable
+  const bodySnapshot = await getDoc(getBodyRef(docRef)).catch((e) => {
+    if (e.code === 'unavailable') return null;
+    throw e;
+  });
+  if (bodySnapshot && bodySnapshot.exists()) return bodySnapshot.data();
+  const snapshot = await getDoc(docRef);
+  const data = snapshot.exists() ? snapshot.data() : {};
+  return { content: data.content || '', version: data.version || 0 };
+};
+
+const EXCERPT_LENGTH = 280;
+const MAX_KEYWORDS = 300;
+
+// Searchable summary of a body stored on the metadata document
+const summarizeContent = (content) => {
+  const keywords = new Set();
+  for (const word of content.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+    if (keywords.size >= MAX_KEYWORDS) break;
+    if (word.length > 1) keywords.add(word);
+  }
+  return { excerpt: content.slice(0, EXCERPT_LENGTH), keywords: [...keywords] };
+};
+
+// Copy of `data` without the named fields
+const omitFields = (data, names) => Object.fromEntries(Object.entries(data).filter(([name]) => !names.includes(name)));
+
+// Metadata of a new document; its body is stored separately under `content/body`
+const newDocumentData = (authorId, { title, content = '', format = 'plain', tags = [] }) => {
+  const now = Date.now();
+  return { title, ...summarizeContent(content), format, tags, authorId, acl: {}, createdAt: now, lastUpdated: now };
+};
+
+// Firestore batches hold at most 500 writes; this leaves room for a few extra
+const BATCH_SIZE = 400;
+
+// Deletes every document of a subcollection (Firestore does not cascade deletes),
+// one batch at a time
+const deleteSubcollection = async (parentRef, name) => {
+  let snapshot;
+  do {
+    snapshot = await getDocs(query(collection(parentRef, name), limit(BATCH_SIZE)));
+    if (snapshot.empty) return;
+    const batch = writeBatch(db);
+    snapshot.docs.forEach(d => batch.delete(d.ref));
+    await commitWrite(batch.commit());
+  } while (snapshot.size === BATCH_SIZE);
+};
+
+// Attached files are stored under their document's path in Cloud Storage
+const getAttachmentFileRef = (docRef, attachmentId) => storageRef(storage, `${docRef.path}/attachments/${attachmentId}`);
+
+// Deletes a document's attached files, then their metadata
+const deleteAttachments = async (docRef) => {
+  const snapshot = await getDocs(collection(docRef, 'attachments'));
+  if (storage) {
+    for (const attachment of snapshot.docs) {
+      await deleteObject(getAttachmentFileRef(docRef, attachment.id)).catch((e) => {
+        if (e.code !== 'storage/object-not-found') throw e;
+      });
     }
+  }
+  await deleteSubcollection(docRef, 'attachments');
+};
 
-    return (
-        <div className={baseClasses}>
-            <div className={`${cardClasses} border-t-4 ${color}`}>
-                <div className="flex items-start justify-between">
-                    <div className="flex items-center">
-                        {icon}
-                        <h3 className="ml-3 text-lg font-semibold text-gray-900">{title}</h3>
-                    </div>
-                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition">
-                        <X size={20} />
-                    </button>
-                </div>
-                <p className="mt-4 text-sm text-gray-700">{message}</p>
-                <div className="mt-6 flex justify-end">
-                    <button
-                        onClick={onClose}
-                        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
-                    >
-                        Close
-                    </button>
-                </div>
-            </div>
-        </div>
-    );
+// Deletes a document for good: its subcollections and attachments, collaborators'
+// shortcuts, then the document. The activity log is kept.
+const purgeDocument = async (docItem) => {
+  const docRef = getDocumentRef(docItem);
+  await deleteAttachments(docRef);
+  await deleteSubcollection(docRef, 'ops');
+  await deleteSubcollection(docRef, 'revisions');
+  await deleteSubcollection(docRef, 'content');
+  await deleteSubcollection(docRef, 'comments');
+  await deleteSubcollection(docRef, 'presence');
+  const collaborators = Object.keys(docItem.acl || {});
+  if (collaborators.length) {
+    const batch = writeBatch(db);
+    collaborators.forEach((collaboratorId) => {
+      batch.delete(doc(getPrivateCollectionRef(collaboratorId, 'sharedWithMe'), getShareEntryId(docItem.ownerId, docItem.id)));
+    });
+    await commitWrite(batch.commit());
+  }
+  await commitWrite(deleteDoc(docRef));
 };
 
-// --- Document Editor Component (Simulated/Placeholder) ---
-const DocumentEditor = ({ document, onClose, updateDocument }) => {
-    const [title, setTitle] = useState(document.title);
-    const [content, setContent] = useState(document.content);
-    const [isSaving, setIsSaving] = useState(false);
+// --- Authentication Helpers ---
 
-    const handleSave = async () => {
-        setIsSaving(true);
-        try {
-            // Note: If you want content to persist across sessions, content must be stringified/parsed for complex types
-            // but here we assume simple text content, so no JSON.stringify/parse is needed.
-            await updateDocument(document.id, { title, content }, document.isPublic);
-            // onClose(); // Optionally close after save
-        } catch (e) {
-            console.error("Save failed:", e);
-        } finally {
-            setIsSaving(false);
+const AUTH_PROVIDERS = {
+  google: { label: 'Google', create: () => new GoogleAuthProvider() },
+  github: { label: 'GitHub', create: () => new GithubAuthProvider() },
+};
+
+// Readable messages for the Firebase Auth error codes users can actually cause
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/invalid-credential': 'The email or password is incorrect.',
+  'auth/wrong-password': 'The email or password is incorrect.',
+  'auth/user-not-found': 'The email or password is incorrect.',
+  'auth/email-already-in-use': 'An account with that email already exists. Sign in to it instead.',
+  'auth/credential-already-in-use': 'That account already exists. Sign in to it instead; documents created as a guest stay with the guest ID.',
+  'auth/provider-already-linked': 'Your account is already linked to that provider.',
+  'auth/weak-password': 'The password must be at least 6 characters long.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+  'auth/popup-blocked': 'The browser blocked the sign-in window. Allow pop-ups and try again.',
+  'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+  'auth/network-request-failed': 'The network is unavailable.',
+  'auth/operation-not-supported-in-this-environment': 'This sign-in method is not available while documents are stored on this device.',
+};
+
+// --- Collaborative Editing (Operational Transform) ---
+//
+// Every content change is an operation: an array of components where a positive
+// number retains characters, a string inserts text and a negative number deletes
+// characters. Each operation spans the whole document. Operations are stored in an
+// `ops` subcollection under the document, numbered by the document's `version`.
+// A transaction only accepts an operation built on the current version, so the
+// Firestore server acts as the single source of ordering; clients transform their
+// unconfirmed operations against remote ones and retry.
+
+// Unique per browser tab, used to recognise our own operations in the log
+const clientId = crypto.randomUUID();
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isDelete = (c) => typeof c === 'number' && c < 0;
+const isInsert = (c) => typeof c === 'string';
+
+const pushRetain = (ops, n) => {
+  if (n <= 0) return;
+  const last = ops.length - 1;
+  if (isRetain(ops[last])) ops[last] += n;
+  else ops.push(n);
+};
+
+const pushInsert = (ops, str) => {
+  if (!str) return;
+  const last = ops.length - 1;
+  if (isInsert(ops[last])) {
+    ops[last] += str;
+  } else if (isDelete(ops[last])) {
+    // Keep inserts before deletes so equal operations have one representation
+    if (isInsert(ops[last - 1])) {
+      ops[last - 1] += str;
+    } else {
+      ops.splice(last, 0, str);
+    }
+  } else {
+    ops.push(str);
+  }
+};
+
+const pushDelete = (ops, n) => {
+  if (n <= 0) return;
+  const last = ops.length - 1;
+  if (isDelete(ops[last])) ops[last] -= n;
+  else ops.push(-n);
+};
+
+const isNoopOp = (op) => op.every(isRetain);
+
+const applyOp = (text, op) => {
+  let result = '';
+  let index = 0;
+  op.forEach((c) => {
+    if (isRetain(c)) {
+      result += text.slice(index, index + c);
+      index += c;
+    } else if (isInsert(c)) {
+      result += c;
+    } else {
+      index -= c;
+    }
+  });
+  if (index !== text.length) throw new Error('Operation does not match document length.');
+  return result;
+};
+
+// Builds a single replace operation from the common prefix and suffix of two texts
+const diffToOp = (oldText, newText) => {
+  let start = 0;
+  while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  const ops = [];
+  pushRetain(ops, start);
+  pushInsert(ops, newText.slice(start, newEnd));
+  pushDelete(ops, oldEnd - start);
+  pushRetain(ops, oldText.length - oldEnd);
+  return ops;
+};
+
+// Given a and b applied to the same text, returns [a', b'] such that
+// apply(apply(text, a), b') === apply(apply(text, b), a'). Inserts of `a` win ties.
+const transformOps = (a, b) => {
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0, j = 0;
+  let c1 = a[i++], c2 = b[j++];
+  while (c1 !== undefined || c2 !== undefined) {
+    if (isInsert(c1)) {
+      pushInsert(aPrime, c1);
+      pushRetain(bPrime, c1.length);
+      c1 = a[i++];
+      continue;
+    }
+    if (isInsert(c2)) {
+      pushRetain(aPrime, c2.length);
+      pushInsert(bPrime, c2);
+      c2 = b[j++];
+      continue;
+    }
+    if (c1 === undefined || c2 === undefined) throw new Error('Cannot transform operations of different lengths.');
+
+    const len1 = Math.abs(c1);
+    const len2 = Math.abs(c2);
+    const min = Math.min(len1, len2);
+    if (isRetain(c1) && isRetain(c2)) {
+      pushRetain(aPrime, min);
+      pushRetain(bPrime, min);
+    } else if (isDelete(c1) && isRetain(c2)) {
+      pushDelete(aPrime, min);
+    } else if (isRetain(c1) && isDelete(c2)) {
+      pushDelete(bPrime, min);
+    }
+    // Both deleting the same range: nothing left to do on either side
+    c1 = len1 > min ? Math.sign(c1) * (len1 - min) : a[i++];
+    c2 = len2 > min ? Math.sign(c2) * (len2 - min) : b[j++];
+  }
+  return [aPrime, bPrime];
+};
+
+// Combines a then b into one operation with the same effect
+const composeOps = (a, b) => {
+  const result = [];
+  let i = 0, j = 0;
+  let c1 = a[i++], c2 = b[j++];
+  while (c1 !== undefined || c2 !== undefined) {
+    if (isDelete(c1)) {
+      pushDelete(result, -c1);
+      c1 = a[i++];
+      continue;
+    }
+    if (isInsert(c2)) {
+      pushInsert(result, c2);
+      c2 = b[j++];
+      continue;
+    }
+    if (c1 === undefined || c2 === undefined) throw new Error('Cannot compose operations of different lengths.');
+
+    const len1 = isInsert(c1) ? c1.length : c1;
+    const len2 = Math.abs(c2);
+    const min = Math.min(len1, len2);
+    if (isRetain(c1) && isRetain(c2)) {
+      pushRetain(result, min);
+    } else if (isInsert(c1) && isRetain(c2)) {
+      pushInsert(result, c1.slice(0, min));
+    } else if (isRetain(c1) && isDelete(c2)) {
+      pushDelete(result, min);
+    }
+    // An insert followed by a delete of the same text cancels out
+    if (len1 > min) c1 = isInsert(c1) ? c1.slice(min) : c1 - min;
+    else c1 = a[i++];
+    c2 = len2 > min ? Math.sign(c2) * (len2 - min) : b[j++];
+  }
+  return result;
+};
+
+// Moves a caret position through an operation so it stays on the same text
+const transformIndex = (op, index) => {
+  let remaining = index;
+  let newIndex = index;
+  for (const c of op) {
+    if (isRetain(c)) {
+      remaining -= c;
+    } else if (isInsert(c)) {
+      newIndex += c.length;
+    } else {
+      newIndex -= Math.min(remaining, -c);
+      remaining += c;
+    }
+    if (remaining < 0) break;
+  }
+  return newIndex;
+};
+
+// How often typing rewrites the document's excerpt, keywords and `lastUpdated`
+const SUMMARY_INTERVAL = 10 * 1000;
+
+// Keeps a textarea's content in sync with the document's operation log.
+// `outstanding` is the operation submitted to Firestore and not yet seen in the log;
+// `buffer` collects local edits made while waiting for it.
+// The body is fetched when the hook mounts; `isLoaded` turns true once it arrived.
+// Offline, edits stay buffered and are sent when the connection returns; `onMerged`
+// then reports how many changes by others were merged into them.
+// The summary on the document itself is refreshed at most every SUMMARY_INTERVAL; a
+// trailing update, or leaving the document, catches it up with the last edit.
+const useCollaborativeText = (docRef, userId, onError, onMerged) => {
+  const [text, setText] = useState('');
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isSynced, setIsSynced] = useState(true);
+  const [isWaitingForNetwork, setIsWaitingForNetwork] = useState(false);
+  const textareaRef = useRef(null);
+  const pendingSelection = useRef(null);
+  const client = useRef({
+    text: '',
+    serverText: '', // Text at `serverVersion`, without local edits
+    serverVersion: 0,
+    outstanding: null,
+    outstandingId: null,
+    buffer: null,
+    sent: false,
+    offlineMerges: null, // Remote operations merged while edits waited for the network
+  });
+  const summary = useRef({ timer: null, content: null }); // Body whose summary is still to be written
+  // Read when operations arrive, so a new callback doesn't reload the body
+  const mergedHandler = useRef(onMerged);
+  mergedHandler.current = onMerged;
+
+  const flushSummary = useCallback(() => {
+    const { timer, content } = summary.current;
+    clearTimeout(timer);
+    summary.current = { timer: null, content: null };
+    if (!docRef || content === null) return;
+    commitWrite(updateDoc(docRef, { ...summarizeContent(content), lastUpdated: Date.now() })).catch((e) => {
+      console.error("Failed to update the document summary:", e);
+    });
+  }, [docRef]);
+
+  const sendOutstanding = useCallback(async () => {
+    const state = client.current;
+    if (!state.outstanding || state.sent || !docRef) return;
+    // Transactions need the server; keep the edits until the connection returns
+    if (isOffline()) {
+      if (state.offlineMerges === null) state.offlineMerges = 0;
+      setIsWaitingForNetwork(true);
+      return;
+    }
+    const op = state.outstanding;
+    const base = state.serverVersion;
+    const opId = crypto.randomUUID();
+    state.sent = true;
+    state.outstandingId = opId;
+    let deferredContent = null;
+    try {
+      await runTransaction(db, async (transaction) => {
+        const bodyRef = getBodyRef(docRef);
+        const snapshot = await transaction.get(docRef);
+        const bodySnapshot = await transaction.get(bodyRef);
+        if (!snapshot.exists()) throw new Error('The document no longer exists.');
+        const data = snapshot.data();
+        if (data.movedTo) throw new Error('The document was moved to another collection.');
+        if (isMoving(data)) throw new Error('The document is being moved to another collection.');
+        const body = bodySnapshot.exists()
+          ? bodySnapshot.data()
+          : { content: data.content || '', version: data.version || 0 };
+        if (body.version !== base) {
+          const stale = new Error('Document changed remotely.');
+          stale.code = 'stale-version';
+          throw stale;
+        }
+        const now = Date.now();
+        const content = applyOp(body.content, op);
+        transaction.set(doc(collection(docRef, 'ops'), String(base + 1)), {
+          version: base + 1,
+          ops: op,
+          opId,
+          clientId,
+          authorId: userId,
+          createdAt: now,
+        });
+        transaction.set(bodyRef, { content, version: base + 1 });
+        if (data.content === undefined && now - (data.lastUpdated || 0) < SUMMARY_INTERVAL) {
+          deferredContent = content;
+          return;
+        }
+        deferredContent = null;
+        // Also moves the body out of documents that still keep it inline
+        transaction.update(docRef, {
+          ...summarizeContent(content),
+          content: deleteField(),
+          version: deleteField(),
+          lastUpdated: now,
+        });
+      });
+      clearTimeout(summary.current.timer);
+      summary.current = deferredContent === null
+        ? { timer: null, content: null }
+        : { timer: setTimeout(flushSummary, SUMMARY_INTERVAL), content: deferredContent };
+    } catch (e) {
+      state.sent = false;
+      if (e.code === 'unavailable' || isOffline()) {
+        if (state.offlineMerges === null) state.offlineMerges = 0;
+        setIsWaitingForNetwork(true);
+        return;
+      }
+      if (e.code !== 'stale-version') {
+        console.error("Failed to sync document changes:", e);
+        onError(e);
+        return;
+      }
+      // The listener may already have delivered the newer operations; retry on top of them
+      if (state.serverVersion !== base) sendOutstanding();
+    }
+  }, [docRef, userId, onError, flushSummary]);
+
+  // Leaving the document writes a summary that is still due
+  useEffect(() => flushSummary, [flushSummary]);
+
+  // Load the body, then apply remote operations from the log in version order
+  useEffect(() => {
+    if (!docRef) return;
+    let cancelled = false;
+    let unsubscribe = null;
+
+    const handleOps = (snapshot) => {
+      const state = client.current;
+      const entries = snapshot.docChanges()
+        .filter(change => change.type === 'added')
+        .map(change => change.doc.data())
+        .sort((a, b) => a.version - b.version);
+
+      entries.forEach((entry) => {
+        if (entry.version !== state.serverVersion + 1) return; // Already applied
+
+        if (entry.opId === state.outstandingId) {
+          // Our own operation came back: it is now part of the server text
+          state.serverText = applyOp(state.serverText, state.outstanding);
+          state.serverVersion = entry.version;
+          state.outstanding = state.buffer;
+          state.outstandingId = null;
+          state.buffer = null;
+          state.sent = false;
+          if (state.offlineMerges !== null && !state.outstanding) {
+            if (state.offlineMerges > 0 && mergedHandler.current) mergedHandler.current(state.offlineMerges);
+            state.offlineMerges = null;
+          }
+          return;
+        }
+
+        let remote = entry.ops;
+        if (state.outstanding && state.offlineMerges !== null) state.offlineMerges++;
+        if (state.outstanding) {
+          [state.outstanding, remote] = transformOps(state.outstanding, remote);
+          if (state.buffer) [state.buffer, remote] = transformOps(state.buffer, remote);
+        }
+        state.text = applyOp(state.text, remote);
+        state.serverText = applyOp(state.serverText, entry.ops);
+        state.serverVersion = entry.version;
+
+        const textarea = textareaRef.current;
+        if (textarea && window.document.activeElement === textarea) {
+          pendingSelection.current = [
+            transformIndex(remote, textarea.selectionStart),
+            transformIndex(remote, textarea.selectionEnd),
+          ];
         }
+      });
+
+      setText(state.text);
+      setIsSynced(!state.outstanding);
+      sendOutstanding();
     };
 
-    return (
-        <div className="fixed inset-0 flex items-center justify-center p-4 bg-black bg-opacity-70 z-50">
-            <div className="bg-white p-8 rounded-xl shadow-2xl max-w-3xl w-full h-5/6 flex flex-col">
-                <div className="flex justify-between items-center border-b pb-4 mb-4">
-                    <h2 className="text-2xl font-bold text-blue-800">Editing Document</h2>
-                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 transition">
-                        <X size={24} />
-                    </button>
-                </div>
-                
-                <input
-                    type="text"
-                    value={title}
-                    onChange={(e) => setTitle(e.target.value)}
-                    placeholder="Document Title"
-                    className="text-xl font-semibold w-full p-2 mb-4 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-                />
-                
-                <textarea
-                    value={content}
-                    onChange={(e) => setContent(e.target.value)}
-                    placeholder="Start writing your content here..."
-                    className="flex-1 w-full p-4 mb-4 border border-gray-300 rounded-lg resize-none focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
-                />
+    loadDocumentBody(docRef).then(({ content, version }) => {
+      if (cancelled) return;
+      client.current = {
+        text: content,
+        serverText: content,
+        serverVersion: version,
+        outstanding: null,
+        outstandingId: null,
+        buffer: null,
+        sent: false,
+        offlineMerges: null,
+      };
+      setText(content);
+      setIsLoaded(true);
+      const opsQuery = query(collection(docRef, 'ops'), where('version', '>', version), orderBy('version'));
+      unsubscribe = onSnapshot(opsQuery, handleOps, (e) => {
+        console.error("Firestore operations log error:", e);
+        onError(e);
+      });
+    }).catch((e) => {
+      if (cancelled) return;
+      console.error("Failed to load document content:", e);
+      onError(e);
+    });
 
-                <div className="flex justify-end space-x-3 pt-4 border-t">
-                    <button
-                        onClick={handleSave}
-                        disabled={isSaving}
-                        className="px-6 py-3 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition disabled:opacity-50 flex items-center"
-                    >
-                        {isSaving ? <Loader className="animate-spin mr-2" size={20} /> : <Edit2 className="mr-2" size={20} />}
-                        {isSaving ? 'Saving...' : 'Save Changes'}
-                    </button>
-                    <button
-                        onClick={onClose}
-                        className="px-6 py-3 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
-                    >
-                        Cancel
-                    </button>
-                </div>
-                <p className='text-xs text-right mt-2 text-gray-500'>Last Updated: {new Date(document.lastUpdated).toLocaleTimeString()}</p>
-            </div>
-        </div>
-    );
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
+  }, [docRef, sendOutstanding, onError]);
+
+  // Retry buffered edits once the browser is back online
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsWaitingForNetwork(false);
+      sendOutstanding();
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [sendOutstanding]);
+
+  // Unsent edits count as pending writes for the header's sync indicator
+  useEffect(() => {
+    if (isSynced) return;
+    setPendingWrites(1);
+    return () => setPendingWrites(-1);
+  }, [isSynced]);
+
+  // Restore the caret after a remote change re-rendered the textarea
+  useLayoutEffect(() => {
+    const selection = pendingSelection.current;
+    if (selection && textareaRef.current) {
+      textareaRef.current.setSelectionRange(selection[0], selection[1]);
+      pendingSelection.current = null;
+    }
+  }, [text]);
+
+  const changeText = useCallback((newText) => {
+    if (!isLoaded) return;
+    const state = client.current;
+    const op = diffToOp(state.text, newText);
+    if (isNoopOp(op)) return;
+    state.text = newText;
+    setText(newText);
+    if (state.outstanding) {
+      state.buffer = state.buffer ? composeOps(state.buffer, op) : op;
+    } else {
+      state.outstanding = op;
+      sendOutstanding();
+    }
+    setIsSynced(false);
+  }, [isLoaded, sendOutstanding]);
+
+  const getServerState = useCallback(
+    () => ({ text: client.current.serverText, version: client.current.serverVersion }),
+    []
+  );
+
+  return { text, changeText, isLoaded, isSynced, isWaitingForNetwork, getServerState, textareaRef };
 };
 
+// --- Paginated Document Queries ---
 
-// --- Main App Component ---
+const DOCUMENTS_PAGE_SIZE = 25;
+const FIRST_PAGES = [{ start: null, end: null }];
+const NO_DOCS = [];
 
-const App = () => {
-  const [currentPage, setCurrentPage] = useState('dashboard');
-  const [user, setUser] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
-  const [myDocuments, setMyDocuments] = useState([]);
-  const [sharedDocuments, setSharedDocuments] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [activeDocument, setActiveDocument] = useState(null); // Document being edited
-  
-  const isUserAuthenticated = !!user;
+// Subscribes to a documents collection newest first, one page at a time.
+// Every page but the last is anchored between two cursor snapshots (startAfter/endAt)
+// instead of using a limit, so a document whose `lastUpdated` changes moves to another
+// page rather than falling between two. Loading more pins the open-ended last page to
+// its current last document and opens a new one after it; existing pages keep their
+// listeners, so earlier documents are not read again.
+const usePaginatedDocuments = (collectionRef, mapDocument, onError) => {
+  const path = collectionRef ? collectionRef.path : null;
+  const [pageState, setPageState] = useState({ path, pages: FIRST_PAGES });
+  const [pageDocs, setPageDocs] = useState({}); // listener key -> snapshot docs
+  const listeners = useRef(new Map());
+  const pages = pageState.path === path ? pageState.pages : FIRST_PAGES;
+
+  const pageKey = useCallback((index, page) => `${path}:${index}:${page.end ? page.end.id : 'tail'}`, [path]);
+
+  useEffect(() => {
+    const wanted = new Set();
+    if (collectionRef) {
+      pages.forEach((page, index) => {
+        const key = pageKey(index, page);
+        wanted.add(key);
+        if (listeners.current.has(key)) return;
+
+        const constraints = [orderBy('lastUpdated', 'desc')];
+        if (page.start) constraints.push(startAfter(page.start));
+        constraints.push(page.end ? endAt(page.end) : limit(DOCUMENTS_PAGE_SIZE));
+        listeners.current.set(key, onSnapshot(query(collectionRef, ...constraints), (snapshot) => {
+          setPageDocs(prev => ({ ...prev, [key]: snapshot.docs }));
+        }, onError));
+      });
+    }
+    listeners.current.forEach((unsubscribe, key) => {
+      if (wanted.has(key)) return;
+      unsubscribe();
+      listeners.current.delete(key);
+      setPageDocs(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    });
+  }, [collectionRef, pages, onError, pageKey]);
+
+  useEffect(() => () => {
+    listeners.current.forEach(unsubscribe => unsubscribe());
+    listeners.current.clear();
+  }, []);
+
+  const tailDocs = pageDocs[pageKey(pages.length - 1, pages[pages.length - 1])] || NO_DOCS;
+  const hasMore = tailDocs.length >= DOCUMENTS_PAGE_SIZE;
+
+  const documents = useMemo(() => {
+    const seen = new Set();
+    const result = [];
+    pages.forEach((page, index) => {
+      (pageDocs[pageKey(index, page)] || []).forEach((snapshot) => {
+        // A document changing pages can briefly show up in both
+        if (seen.has(snapshot.id)) return;
+        seen.add(snapshot.id);
+        result.push(mapDocument(snapshot));
+      });
+    });
+    return result;
+  }, [pages, pageDocs, mapDocument, pageKey]);
+
+  const loadMore = useCallback(() => {
+    const last = tailDocs[tailDocs.length - 1];
+    if (!hasMore || !last) return;
+    // Show the pinned page's documents until its new listener delivers them
+    setPageDocs(prev => ({ ...prev, [pageKey(pages.length - 1, { end: last })]: tailDocs }));
+    setPageState({
+      path,
+      pages: [...pages.slice(0, -1), { ...pages[pages.length - 1], end: last }, { start: last, end: null }],
+    });
+  }, [hasMore, tailDocs, pages, path, pageKey]);
+
+  return { documents, hasMore, loadMore };
+};
+
+// --- Version History ---
+
+// Largest LCS table diffLines builds, in cells (changed old lines times changed new lines)
+const DIFF_MAX_CELLS = 4 * 1000 * 1000;
+
+// Line-level diff (longest common subsequence) between two texts.
+// Returns entries of { type: 'same' | 'added' | 'removed', text }.
+// Beyond DIFF_MAX_CELLS the changed middle is shown as removed, then added, as a whole.
+const diffLines = (oldText, newText) => {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Common head and tail lines need no LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    return [
+      ...a.slice(0, start).map(text => ({ type: 'same', text })),
+      ...midA.map(text => ({ type: 'removed', text })),
+      ...midB.map(text => ({ type: 'added', text })),
+      ...a.slice(endA).map(text => ({ type: 'same', text })),
+    ];
+  }
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+  let i = 0, j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      result.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (j >= midB.length || (i < midA.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      result.push({ type: 'removed', text: midA[i] });
+      i++;
+    } else {
+      result.push({ type: 'added', text: midB[j] });
+      j++;
+    }
+  }
+  a.slice(endA).forEach(text => result.push({ type: 'same', text }));
+  return result;
+};
+
+// Besides the versions saved by hand, the editor records one of the content before a
+// session's first edit, and of that session's edits every AUTO_REVISION_INTERVAL and when it closes
+const AUTO_REVISION_INTERVAL = 5 * 60 * 1000;
+
+// Records `content` as an automatic revision unless the latest revision already holds it
+const recordAutoRevision = async (docRef, authorId, title, content) => {
+  const latestRevision = await getDocs(query(collection(docRef, 'revisions'), orderBy('createdAt', 'desc'), limit(1)));
+  if (!latestRevision.empty && latestRevision.docs[0].data().content === content) return;
+  await commitWrite(setDoc(doc(collection(docRef, 'revisions')), { title, content, authorId, createdAt: Date.now(), auto: true }));
+};
+
+// --- Markdown Rendering ---
+//
+// Markdown is rendered straight to React elements, never to an HTML string, so text
+// from other users' documents is always escaped. Link targets are the only attribute
+// taken from the source and go through sanitizeUrl. Images can only show the document's
+// own attachments (`![caption](attachment:id)`), never arbitrary URLs.
+
+const DOCUMENT_FORMATS = { plain: 'Plain Text', markdown: 'Markdown' };
+
+// Allows http(s), mailto and relative URLs; rejects javascript:, data: and other schemes
+const sanitizeUrl = (url) => {
+  // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+  const cleaned = url.replace(/[\u0000-\u0020\u007f]/g, '');
+  const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return cleaned;
+  return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? cleaned : null;
+};
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(!\[[^\]]*\]\(attachment:[\w-]+\))|(\[[^\]]+\]\([^)\s]+\))/;
+
+// Object URLs of the open document's image attachments, by attachment id
+const NO_ATTACHMENT_URLS = {};
+const AttachmentUrlsContext = createContext(NO_ATTACHMENT_URLS);
+
+// Outside an editor (exports, template previews) the caption stands in for the image
+const AttachmentImage = ({ attachmentId, caption }) => {
+    const urls = useContext(AttachmentUrlsContext);
+    return urls[attachmentId]
+        ? <img src={urls[attachmentId]} alt={caption} className="inline-block max-w-full my-2 rounded border border-gray-200" />
+        : <span className="text-gray-500 italic">[Image{caption ? `: ${caption}` : ''}]</span>;
+};
+
+const renderInline = (text, keyPrefix = 'i') => {
+  const nodes = [];
+  let rest = text;
+  let index = 0;
+  while (rest) {
+    const match = rest.match(INLINE_PATTERN);
+    if (!match) {
+      nodes.push(rest);
+      break;
+    }
+    if (match.index > 0) nodes.push(rest.slice(0, match.index));
+    const token = match[0];
+    const key = `${keyPrefix}-${index++}`;
+    if (match[1]) {
+      nodes.push(<code key={key} className="px-1 bg-gray-100 rounded font-mono text-sm text-red-700">{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      nodes.push(<strong key={key}>{renderInline(token.slice(2, -2), key)}</strong>);
+    } else if (match[3]) {
+      nodes.push(<em key={key}>{renderInline(token.slice(1, -1), key)}</em>);
+    } else if (match[4]) {
+      const [, caption, attachmentId] = token.match(/^!\[([^\]]*)\]\(attachment:([\w-]+)\)$/);
+      nodes.push(<AttachmentImage key={key} attachmentId={attachmentId} caption={caption} />);
+    } else {
+      const [, label, url] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      const href = sanitizeUrl(url);
+      nodes.push(href
+        ? <a key={key} href={href} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-600 underline">{renderInline(label, key)}</a>
+        : <span key={key}>{renderInline(label, key)}</span>);
+    }
+    rest = rest.slice(match.index + token.length);
+  }
+  return nodes;
+};
+
+const HEADING_CLASSES = [
+  'text-3xl font-bold mt-6 mb-3',
+  'text-2xl font-bold mt-5 mb-3',
+  'text-xl font-semibold mt-4 mb-2',
+  'text-lg font-semibold mt-4 mb-2',
+  'text-base font-semibold mt-3 mb-1',
+  'text-sm font-semibold mt-3 mb-1 uppercase text-gray-600',
+];
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+const isBlockStart = (line, nextLine) => (
+  /^```/.test(line) || /^#{1,6}\s/.test(line) || /^>/.test(line) ||
+  UNORDERED_ITEM.test(line) || ORDERED_ITEM.test(line) || /^(-{3,}|\*{3,}|_{3,})\s*$/.test(line) ||
+  (line.includes('|') && nextLine !== undefined && TABLE_DIVIDER.test(nextLine))
+);
+
+// Converts Markdown source into an array of React block elements
+const renderMarkdown = (source) => {
+  const lines = source.split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = `b-${i}`;
+
+    if (!line.trim()) {
+      i++;
+    } else if (/^```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+      i++; // Closing fence
+      blocks.push(
+        <pre key={key} className="my-3 p-3 bg-gray-900 text-gray-100 rounded-lg overflow-x-auto text-sm font-mono">
+          <code>{code.join('\n')}</code>
+        </pre>
+      );
+    } else if (/^#{1,6}\s/.test(line)) {
+      const [, hashes, text] = line.match(/^(#{1,6})\s+(.*)$/);
+      const Tag = `h${hashes.length}`;
+      blocks.push(<Tag key={key} className={HEADING_CLASSES[hashes.length - 1]}>{renderInline(text, key)}</Tag>);
+      i++;
+    } else if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+      blocks.push(<hr key={key} className="my-4 border-gray-300" />);
+      i++;
+    } else if (/^>/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^>/.test(lines[i])) quote.push(lines[i++].replace(/^>\s?/, ''));
+      blocks.push(
+        <blockquote key={key} className="my-3 pl-4 border-l-4 border-gray-300 text-gray-600 italic">
+          {renderInline(quote.join(' '), key)}
+        </blockquote>
+      );
+    } else if (UNORDERED_ITEM.test(line) || ORDERED_ITEM.test(line)) {
+      const isOrdered = ORDERED_ITEM.test(line);
+      const pattern = isOrdered ? ORDERED_ITEM : UNORDERED_ITEM;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) items.push(lines[i++].match(pattern)[1]);
+      const ListTag = isOrdered ? 'ol' : 'ul';
+      blocks.push(
+        <ListTag key={key} className={`my-3 pl-6 space-y-1 ${isOrdered ? 'list-decimal' : 'list-disc'}`}>
+          {items.map((item, n) => <li key={n}>{renderInline(item, `${key}-${n}`)}</li>)}
+        </ListTag>
+      );
+    } else if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(splitTableRow(lines[i++]));
+      blocks.push(
+        <div key={key} className="my-3 overflow-x-auto">
+          <table className="min-w-full border border-gray-300 text-sm">
+            <thead className="bg-gray-100">
+              <tr>{header.map((cell, n) => <th key={n} className="px-3 py-2 border border-gray-300 text-left font-semibold">{renderInline(cell, `${key}-h${n}`)}</th>)}</tr>
+            </thead>
+            <tbody>
+              {rows.map((row, r) => (
+                <tr key={r}>{header.map((_, n) => <td key={n} className="px-3 py-2 border border-gray-300">{renderInline(row[n] || '', `${key}-${r}-${n}`)}</td>)}</tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i], lines[i + 1]))) {
+        paragraph.push(lines[i++]);
+      }
+      blocks.push(<p key={key} className="my-2 leading-relaxed">{renderInline(paragraph.join(' '), key)}</p>);
+    }
+  }
+  return blocks;
+};
+
+// `attachmentUrls` shows the document's image attachments inline
+const MarkdownPreview = ({ source, attachmentUrls = NO_ATTACHMENT_URLS }) => {
+    const blocks = useMemo(() => renderMarkdown(source), [source]);
+    return (
+        <AttachmentUrlsContext.Provider value={attachmentUrls}>
+            <div className="flex-1 overflow-y-auto p-4 border border-gray-200 rounded-lg text-gray-800 bg-white">
+                {blocks.length ? blocks : <p className="text-gray-400 text-sm">Nothing to preview yet.</p>}
+            </div>
+        </AttachmentUrlsContext.Provider>
+    );
+};
+
+// Toolbar actions: `wrap` surrounds the selection, `prefix` starts every selected line
+const MARKDOWN_ACTIONS = [
+    { id: 'bold', label: 'Bold', icon: Bold, wrap: ['**', '**'], placeholder: 'bold text' },
+    { id: 'italic', label: 'Italic', icon: Italic, wrap: ['*', '*'], placeholder: 'italic text' },
+    { id: 'heading', label: 'Heading', icon: Heading, prefix: () => '## ' },
+    { id: 'list', label: 'Bulleted list', icon: List, prefix: () => '- ' },
+    { id: 'ordered', label: 'Numbered list', icon: ListOrdered, prefix: (n) => `${n + 1}. ` },
+    { id: 'link', label: 'Link', icon: Link, wrap: ['[', '](https://)'], placeholder: 'link text' },
+    { id: 'code', label: 'Code block', icon: Code, wrap: ['\n```\n', '\n```\n'], placeholder: 'code' },
+    { id: 'table', label: 'Table', icon: Table, wrap: ['\n| Column | Column |\n| --- | --- |\n| ', ' | Cell |\n'], placeholder: 'Cell' },
+];
+
+const MarkdownToolbar = ({ textareaRef, content, onChange }) => {
+    const applyAction = (action) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        let next, selectFrom, selectTo;
+
+        if (action.wrap) {
+            const [before, after] = action.wrap;
+            const selected = content.slice(start, end) || action.placeholder;
+            next = content.slice(0, start) + before + selected + after + content.slice(end);
+            selectFrom = start + before.length;
+            selectTo = selectFrom + selected.length;
+        } else {
+            const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+            const lines = content.slice(lineStart, end).split('\n').map((line, n) => action.prefix(n) + line);
+            const replaced = lines.join('\n');
+            next = content.slice(0, lineStart) + replaced + content.slice(end);
+            selectFrom = lineStart;
+            selectTo = lineStart + replaced.length;
+        }
+
+        onChange(next);
+        requestAnimationFrame(() => {
+            textarea.focus();
+            textarea.setSelectionRange(selectFrom, selectTo);
+        });
+    };
+
+    return (
+        <div className="flex items-center space-x-1 mb-2 p-1 border border-gray-200 rounded-lg bg-gray-50">
+            {MARKDOWN_ACTIONS.map(({ id, label, icon: Icon, ...action }) => (
+                <button
+                    key={id}
+                    type="button"
+                    onClick={() => applyAction(action)}
+                    className="p-2 text-gray-600 hover:text-blue-700 hover:bg-blue-100 rounded transition"
+                    title={label}
+                >
+                    <Icon size={16} />
+                </button>
+            ))}
+        </div>
+    );
+};
+
+// --- Search, Filtering and Sorting ---
+
+const DEFAULT_FILTERS = {
+  query: '',
+  author: 'all', // 'all' | 'mine' | 'others'
+  dateField: 'lastUpdated', // 'lastUpdated' | 'createdAt'
+  from: '', // yyyy-mm-dd
+  to: '',
+  tag: '',
+  folder: '', // '' | 'private:{folderId}' | 'public:{folderId}'
+  sortBy: 'lastUpdated', // 'relevance' | 'title' | 'createdAt' | 'lastUpdated'
+  sortDir: 'desc',
+};
+
+const SORT_COLUMNS = [['title', 'Title'], ['createdAt', 'Created'], ['lastUpdated', 'Updated']];
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenizeQuery = (query) => [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+// List items carry no body, only its excerpt and keywords (see summarizeContent). Those
+// stand in until useDocumentBodies has fetched the body; then the full text is searched.
+const getSearchableContent = (docItem) => (
+  docItem.content !== undefined ? docItem.content : `${docItem.excerpt || ''} ${(docItem.keywords || []).join(' ')}`
+);
+
+// Lower-cased copies are cached per snapshot object so typing does not re-lowercase every item
+const searchTextCache = new WeakMap();
+const getSearchText = (docItem) => {
+  let cached = searchTextCache.get(docItem);
+  if (!cached) {
+    cached = {
+      title: (docItem.title || '').toLowerCase(),
+      content: getSearchableContent(docItem).toLowerCase(),
+      excerpt: (docItem.content !== undefined ? docItem.content : docItem.excerpt || '').toLowerCase(),
+    };
+    searchTextCache.set(docItem, cached);
+  }
+  return cached;
+};
+
+// While a search is active, fetches the bodies of the listed documents, once per update
+// of each, and returns the documents with their `content` filled in as bodies arrive
+const bodiesAdded = new WeakMap(); // document -> { content, withBody }
+const useDocumentBodies = (documents, isSearching) => {
+  const [bodies, setBodies] = useState({}); // document path -> { lastUpdated, content }
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    if (!isSearching) return;
+    documents.forEach((docItem) => {
+      if (docItem.content !== undefined) return;
+      const docRef = getDocumentRef(docItem);
+      const key = `${docRef.path}@${docItem.lastUpdated}`;
+      if (requested.current.has(key)) return;
+      requested.current.add(key);
+      loadDocumentBody(docRef).then(({ content }) => {
+        setBodies(prev => ({ ...prev, [docRef.path]: { lastUpdated: docItem.lastUpdated, content } }));
+      }).catch((e) => {
+        requested.current.delete(key);
+        console.error("Failed to load a document for search:", e);
+      });
+    });
+  }, [documents, isSearching]);
+
+  return useMemo(() => {
+    if (!isSearching) return documents;
+    return documents.map((docItem) => {
+      const body = docItem.content === undefined && bodies[getDocumentRef(docItem).path];
+      if (!body) return docItem;
+      // Keep the same object per body so the search text cache holds
+      const added = bodiesAdded.get(docItem);
+      if (added && added.content === body.content) return added.withBody;
+      const withBody = { ...docItem, content: body.content };
+      bodiesAdded.set(docItem, { content: body.content, withBody });
+      return withBody;
+    });
+  }, [documents, isSearching, bodies]);
+};
+
+const countOccurrences = (text, term, limit) => {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1 && count < limit) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+// Every term must appear in the title or content. Title hits outweigh body hits.
+// Returns null for no match, or { score, snippet } with a window around the first excerpt hit.
+const matchDocument = (docItem, terms, phrase) => {
+  const text = getSearchText(docItem);
+  let score = 0;
+  let firstHit = -1;
+  for (const term of terms) {
+    const titleIndex = text.title.indexOf(term);
+    const contentHits = countOccurrences(text.content, term, 10);
+    if (titleIndex === -1 && contentHits === 0) return null;
+    if (titleIndex === 0) score += 15;
+    else if (titleIndex > 0) score += 10;
+    score += contentHits;
+    const excerptIndex = text.excerpt.indexOf(term);
+    if (excerptIndex !== -1 && (firstHit === -1 || excerptIndex < firstHit)) firstHit = excerptIndex;
+  }
+  if (terms.length > 1 && text.title.includes(phrase)) score += 20;
+
+  let snippet = '';
+  if (firstHit !== -1) {
+    const content = docItem.content !== undefined ? docItem.content : docItem.excerpt;
+    const start = Math.max(0, firstHit - SNIPPET_RADIUS);
+    const end = Math.min(content.length, firstHit + SNIPPET_RADIUS * 2);
+    snippet = `${start > 0 ? '…' : ''}${content.slice(start, end).replace(/\s+/g, ' ')}${end < content.length ? '…' : ''}`;
+  }
+  return { score, snippet };
+};
+
+// Parses a yyyy-mm-dd input value as local time (Date parses it as UTC)
+const parseDateInput = (value, endOfDay) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+    : new Date(year, month - 1, day).getTime();
+};
+
+// `folderIds`, when given, keeps only documents filed in one of those folders
+const filterDocuments = (documents, filters, userId, folderIds = null) => {
+  const terms = tokenizeQuery(filters.query);
+  const phrase = filters.query.trim().toLowerCase();
+  const from = parseDateInput(filters.from, false);
+  const to = parseDateInput(filters.to, true);
+
+  const results = [];
+  for (const docItem of documents) {
+    if (filters.author === 'mine' && docItem.authorId !== userId) continue;
+    if (filters.author === 'others' && docItem.authorId === userId) continue;
+    if (filters.tag && !(docItem.tags || []).includes(filters.tag)) continue;
+    if (folderIds && !folderIds.has(docItem.folderId)) continue;
+    const date = docItem[filters.dateField] || 0;
+    if (from !== null && date < from) continue;
+    if (to !== null && date > to) continue;
+
+    if (terms.length) {
+      const match = matchDocument(docItem, terms, phrase);
+      if (match) results.push({ ...docItem, searchMatch: match });
+    } else {
+      results.push(docItem);
+    }
+  }
+
+  const direction = filters.sortDir === 'asc' ? 1 : -1;
+  const sortBy = filters.sortBy === 'relevance' && !terms.length ? 'lastUpdated' : filters.sortBy;
+  return results.sort((a, b) => {
+    if (sortBy === 'relevance') return b.searchMatch.score - a.searchMatch.score || b.lastUpdated - a.lastUpdated;
+    if (sortBy === 'title') return direction * (a.title || '').localeCompare(b.title || '');
+    return direction * ((a[sortBy] || 0) - (b[sortBy] || 0));
+  });
+};
+
+// Wraps every occurrence of the search terms in <mark>
+const Highlight = ({ text, terms }) => {
+    if (!terms.length || !text) return text || null;
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern).map((part, index) => (
+        index % 2 === 1
+            ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part}</mark>
+            : part
+    ));
+};
+
+const DocumentFilters = ({ filters, onChange, tags }) => {
+    const update = (changes) => onChange({ ...filters, ...changes });
+    const inputClasses = "p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+    const hasFilters = Object.keys(DEFAULT_FILTERS).some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-lg border flex flex-wrap items-center gap-3">
+            <div className="relative flex-1 min-w-[16rem]">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+                <input
+                    type="search"
+                    value={filters.query}
+                    onChange={(e) => update({
+                        query: e.target.value,
+                        // Rank by relevance while searching unless the user picked a column
+                        sortBy: e.target.value && filters.sortBy === 'lastUpdated' ? 'relevance'
+                            : !e.target.value && filters.sortBy === 'relevance' ? 'lastUpdated' : filters.sortBy,
+                    })}
+                    placeholder="Search titles and content..."
+                    className={`${inputClasses} w-full pl-9`}
+                />
+            </div>
+            <select value={filters.author} onChange={(e) => update({ author: e.target.value })} className={inputClasses}>
+                <option value="all">All authors</option>
+                <option value="mine">Written by me</option>
+                <option value="others">Written by others</option>
+            </select>
+            <select value={filters.tag} onChange={(e) => update({ tag: e.target.value })} className={inputClasses}>
+                <option value="">All tags</option>
+                {tags.map(tag => <option key={tag} value={tag}>#{tag}</option>)}
+            </select>
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+                <select value={filters.dateField} onChange={(e) => update({ dateField: e.target.value })} className={inputClasses}>
+                    <option value="lastUpdated">Updated</option>
+                    <option value="createdAt">Created</option>
+                </select>
+                <input type="date" value={filters.from} onChange={(e) => update({ from: e.target.value })} className={inputClasses} aria-label="From date" />
+                <span>to</span>
+                <input type="date" value={filters.to} onChange={(e) => update({ to: e.target.value })} className={inputClasses} aria-label="To date" />
+            </div>
+            {hasFilters && (
+                <button
+                    onClick={() => onChange(DEFAULT_FILTERS)}
+                    className="px-3 py-2 text-sm font-medium text-gray-600 rounded-lg hover:bg-gray-100 transition flex items-center"
+                >
+                    <X size={16} className="mr-1" /> Clear
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Rows are rendered in pages as the list scrolls, so thousands of documents stay cheap
+const LIST_PAGE_SIZE = 50;
+
+const DocumentList = ({ title, documents, hasMore = false, onLoadMore, isPublicList, isSharedList = false, userId, filters, tagColors, onSortChange, onOpen, onMove, onDelete }) => {
+    const [visibleCount, setVisibleCount] = useState(LIST_PAGE_SIZE);
+    const terms = useMemo(() => tokenizeQuery(filters.query), [filters.query]);
+    const visibleDocuments = documents.slice(0, visibleCount);
+    const getSessions = useListPresence(visibleDocuments);
+
+    useEffect(() => {
+        setVisibleCount(LIST_PAGE_SIZE);
+    }, [filters]);
+
+    // Filters only see the pages loaded so far, and trashed documents and tombstones take
+    // up room in them too: keep loading until the list fills up or the collection runs out
+    useEffect(() => {
+        if (hasMore && documents.length < visibleCount) onLoadMore();
+    }, [hasMore, documents.length, visibleCount, onLoadMore]);
+
+    // Reveal more loaded rows first, then ask the server for the next page
+    const showMore = () => {
+        if (visibleCount < documents.length) setVisibleCount(visibleCount + LIST_PAGE_SIZE);
+        else if (hasMore) onLoadMore();
+    };
+
+    const handleScroll = (e) => {
+        const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+        if (scrollHeight - scrollTop - clientHeight < 200) showMore();
+    };
+
+    const handleSort = (column) => {
+        if (filters.sortBy === column) {
+            onSortChange(column, filters.sortDir === 'asc' ? 'desc' : 'asc');
+        } else {
+            onSortChange(column, column === 'title' ? 'asc' : 'desc');
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden border">
+            <h2 className="p-4 text-lg font-semibold text-gray-800 border-b flex items-center bg-gray-50">
+                {isPublicList ? <Users className="mr-2 text-green-600" size={20} />
+                    : isSharedList ? <Share2 className="mr-2 text-purple-600" size={20} />
+                    : <FileText className="mr-2 text-blue-600" size={20} />}
+                {title} (<span className="text-blue-600 font-extrabold">{documents.length}{hasMore && '+'}</span>)
+            </h2>
+            <div className="px-4 py-2 border-b flex space-x-3 text-xs font-medium text-gray-500">
+                {SORT_COLUMNS.map(([column, label]) => (
+                    <button
+                        key={column}
+                        onClick={() => handleSort(column)}
+                        className={`flex items-center hover:text-blue-700 transition ${filters.sortBy === column ? 'text-blue-700' : ''}`}
+                    >
+                        {label}
+                        {filters.sortBy === column && (filters.sortDir === 'asc' ? <ArrowUp size={12} className="ml-1" /> : <ArrowDown size={12} className="ml-1" />)}
+                    </button>
+                ))}
+                {filters.sortBy === 'relevance' && <span className="text-blue-700">Sorted by relevance</span>}
+            </div>
+            <div className="max-h-96 overflow-y-auto" onScroll={handleScroll}>
+                {documents.length === 0 ? (
+                    <p className="p-4 text-gray-500 text-sm">
+                        {filters.query || filters.folder ? 'No documents match your search.'
+                            : isSharedList ? 'Nobody has shared a document with you yet.'
+                            : 'No documents found. Start by creating a new one!'}
+                    </p>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {visibleDocuments.map((docItem) => {
+                            const role = getDocumentRole(docItem, userId);
+                            const canDelete = role === 'owner';
+                            // Documents shared with the user are filed in the owner's folders, not theirs
+                            const canOrganize = !isSharedList && canEditRole(role);
+                            return (
+                                <li
+                                    key={docItem.id}
+                                    draggable={canOrganize}
+                                    onDragStart={(e) => startDrag(e, { type: 'document', id: docItem.id, isPublic: !!docItem.isPublic, ownerId: docItem.ownerId || null })}
+                                    className={`flex justify-between items-center p-4 hover:bg-blue-50 transition duration-150 ${canOrganize ? 'cursor-grab' : ''}`}
+                                    title={canOrganize ? 'Drag onto a folder to file it' : undefined}
+                                >
+                                    <div className="flex-1 min-w-0 pr-4">
+                                        <p className="font-medium text-gray-900 truncate"><Highlight text={docItem.title} terms={terms} /></p>
+                                        {docItem.searchMatch && docItem.searchMatch.snippet && (
+                                            <p className="text-xs text-gray-600 line-clamp-2"><Highlight text={docItem.searchMatch.snippet} terms={terms} /></p>
+                                        )}
+                                        <p className="text-sm text-gray-500">
+                                            {(isPublicList || isSharedList) && (
+                                                <span>Author: <UserName userId={docItem.authorId} currentUserId={userId} /> | </span>
+                                            )}
+                                            {isSharedList && <span>{ROLE_LABELS[role]} | </span>}
+                                            Updated: {new Date(docItem.lastUpdated).toLocaleTimeString()}
+                                            {docItem.openComments > 0 && (
+                                                <span className="ml-2 inline-flex items-center text-purple-700" title="Unresolved comments">
+                                                    <MessageSquare size={12} className="mr-1" />{docItem.openComments}
+                                                </span>
+                                            )}
+                                        </p>
+                                        {docItem.tags && docItem.tags.length > 0 && (
+                                            <p className="mt-1 flex flex-wrap gap-1">
+                                                {docItem.tags.map(tag => (
+                                                    <span key={tag} className={`px-2 text-xs rounded-full ${getTagClasses(tagColors, tag).chip}`}>#{tag}</span>
+                                                ))}
+                                            </p>
+                                        )}
+                                    </div>
+                                    <div className="flex space-x-2 flex-shrink-0 items-center">
+                                        <PresenceAvatars sessions={getSessions(docItem)} userId={userId} max={3} />
+                                        <button 
+                                            onClick={() => onOpen(docItem)}
+                                            className="p-2 text-sm text-blue-600 hover:text-white hover:bg-blue-600 bg-blue-100 rounded-full transition shadow-sm"
+                                            title={canEditRole(role) ? 'Edit Document' : 'View Document'}
+                                        >
+                                            {canEditRole(role) ? <Edit2 size={16} /> : <Eye size={16} />}
+                                        </button>
+                                        {canDelete && (
+                                            <button 
+                                                onClick={() => onMove(docItem, !docItem.isPublic)}
+                                                className="p-2 text-sm text-gray-600 hover:text-white hover:bg-gray-600 bg-gray-100 rounded-full transition shadow-sm"
+                                                title={docItem.isPublic ? 'Make Private' : 'Publish'}
+                                            >
+                                                {docItem.isPublic ? <Lock size={16} /> : <Globe size={16} />}
+                                            </button>
+                                        )}
+                                        {canDelete && (
+                                            <button 
+                                                onClick={() => onDelete(docItem)}
+                                                className="p-2 text-sm text-red-600 hover:text-white hover:bg-red-600 bg-red-100 rounded-full transition shadow-sm"
+                                                title="Move to Trash"
+                                            >
+                                                <Trash size={16} />
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+                {(visibleCount < documents.length || hasMore) && (
+                    <button
+                        onClick={showMore}
+                        className="w-full p-3 text-sm text-blue-600 hover:bg-blue-50 transition"
+                    >
+                        {visibleCount < documents.length ? `Show more (${documents.length - visibleCount} remaining)` : 'Load older documents'}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Import and Export ---
+
+// Formats files are imported as; HTML is converted to Markdown on the way in
+const IMPORT_FORMATS = { md: 'markdown', markdown: 'markdown', txt: 'plain', html: 'markdown', htm: 'markdown' };
+// The body document must stay below Firestore's 1 MiB limit
+const IMPORT_MAX_BYTES = 900 * 1024;
+const BACKUP_FORMAT = 'collaborative-documents-backup';
+// Version 2 added attachments, their files inlined as base64
+const BACKUP_VERSION = 2;
+
+const getFileExtension = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+
+// Backups carry attachment files as base64 text
+const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const base64ToBlob = (text, contentType) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: contentType });
+};
+
+const toFileName = (title, extension) => `${(title || 'document').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'document'}.${extension}`;
+
+const downloadFile = (fileName, contents, mimeType) => {
+  const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+  const link = window.document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'BODY',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'PRE', 'TABLE', 'BLOCKQUOTE', 'HR']);
+
+// Converts the parts of HTML the Markdown renderer understands; everything else becomes text.
+// Parsing happens in an inert document, so nothing in the file runs.
+const htmlToMarkdown = (html) => {
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  parsed.querySelectorAll('script, style, noscript, template, iframe, object').forEach(node => node.remove());
+
+  const inline = (node) => [...node.childNodes].map(convertInline).join('');
+  const convertInline = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    const text = inline(node);
+    switch (node.tagName) {
+      case 'STRONG':
+      case 'B':
+        return text.trim() ? `**${text.trim()}**` : text;
+      case 'EM':
+      case 'I':
+        return text.trim() ? `*${text.trim()}*` : text;
+      case 'CODE':
+        return `\`${node.textContent}\``;
+      case 'A': {
+        const href = sanitizeUrl(node.getAttribute('href') || '');
+        return href ? `[${text.trim()}](${href})` : text;
+      }
+      case 'BR':
+        return '\n';
+      case 'IMG':
+        return node.getAttribute('alt') || '';
+      default:
+        return text;
+    }
+  };
+  const cells = (row) => `| ${row.join(' | ')} |`;
+
+  const blocks = [];
+  const convertBlocks = (container) => {
+    let run = '';
+    const flush = () => {
+      const text = run.split('\n').map(line => line.trim()).join('\n').trim();
+      if (text) blocks.push(text);
+      run = '';
+    };
+    container.childNodes.forEach((node) => {
+      if (node.nodeType !== Node.ELEMENT_NODE || !BLOCK_TAGS.has(node.tagName)) {
+        run += convertInline(node);
+        return;
+      }
+      flush();
+      const tag = node.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        blocks.push(`${'#'.repeat(Number(tag[1]))} ${inline(node).trim()}`);
+      } else if (tag === 'UL' || tag === 'OL') {
+        const items = [...node.children].filter(item => item.tagName === 'LI');
+        blocks.push(items.map((item, n) => `${tag === 'OL' ? `${n + 1}.` : '-'} ${inline(item).trim()}`).join('\n'));
+      } else if (tag === 'PRE') {
+        blocks.push('```\n' + node.textContent.replace(/\n$/, '') + '\n```');
+      } else if (tag === 'TABLE') {
+        const rows = [...node.querySelectorAll('tr')].map(tr => [...tr.children].map(cell => inline(cell).trim().replace(/\|/g, '/')));
+        if (rows.length) blocks.push([cells(rows[0]), cells(rows[0].map(() => '---')), ...rows.slice(1).map(cells)].join('\n'));
+      } else if (tag === 'BLOCKQUOTE') {
+        blocks.push(`> ${inline(node).trim()}`);
+      } else if (tag === 'HR') {
+        blocks.push('---');
+      } else {
+        convertBlocks(node);
+      }
+    });
+    flush();
+  };
+  convertBlocks(parsed.body);
+
+  return { title: parsed.title.trim(), content: blocks.join('\n\n') };
+};
+
+// Reads a dropped or picked file into a new document's title, content and format
+const readImportFile = async (file) => {
+  const extension = getFileExtension(file.name);
+  const format = IMPORT_FORMATS[extension];
+  if (!format) throw new Error(`'${file.name}' is not a .md, .txt or .html file.`);
+  if (file.size > IMPORT_MAX_BYTES) throw new Error(`'${file.name}' is larger than ${Math.round(IMPORT_MAX_BYTES / 1024)} KB.`);
+  const text = await file.text();
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  if (extension === 'html' || extension === 'htm') {
+    const { title, content } = htmlToMarkdown(text);
+    return { title: title || baseName, content, format };
+  }
+  return { title: baseName, content: text, format };
+};
+
+const EXPORT_STYLES = `
+  body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.6; }
+  pre { background: #111827; color: #f3f4f6; padding: 0.75rem; border-radius: 0.5rem; overflow-x: auto; }
+  code { font-family: ui-monospace, monospace; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.75rem; text-align: left; }
+  blockquote { margin-left: 0; padding-left: 1rem; border-left: 4px solid #d1d5db; color: #4b5563; }
+  .plain { white-space: pre-wrap; font-family: ui-monospace, monospace; }
+  @media print { body { margin: 0; } }
+`;
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// A standalone page with the document, rendered by the same code as the preview
+const renderDocumentHtml = (title, content, format) => {
+  const body = format === 'markdown'
+    ? renderToStaticMarkup(<>{renderMarkdown(content)}</>)
+    : `<div class="plain">${escapeHtml(content)}</div>`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${EXPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+};
+
+// Prints through a hidden frame, where the browser offers "Save as PDF"
+const printDocument = (html) => {
+  const frame = window.document.createElement('iframe');
+  frame.className = 'hidden';
+  frame.srcdoc = html;
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  window.document.body.appendChild(frame);
+};
+
+// Commits writes in batches of BATCH_SIZE. Each write is [ref, data, options];
+// null data deletes the document.
+const commitInChunks = async (writes) => {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_SIZE).forEach(([ref, data, options = {}]) => (
+      data === null ? batch.delete(ref) : batch.set(ref, data, options)
+    ));
+    await commitWrite(batch.commit());
+  }
+};
+
+// Drop zone and file picker for imports, plus workspace backup and restore
+const ImportPanel = ({ loading, onImport, onBackup, onRestore }) => {
+    const [isPublic, setIsPublic] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const fileInputRef = useRef(null);
+    const backupInputRef = useRef(null);
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (e.dataTransfer.files.length) onImport([...e.dataTransfer.files], isPublic);
+    };
+
+    const handleFiles = (e) => {
+        if (e.target.files.length) onImport([...e.target.files], isPublic);
+        e.target.value = '';
+    };
+
+    const handleBackupFile = (e) => {
+        if (e.target.files[0]) onRestore(e.target.files[0]);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="p-6 bg-white rounded-xl shadow-lg border border-gray-100">
+            <h2 className="text-xl font-bold mb-4 text-gray-800 flex items-center">
+                <Upload className="mr-2 text-blue-600" size={20} /> Import & Backup
+            </h2>
+            <div
+                onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                className={`p-6 mb-4 border-2 border-dashed rounded-lg text-center text-sm transition ${
+                    isDragging ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500'
+                }`}
+            >
+                Drop .md, .txt or .html files here, or{' '}
+                <button onClick={() => fileInputRef.current.click()} className="font-medium text-blue-600 hover:text-blue-800 transition">
+                    browse
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    accept=".md,.markdown,.txt,.html,.htm"
+                    onChange={handleFiles}
+                    className="hidden"
+                />
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center text-sm font-medium text-gray-700 mr-auto">
+                    <input
+                        type="checkbox"
+                        checked={isPublic}
+                        onChange={(e) => setIsPublic(e.target.checked)}
+                        className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    Import into the Shared Public Files
+                </label>
+                <button
+                    onClick={onBackup}
+                    disabled={loading}
+                    className="px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition disabled:opacity-50 flex items-center"
+                >
+                    <Download className="mr-1" size={16} /> Back Up Workspace
+                </button>
+                <button
+                    onClick={() => backupInputRef.current.click()}
+                    disabled={loading}
+                    className="px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition disabled:opacity-50 flex items-center"
+                >
+                    <Upload className="mr-1" size={16} /> Restore Backup
+                </button>
+                <input ref={backupInputRef} type="file" accept=".json,application/json" onChange={handleBackupFile} className="hidden" />
+            </div>
+        </div>
+    );
+};
+
+// --- Templates ---
+//
+// New documents can start from a template: the built-in ones below, the user's own
+// (`users/{userId}/templates`) or ones shared with everyone (`public/data/templates`).
+// {{title}}, {{author}}, {{date}} and {{time}} are filled in when the document is created.
+
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(title|author|date|time)\s*\}\}/g;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'blank',
+    name: 'Blank',
+    description: 'An empty plain-text document.',
+    title: '',
+    content: '',
+    format: 'plain',
+    tags: [],
+  },
+  {
+    id: 'project-proposal',
+    name: 'Project Proposal',
+    description: 'Problem, goals, plan and risks of a new project.',
+    title: 'Project Proposal',
+    content: '# {{title}}\n\n**Author:** {{author}}  \n**Date:** {{date}}\n\n## Problem\n\nWhat is wrong today, and who is affected?\n\n## Goals\n\n- \n\n## Non-goals\n\n- \n\n## Plan\n\n| Milestone | Owner | Due |\n| --- | --- | --- |\n|  |  |  |\n\n## Risks\n\n- \n',
+    format: 'markdown',
+    tags: ['proposal'],
+  },
+  {
+    id: 'meeting-notes',
+    name: 'Meeting Notes',
+    description: 'Attendees, agenda, decisions and action items.',
+    title: 'Meeting Notes {{date}}',
+    content: '# {{title}}\n\n**Date:** {{date}} {{time}}  \n**Notes by:** {{author}}\n\n## Attendees\n\n- \n\n## Agenda\n\n1. \n\n## Decisions\n\n- \n\n## Action Items\n\n- [ ] \n',
+    format: 'markdown',
+    tags: ['meeting'],
+  },
+  {
+    id: 'retrospective',
+    name: 'Retrospective',
+    description: 'What went well, what did not, and what to change.',
+    title: 'Retrospective {{date}}',
+    content: '# {{title}}\n\n**Facilitator:** {{author}}\n\n## What went well\n\n- \n\n## What did not go well\n\n- \n\n## What we will try next\n\n- \n',
+    format: 'markdown',
+    tags: ['retro'],
+  },
+].map(template => ({ ...template, source: 'builtin', key: `builtin:${template.id}` }));
+
+const TEMPLATE_SOURCES = [['builtin', 'Built-in'], ['private', 'Mine'], ['public', 'Shared']];
+
+const fillPlaceholders = (text, values) => text.replace(TEMPLATE_PLACEHOLDER, (match, name) => values[name]);
+
+// The title is filled first (a typed title wins), so the body can use it
+const applyTemplate = (template, { title, author, now = new Date() }) => {
+  const values = { author, date: now.toLocaleDateString(), time: now.toLocaleTimeString(), title: '' };
+  values.title = title || fillPlaceholders(template.title || '', values) || `Untitled Document ${values.time}`;
+  return {
+    title: values.title,
+    content: fillPlaceholders(template.content || '', values),
+    format: template.format || 'plain',
+    tags: template.tags || [],
+  };
+};
+
+// Built-in templates followed by the user's own and the shared ones, updated live
+const useTemplates = (privateRef, publicRef, onError) => {
+  const [privateTemplates, setPrivateTemplates] = useState([]);
+  const [publicTemplates, setPublicTemplates] = useState([]);
+
+  useEffect(() => {
+    const sources = [[privateRef, 'private', setPrivateTemplates], [publicRef, 'public', setPublicTemplates]];
+    const unsubscribes = sources.map(([ref, source, setTemplates]) => {
+      if (!ref) {
+        setTemplates([]);
+        return () => {};
+      }
+      return onSnapshot(query(ref, orderBy('name')), (snapshot) => {
+        setTemplates(snapshot.docs.map(d => ({ id: d.id, ...d.data(), source, key: `${source}:${d.id}` })));
+      }, (e) => {
+        console.error("Firestore templates error:", e);
+        onError("Failed to load templates.", e);
+      });
+    });
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [privateRef, publicRef, onError]);
+
+  return useMemo(() => [...BUILT_IN_TEMPLATES, ...privateTemplates, ...publicTemplates], [privateTemplates, publicTemplates]);
+};
+
+// Title, template gallery with a live preview of the filled-in template, and visibility
+const NewDocumentCreator = ({ loading, templates, userId, onCreate, onDeleteTemplate }) => {
+    const [title, setTitle] = useState('');
+    const [isPublic, setIsPublic] = useState(false);
+    const [source, setSource] = useState('builtin');
+    const [templateKey, setTemplateKey] = useState(BUILT_IN_TEMPLATES[0].key);
+    const author = getDisplayName(useProfile(userId), userId);
+    const template = templates.find(t => t.key === templateKey) || BUILT_IN_TEMPLATES[0];
+    const preview = useMemo(() => applyTemplate(template, { title: title.trim(), author }), [template, title, author]);
+    const visibleTemplates = templates.filter(t => t.source === source);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onCreate(title.trim(), isPublic, template);
+        setTitle('');
+        setIsPublic(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-6 bg-white rounded-xl shadow-lg border border-blue-100">
+            <h2 className="text-xl font-bold mb-4 text-blue-800 flex items-center">
+                <PlusCircle className="mr-2 text-blue-600" size={20} /> Create New Document
+            </h2>
+            <input
+                type="text"
+                placeholder={template.title ? `Title (default: ${template.title})` : 'Enter document title (e.g., Project Proposal)'}
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-3 mb-4 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition"
+            />
+            <div className="mb-2 flex items-center space-x-1">
+                <LayoutTemplate className="mr-1 text-gray-400" size={16} />
+                {TEMPLATE_SOURCES.map(([value, label]) => (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => setSource(value)}
+                        className={`px-2 py-1 text-xs font-medium rounded-lg transition ${
+                            source === value ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'
+                        }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <div className="grid grid-cols-2 gap-2 mb-4">
+                <ul className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                    {visibleTemplates.length === 0 && (
+                        <li className="p-2 text-xs text-gray-500">
+                            {source === 'private' ? 'Save a document as a template from the editor.' : 'Nobody has shared a template yet.'}
+                        </li>
+                    )}
+                    {visibleTemplates.map(t => (
+                        <li
+                            key={t.key}
+                            onClick={() => setTemplateKey(t.key)}
+                            className={`group p-2 cursor-pointer transition ${t.key === template.key ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                        >
+                            <div className="flex items-center justify-between">
+                                <span className={`text-sm font-medium truncate ${t.key === template.key ? 'text-blue-800' : 'text-gray-800'}`}>{t.name}</span>
+                                {t.source !== 'builtin' && t.authorId === userId && (
+                                    <button
+                                        type="button"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onDeleteTemplate(t);
+                                        }}
+                                        className="hidden group-hover:block p-0.5 text-gray-400 hover:text-red-600 transition"
+                                        title="Delete template"
+                                    >
+                                        <Trash size={12} />
+                                    </button>
+                                )}
+                            </div>
+                            {t.description && <p className="text-xs text-gray-500 line-clamp-2">{t.description}</p>}
+                            {t.source === 'public' && (
+                                <p className="text-xs text-gray-400">by <UserName userId={t.authorId} currentUserId={userId} you="you" /></p>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+                <div className="max-h-48 overflow-y-auto p-2 border border-gray-200 rounded-lg bg-gray-50 text-xs">
+                    <p className="mb-1 font-semibold text-gray-700 truncate">{preview.title}</p>
+                    {!preview.content ? (
+                        <p className="text-gray-400">Starts empty.</p>
+                    ) : preview.format === 'markdown' ? (
+                        <MarkdownPreview source={preview.content} />
+                    ) : (
+                        <pre className="whitespace-pre-wrap font-sans text-gray-700">{preview.content}</pre>
+                    )}
+                </div>
+            </div>
+            <div className="flex items-center mb-6">
+                <input
+                    id="isPublic"
+                    type="checkbox"
+                    checked={isPublic}
+                    onChange={(e) => setIsPublic(e.target.checked)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <label htmlFor="isPublic" className="ml-2 text-sm font-medium text-gray-700">
+                    Share publicly (Visible to all users in the Shared list)
+                </label>
+            </div>
+            <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center"
+            >
+                {loading ? <Loader className="animate-spin mr-2" size={20} /> : <FileText className="mr-2" size={20} />}
+                Create & Edit
+            </button>
+        </form>
+    );
+};
+
+// Editor side panel that saves the open document as a template
+const SaveTemplatePanel = ({ document, content, onSave }) => {
+    const [name, setName] = useState(document.title || '');
+    const [description, setDescription] = useState('');
+    const [title, setTitle] = useState(document.title || '');
+    const [isPublic, setIsPublic] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const inputClasses = "w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        await onSave({
+            name: name.trim(),
+            description: description.trim(),
+            title: title.trim(),
+            content,
+            format: document.format || 'plain',
+            tags: document.tags || [],
+            isPublic,
+        });
+        setIsSaving(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="w-96 flex-shrink-0 flex flex-col min-h-0 border border-gray-200 rounded-lg">
+            <h3 className="p-3 text-sm font-semibold text-gray-800 border-b bg-gray-50 flex items-center">
+                <LayoutTemplate className="mr-2 text-blue-600" size={16} /> Save as Template
+            </h3>
+            <div className="flex-1 overflow-y-auto p-3 space-y-3 text-sm">
+                <label className="block font-medium text-gray-700">
+                    Name
+                    <input value={name} onChange={(e) => setName(e.target.value)} required className={`mt-1 ${inputClasses}`} />
+                </label>
+                <label className="block font-medium text-gray-700">
+                    Description
+                    <input value={description} onChange={(e) => setDescription(e.target.value)} className={`mt-1 ${inputClasses}`} />
+                </label>
+                <label className="block font-medium text-gray-700">
+                    Default title
+                    <input value={title} onChange={(e) => setTitle(e.target.value)} className={`mt-1 ${inputClasses}`} />
+                </label>
+                <p className="text-xs text-gray-500">
+                    The current content is saved as the template body. Use <code>{'{{title}}'}</code>, <code>{'{{author}}'}</code>,{' '}
+                    <code>{'{{date}}'}</code> and <code>{'{{time}}'}</code> in the title or content to have them filled in for each new document.
+                </p>
+                <label className="flex items-center text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={isPublic}
+                        onChange={(e) => setIsPublic(e.target.checked)}
+                        className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    Share with everyone
+                </label>
+            </div>
+            <div className="p-3 border-t flex justify-end">
+                <button
+                    type="submit"
+                    disabled={isSaving || !name.trim()}
+                    className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center"
+                >
+                    {isSaving ? <Loader className="animate-spin mr-1" size={14} /> : <Check className="mr-1" size={14} />} Save Template
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// --- Activity Log ---
+//
+// Changes to a document are recorded as events in its `activity` subcollection,
+// usually in the same batch as the change. Events are never edited or deleted, and
+// outlive the document. Each lists its `readers` (the owner and collaborators, or
+// 'public') so the dashboard feed can query them across documents.
+//
+// The rules check every event but cannot require one, so the log records what the app
+// wrote. Content edits are summarized once the author pauses (ACTIVITY_EDIT_DELAY), or
+// earlier when the editor closes or the page is hidden to be closed.
+
+const ACTIVITY_ACTIONS = {
+  create: 'Created',
+  update: 'Edited',
+  visibility: 'Changed visibility',
+  share: 'Changed sharing',
+  trash: 'Moved to trash',
+  restore: 'Restored',
+  delete: 'Deleted',
+};
+const ACTIVITY_FEED_LIMIT = 100;
+// Content edits are summarized once the author has paused for this long
+const ACTIVITY_EDIT_DELAY = 10 * 1000;
+
+const getActivityReaders = (docItem) => (
+  docItem.isPublic ? ['public'] : [...new Set([docItem.ownerId, ...Object.keys(docItem.acl || {})])]
+);
+
+// [ref, data] of a new event, for a batch or commitInChunks
+const getActivityEvent = (docItem, actorId, action, summary) => [
+  doc(collection(getDocumentRef(docItem), 'activity')),
+  {
+    appId,
+    action,
+    summary,
+    actorId,
+    documentId: docItem.id,
+    documentTitle: docItem.title || '',
+    isPublic: !!docItem.isPublic,
+    ownerId: docItem.isPublic ? null : docItem.ownerId,
+    readers: getActivityReaders(docItem),
+    createdAt: Date.now(),
+  },
+];
+
+// Records an event on its own, for changes that are not written in a batch
+const recordActivity = (docItem, actorId, action, summary) => {
+  const [ref, data] = getActivityEvent(docItem, actorId, action, summary);
+  return commitWrite(setDoc(ref, data));
+};
+
+// Describes a metadata update made through updateDocument
+const summarizeUpdate = (docItem, data, revision) => {
+  const changes = [];
+  if (data.title !== undefined && data.title !== docItem.title) changes.push(`Renamed from '${docItem.title}' to '${data.title}'`);
+  if (data.tags) {
+    const before = docItem.tags || [];
+    const added = data.tags.filter(tag => !before.includes(tag)).map(tag => `+#${tag}`);
+    const removed = before.filter(tag => !data.tags.includes(tag)).map(tag => `-#${tag}`);
+    if (added.length || removed.length) changes.push(`Tags ${[...added, ...removed].join(' ')}`);
+  }
+  if (data.format && data.format !== (docItem.format || 'plain')) changes.push(`Switched to ${data.format === 'markdown' ? 'Markdown' : 'plain text'}`);
+  if (revision) changes.push('Saved a version');
+  return changes.join('; ');
+};
+
+// Characters inserted and removed by one local edit, assuming a single changed range
+const measureEdit = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+  return { inserted: after.length - start - end, deleted: before.length - start - end };
+};
+
+const useActivity = (activityQuery, onError) => {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    if (!activityQuery) {
+      setEvents([]);
+      return;
+    }
+    const unsubscribe = onSnapshot(activityQuery, (snapshot) => {
+      setEvents(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (e) => {
+      console.error("Firestore activity error:", e);
+      onError("Failed to load the activity log.", e);
+    });
+    return () => unsubscribe();
+  }, [activityQuery, onError]);
+
+  return events;
+};
+
+// Event list with user and action filters. `onOpen` links each event to its document.
+const ActivityLog = ({ events, userId, onOpen }) => {
+    const [actorFilter, setActorFilter] = useState('');
+    const [actionFilter, setActionFilter] = useState('');
+    const actorIds = useMemo(() => [...new Set(events.map(event => event.actorId))], [events]);
+    const profiles = useProfiles(actorIds);
+    const visibleEvents = events.filter(event => (!actorFilter || event.actorId === actorFilter) && (!actionFilter || event.action === actionFilter));
+    const selectClasses = "flex-1 min-w-0 p-1 text-xs border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+
+    return (
+        <div className="flex flex-col min-h-0">
+            <div className="p-2 border-b flex space-x-2">
+                <select value={actorFilter} onChange={(e) => setActorFilter(e.target.value)} className={selectClasses}>
+                    <option value="">Everyone</option>
+                    {actorIds.map(id => (
+                        <option key={id} value={id}>{id === userId ? 'You' : getDisplayName(profiles[id], id)}</option>
+                    ))}
+                </select>
+                <select value={actionFilter} onChange={(e) => setActionFilter(e.target.value)} className={selectClasses}>
+                    <option value="">All actions</option>
+                    {Object.entries(ACTIVITY_ACTIONS).map(([action, label]) => <option key={action} value={action}>{label}</option>)}
+                </select>
+            </div>
+            <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+                {visibleEvents.length === 0 && (
+                    <li className="p-3 text-sm text-gray-500">{events.length ? 'No activity matches the filters.' : 'No activity yet.'}</li>
+                )}
+                {visibleEvents.map(event => (
+                    <li key={event.id} className="flex items-start p-2 text-sm">
+                        <UserAvatar userId={event.actorId} className="w-6 h-6 mr-2 flex-shrink-0" />
+                        <div className="min-w-0">
+                            <p className="text-gray-800">
+                                <span className="font-medium">{event.actorId === userId ? 'You' : getDisplayName(profiles[event.actorId], event.actorId)}</span>
+                                {' '}<span className="text-gray-600">{(ACTIVITY_ACTIONS[event.action] || event.action).toLowerCase()}</span>
+                                {onOpen && (
+                                    <>
+                                        {' '}
+                                        <button onClick={() => onOpen(event)} className="font-medium text-blue-700 hover:underline">
+                                            {event.documentTitle || 'Untitled Document'}
+                                        </button>
+                                    </>
+                                )}
+                            </p>
+                            {event.summary && <p className="text-xs text-gray-600 break-words">{event.summary}</p>}
+                            <p className="text-xs text-gray-400">
+                                {new Date(event.createdAt).toLocaleString()}
+                                {onOpen && (event.isPublic ? ' · Public' : ' · Private')}
+                            </p>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Editor side panel with the open document's history of changes
+const ActivityPanel = ({ docRef, userId, onError }) => {
+    const activityQuery = useMemo(
+        () => (docRef ? query(collection(docRef, 'activity'), orderBy('createdAt', 'desc'), limit(ACTIVITY_FEED_LIMIT)) : null),
+        [docRef]
+    );
+    const events = useActivity(activityQuery, onError);
+
+    return (
+        <div className="w-96 flex-shrink-0 flex flex-col min-h-0 border border-gray-200 rounded-lg">
+            <h3 className="p-3 text-sm font-semibold text-gray-800 border-b bg-gray-50 flex items-center">
+                <Activity className="mr-2 text-blue-600" size={16} /> Activity
+            </h3>
+            <ActivityLog events={events} userId={userId} />
+        </div>
+    );
+};
+
+// Dashboard card with recent events on every document the user can read
+const ActivityFeed = ({ userId, onOpen, onError }) => {
+    const activityQuery = useMemo(() => (db && userId ? query(
+        collectionGroup(db, 'activity'),
+        where('appId', '==', appId),
+        where('readers', 'array-contains-any', [userId, 'public']),
+        orderBy('createdAt', 'desc'),
+        limit(ACTIVITY_FEED_LIMIT)
+    ) : null), [userId]);
+    const events = useActivity(activityQuery, onError);
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden border flex flex-col max-h-96">
+            <h2 className="p-4 text-lg font-semibold text-gray-800 border-b flex items-center bg-gray-50">
+                <Activity className="mr-2 text-blue-600" size={20} /> Recent Activity
+            </h2>
+            <ActivityLog events={events} userId={userId} onOpen={onOpen} />
+        </div>
+    );
+};
+
+// --- Trash ---
+
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getPurgeDate = (docItem) => docItem.trashedAt + TRASH_RETENTION_DAYS * DAY_MS;
+
+const TrashList = ({ documents, onRestore, onDeleteForever, onEmpty }) => (
+    <div className="bg-white rounded-xl shadow-lg overflow-hidden border">
+        <div className="p-4 border-b flex items-center justify-between bg-gray-50">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+                <Trash className="mr-2 text-red-600" size={20} />
+                Trash (<span className="text-blue-600 font-extrabold">{documents.length}</span>)
+            </h2>
+            {documents.length > 0 && (
+                <button
+                    onClick={onEmpty}
+                    className="px-3 py-1 text-sm font-medium text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition"
+                >
+                    Empty Trash
+                </button>
+            )}
+        </div>
+        <p className="px-4 py-2 text-xs text-gray-500 border-b">
+            Documents in the trash are deleted for good after {TRASH_RETENTION_DAYS} days.
+        </p>
+        {documents.length === 0 ? (
+            <p className="p-4 text-gray-500 text-sm">The trash is empty.</p>
+        ) : (
+            <ul className="divide-y divide-gray-200">
+                {documents.map((docItem) => {
+                    const daysLeft = Math.max(0, Math.ceil((getPurgeDate(docItem) - Date.now()) / DAY_MS));
+                    return (
+                        <li key={`${docItem.isPublic ? 'public' : 'private'}-${docItem.id}`} className="flex justify-between items-center p-4 hover:bg-blue-50 transition duration-150">
+                            <div className="flex-1 min-w-0 pr-4">
+                                <p className="font-medium text-gray-900 truncate">{docItem.title}</p>
+                                <p className="text-sm text-gray-500">
+                                    {docItem.isPublic ? 'Public' : 'Private'} | Deleted: {new Date(docItem.trashedAt).toLocaleString()} | {daysLeft} day{daysLeft === 1 ? '' : 's'} left
+                                </p>
+                            </div>
+                            <div className="flex space-x-2 flex-shrink-0">
+                                <button
+                                    onClick={() => onRestore(docItem)}
+                                    className="p-2 text-sm text-blue-600 hover:text-white hover:bg-blue-600 bg-blue-100 rounded-full transition shadow-sm"
+                                    title="Restore Document"
+                                >
+                                    <RotateCcw size={16} />
+                                </button>
+                                <button
+                                    onClick={() => onDeleteForever(docItem)}
+                                    className="p-2 text-sm text-red-600 hover:text-white hover:bg-red-600 bg-red-100 rounded-full transition shadow-sm"
+                                    title="Delete Forever"
+                                >
+                                    <Trash size={16} />
+                                </button>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        )}
+    </div>
+);
+
+// --- Notifications ---
+//
+// Outcomes are reported as toasts with a severity instead of blocking modals. Errors
+// keep the code of the Firebase exception that caused them, and their description is
+// looked up from that code rather than parsed from the message.
+
+const TOAST_DURATIONS = { success: 4000, info: 6000, warning: 8000, error: 10000 };
+const MAX_TOASTS = 5;
+
+// Readable messages for the Firestore error codes users can actually run into
+const FIRESTORE_ERROR_MESSAGES = {
+  'permission-denied': 'You do not have permission to do that. Your access may have changed.',
+  'not-found': 'The item no longer exists.',
+  'already-exists': 'An item with that id already exists.',
+  'unavailable': 'The server cannot be reached. Check your connection.',
+  'deadline-exceeded': 'The server took too long to answer. Try again.',
+  'resource-exhausted': 'Too many requests. Wait a moment and try again.',
+  'unauthenticated': 'Your session has expired. Sign in again.',
+  'failed-precondition': 'The operation is not possible in the current state.',
+};
+
+const STORAGE_ERROR_MESSAGES = {
+  'storage/unauthorized': 'You do not have permission to do that with this file, or the file is not an accepted type or size.',
+  'storage/object-not-found': 'The file no longer exists.',
+  'storage/quota-exceeded': 'The storage quota is used up. Remove some attachments and try again.',
+  'storage/retry-limit-exceeded': 'The upload took too long. Check your connection and try again.',
+  'storage/canceled': 'The upload was cancelled.',
+};
+
+const getErrorCode = (e) => (e && e.code ? e.code : null);
+
+const describeError = (e) => AUTH_ERROR_MESSAGES[e.code] || FIRESTORE_ERROR_MESSAGES[e.code] || STORAGE_ERROR_MESSAGES[e.code] || e.message;
+
+// notify(severity, message, error?) queues a toast; a repeat of a visible toast
+// replaces it (restarting its timer) instead of stacking up
+const useNotifications = () => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const dismiss = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  const notify = useCallback((severity, message, error = null) => {
+    const toast = {
+      id: ++nextId.current,
+      severity,
+      message,
+      code: getErrorCode(error),
+      detail: error ? describeError(error) : '',
+    };
+    setToasts(prev => [
+      ...prev.filter(t => t.severity !== severity || t.message !== message || t.detail !== toast.detail),
+      toast,
+    ].slice(-MAX_TOASTS));
+  }, []);
+
+  return { toasts, notify, dismiss };
+};
+
+const TOAST_STYLES = {
+  success: { Icon: CheckCircle, border: 'border-green-500', icon: 'text-green-500' },
+  info: { Icon: Info, border: 'border-blue-500', icon: 'text-blue-500' },
+  warning: { Icon: AlertTriangle, border: 'border-yellow-500', icon: 'text-yellow-500' },
+  error: { Icon: XCircle, border: 'border-red-500', icon: 'text-red-500' },
+};
+
+// Dismisses itself after its severity's duration; hovering keeps it open
+const Toast = ({ toast, onDismiss }) => {
+    const [isPaused, setIsPaused] = useState(false);
+    const { Icon, border, icon } = TOAST_STYLES[toast.severity] || TOAST_STYLES.info;
+
+    useEffect(() => {
+        if (isPaused) return;
+        const timer = setTimeout(() => onDismiss(toast.id), TOAST_DURATIONS[toast.severity] || TOAST_DURATIONS.info);
+        return () => clearTimeout(timer);
+    }, [isPaused, toast, onDismiss]);
+
+    return (
+        <div
+            role={toast.severity === 'error' ? 'alert' : 'status'}
+            onMouseEnter={() => setIsPaused(true)}
+            onMouseLeave={() => setIsPaused(false)}
+            className={`flex items-start p-4 bg-white rounded-lg shadow-xl border-l-4 ${border}`}
+        >
+            <Icon className={`flex-shrink-0 ${icon}`} size={20} />
+            <div className="flex-1 min-w-0 ml-3 text-sm">
+                <p className="text-gray-900">{toast.message}</p>
+                {toast.detail && <p className="mt-1 text-gray-600">{toast.detail}</p>}
+                {toast.code && <p className="mt-1 text-xs font-mono text-gray-400">{toast.code}</p>}
+            </div>
+            <button onClick={() => onDismiss(toast.id)} className="ml-3 text-gray-400 hover:text-gray-600 transition" title="Dismiss">
+                <X size={16} />
+            </button>
+        </div>
+    );
+};
+
+// Newest at the bottom, above every modal
+const ToastStack = ({ toasts, onDismiss }) => (
+    <div className="fixed bottom-4 right-4 z-50 w-full max-w-sm space-y-2 pointer-events-none">
+        {toasts.map(toast => (
+            <div key={toast.id} className="pointer-events-auto">
+                <Toast toast={toast} onDismiss={onDismiss} />
+            </div>
+        ))}
+    </div>
+);
+
+// --- Utility Components ---
+
+const formatUserId = (id) => id ? `...${id.substring(id.length - 8)}` : 'N/A';
+
+// Message Modal (replaces alert/confirm); outcomes use toasts (see useNotifications)
+// With `onConfirm` the modal asks a question instead, replacing window.confirm
+const MessageModal = ({ message, type, onClose, onConfirm, confirmLabel = 'Confirm' }) => {
+    if (!message) return null;
+
+    const baseClasses = "fixed inset-0 flex items-center justify-center p-4 bg-black bg-opacity-50 z-50 transition-opacity duration-300";
+    const cardClasses = "bg-white p-6 rounded-xl shadow-2xl max-w-sm w-full transform transition-all duration-300 scale-100";
+    
+    let icon, color, title;
+    switch (type) {
+        case 'error':
+            icon = <AlertTriangle className="text-red-500" size={24} />;
+            color = 'border-red-500';
+            title = 'Error';
+            break;
+        case 'confirm':
+            icon = <AlertTriangle className="text-yellow-500" size={24} />;
+            color = 'border-yellow-500';
+            title = 'Please Confirm';
+            break;
+        default: // info
+            icon = <User className="text-blue-500" size={24} />;
+            color = 'border-blue-500';
+            title = 'Notification';
+    }
+
+    return (
+        <div className={baseClasses}>
+            <div className={`${cardClasses} border-t-4 ${color}`}>
+                <div className="flex items-start justify-between">
+                    <div className="flex items-center">
+                        {icon}
+                        <h3 className="ml-3 text-lg font-semibold text-gray-900">{title}</h3>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition">
+                        <X size={20} />
+                    </button>
+                </div>
+                <p className="mt-4 text-sm text-gray-700">{message}</p>
+                {onConfirm ? (
+                    <div className="mt-6 flex justify-end space-x-2">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={onConfirm}
+                            className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition"
+                        >
+                            {confirmLabel}
+                        </button>
+                    </div>
+                ) : (
+                    <div className="mt-6 flex justify-end">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                        >
+                            Close
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- User Profiles ---
+//
+// Every user may store a display name, an avatar URL and a bio under
+// `public/data/profiles/{userId}`. Lookups share one listener per user and keep the
+// last value cached, so lists can show names for hundreds of rows cheaply.
+
+const getProfileRef = (userId) => {
+  const ref = getPublicCollectionRef('profiles');
+  return ref && userId ? doc(ref, userId) : null;
+};
+
+const profileCache = new Map(); // userId -> profile data, or null for users without one
+const profileSubscriptions = new Map(); // userId -> { callbacks, unsubscribe }
+
+const subscribeProfile = (userId, callback) => {
+  let subscription = profileSubscriptions.get(userId);
+  if (!subscription) {
+    const created = { callbacks: new Set(), unsubscribe: () => {} };
+    const ref = getProfileRef(userId);
+    if (ref) {
+      created.unsubscribe = onSnapshot(ref, (snapshot) => {
+        const profile = snapshot.exists() ? snapshot.data() : null;
+        profileCache.set(userId, profile);
+        created.callbacks.forEach(notifyProfile => notifyProfile(profile));
+      }, (e) => console.error("Firestore profile error:", e));
+    }
+    profileSubscriptions.set(userId, created);
+    subscription = created;
+  }
+  subscription.callbacks.add(callback);
+  return () => {
+    subscription.callbacks.delete(callback);
+    if (subscription.callbacks.size === 0) {
+      subscription.unsubscribe();
+      profileSubscriptions.delete(userId);
+    }
+  };
+};
+
+const getDisplayName = (profile, userId) => (profile && profile.displayName) || formatUserId(userId);
+
+// For text built outside React (notifications); falls back to the short ID until loaded
+const getCachedDisplayName = (userId) => getDisplayName(profileCache.get(userId), userId);
+
+// Hooks key their subscriptions on a sorted, comma-joined list of user IDs
+const getProfileKey = (userIds) => [...new Set(userIds.filter(Boolean))].sort().join(',');
+const readCachedProfiles = (key) => Object.fromEntries(
+  (key ? key.split(',') : []).map(id => [id, profileCache.get(id)])
+);
+
+// { [userId]: profile } for a set of users, updated live. Undefined means still loading.
+const useProfiles = (userIds) => {
+  const key = getProfileKey(userIds);
+  const [profiles, setProfiles] = useState(() => readCachedProfiles(key));
+
+  useEffect(() => {
+    setProfiles(readCachedProfiles(key));
+    const unsubscribes = (key ? key.split(',') : []).map(id => subscribeProfile(id, (profile) => {
+      setProfiles(prev => ({ ...prev, [id]: profile }));
+    }));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [key]);
+
+  return profiles;
+};
+
+const useProfile = (userId) => useProfiles([userId])[userId];
+
+// Shared by the presence colors and identicons
+const hashString = (text) => {
+  let hash = 0;
+  for (const char of text || '') hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return hash;
+};
+
+// Users without a display name get the last two characters of their ID (see formatUserId)
+const getInitials = (name) => {
+  if (name.startsWith('...')) return name.slice(-2).toUpperCase();
+  const words = name.split(/\s+/).filter(Boolean);
+  if (!words.length) return '?';
+  return (words[0][0] + (words.length > 1 ? words[words.length - 1][0] : '')).toUpperCase();
+};
+
+// Generated fallback avatar: a mirrored 5x5 pattern in a hue picked from the user ID
+const Identicon = ({ userId, className }) => {
+    const hash = hashString(userId) >>> 0;
+    const cells = [];
+    for (let row = 0; row < 5; row++) {
+        for (let col = 0; col < 3; col++) {
+            if (!(hash & (1 << (row * 3 + col)))) continue;
+            cells.push([col, row]);
+            if (col < 2) cells.push([4 - col, row]);
+        }
+    }
+    return (
+        <svg viewBox="-1 -1 7 7" className={`rounded-full bg-gray-100 ${className}`} shapeRendering="crispEdges" aria-hidden="true">
+            {cells.map(([x, y]) => (
+                <rect key={`${x}-${y}`} x={x} y={y} width="1" height="1" fill={`hsl(${(hash >>> 16) % 360}, 55%, 50%)`} />
+            ))}
+        </svg>
+    );
+};
+
+const UserAvatar = ({ userId, className = 'w-8 h-8' }) => {
+    const profile = useProfile(userId);
+    const [failedUrl, setFailedUrl] = useState(null);
+    const avatarUrl = profile && profile.avatarUrl;
+    if (!avatarUrl || avatarUrl === failedUrl) return <Identicon userId={userId} className={className} />;
+    return (
+        <img
+            src={avatarUrl}
+            alt=""
+            onError={() => setFailedUrl(avatarUrl)}
+            className={`rounded-full object-cover bg-gray-100 ${className}`}
+        />
+    );
+};
+
+// Display name from the user's profile; `you` stands in for the signed-in user
+const UserName = ({ userId, currentUserId, you = 'You' }) => {
+    const profile = useProfile(userId);
+    return userId === currentUserId ? you : getDisplayName(profile, userId);
+};
+
+const ProfilePage = ({ userId, user, loading, onSave }) => {
+    const profile = useProfile(userId);
+    const [form, setForm] = useState(null);
+    const [copied, setCopied] = useState(false);
+
+    // Fill the form once the stored profile (or its absence) is known
+    useEffect(() => {
+        if (form || profile === undefined) return;
+        setForm({
+            displayName: (profile && profile.displayName) || (user && user.displayName) || '',
+            avatarUrl: (profile && profile.avatarUrl) || '',
+            bio: (profile && profile.bio) || '',
+        });
+    }, [form, profile, user]);
+
+    const copyId = async () => {
+        await navigator.clipboard.writeText(userId);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    if (!form) {
+        return <div className="flex justify-center p-8"><Loader className="animate-spin text-blue-600" size={24} /></div>;
+    }
+
+    const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+    const inputClasses = "w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+    const isAvatarUrlValid = !form.avatarUrl || /^https:\/\/\S+$/.test(form.avatarUrl);
+
+    return (
+        <form
+            onSubmit={(e) => {
+                e.preventDefault();
+                onSave({ displayName: form.displayName.trim(), avatarUrl: form.avatarUrl.trim(), bio: form.bio.trim() });
+            }}
+            className="max-w-xl mx-auto p-6 bg-white rounded-xl shadow-lg border space-y-4"
+        >
+            <h2 className="text-xl font-semibold text-gray-800 flex items-center"><User className="mr-2 text-blue-600" size={20} /> Your Profile</h2>
+            <div className="flex items-center space-x-4">
+                {isAvatarUrlValid && form.avatarUrl
+                    ? <img src={form.avatarUrl} alt="" className="w-16 h-16 rounded-full object-cover bg-gray-100" />
+                    : <Identicon userId={userId} className="w-16 h-16" />}
+                <div className="min-w-0">
+                    <p className="text-lg font-medium text-gray-900 truncate">{form.displayName || formatUserId(userId)}</p>
+                    <button type="button" onClick={copyId} className="text-xs font-mono text-gray-500 hover:text-blue-700 transition" title="Copy your ID to share documents">
+                        {copied ? 'Copied!' : userId}
+                    </button>
+                </div>
+            </div>
+            <label className="block text-sm font-medium text-gray-700">
+                Display name
+                <input value={form.displayName} onChange={update('displayName')} maxLength={PROFILE_LIMITS.displayName} placeholder="How others see you" className={`mt-1 ${inputClasses}`} />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+                Avatar URL <span className="font-normal text-gray-500">(optional; a generated pattern is used otherwise)</span>
+                <input value={form.avatarUrl} onChange={update('avatarUrl')} maxLength={PROFILE_LIMITS.avatarUrl} placeholder="https://..." className={`mt-1 ${inputClasses}`} />
+                {!isAvatarUrlValid && <span className="text-xs text-red-600">The avatar must be an https:// address.</span>}
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+                Bio
+                <textarea value={form.bio} onChange={update('bio')} maxLength={PROFILE_LIMITS.bio} rows={3} className={`mt-1 resize-none ${inputClasses}`} />
+                <span className="text-xs text-gray-500">{form.bio.length}/{PROFILE_LIMITS.bio}</span>
+            </label>
+            <button
+                type="submit"
+                disabled={loading || !isAvatarUrlValid}
+                className="w-full py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center"
+            >
+                {loading ? <Loader className="animate-spin mr-2" size={18} /> : <Check className="mr-2" size={18} />}
+                Save Profile
+            </button>
+        </form>
+    );
+};
+
+// --- Sign-In / Account Upgrade Panel ---
+const AuthPanel = ({ isAnonymous, loading, onEmailAuth, onProviderAuth, onGuest }) => {
+    const [mode, setMode] = useState(isAnonymous ? 'signup' : 'signin');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const isSignUp = mode === 'signup';
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onEmailAuth(email.trim(), password, isSignUp);
+    };
+
+    const tabClasses = (tab) => `flex-1 py-2 text-sm font-medium rounded-lg transition ${
+        mode === tab ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'
+    }`;
+
+    return (
+        <div className="max-w-md mx-auto p-6 bg-white rounded-xl shadow-lg border border-blue-100">
+            <h2 className="text-xl font-bold mb-2 text-blue-800 flex items-center">
+                <LogIn className="mr-2 text-blue-600" size={20} />
+                {isAnonymous ? 'Keep Your Guest Documents' : 'Sign In'}
+            </h2>
+            <p className="mb-4 text-sm text-gray-600">
+                {isAnonymous
+                    ? 'Create an account to turn your guest ID into a permanent one. Every document you created stays yours.'
+                    : 'Sign in to reach your documents from any device.'}
+            </p>
+
+            <div className="flex space-x-2 mb-4">
+                <button type="button" onClick={() => setMode('signup')} className={tabClasses('signup')}>Create Account</button>
+                <button type="button" onClick={() => setMode('signin')} className={tabClasses('signin')}>Sign In</button>
+            </div>
+            {isAnonymous && !isSignUp && (
+                <p className="mb-4 p-3 text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg">
+                    Signing in to an existing account switches to it. Documents created as a guest stay with the guest ID.
+                </p>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-3">
+                <input
+                    type="email"
+                    placeholder="Email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                    autoComplete="email"
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition"
+                />
+                <input
+                    type="password"
+                    placeholder="Password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    minLength={6}
+                    autoComplete={isSignUp ? 'new-password' : 'current-password'}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition"
+                />
+                <button
+                    type="submit"
+                    disabled={loading}
+                    className="w-full py-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center"
+                >
+                    {loading ? <Loader className="animate-spin mr-2" size={20} /> : <LogIn className="mr-2" size={20} />}
+                    {isSignUp ? 'Create Account' : 'Sign In'}
+                </button>
+            </form>
+
+            {backend.popupSignIn && (
+                <>
+                    <div className="my-4 flex items-center text-xs text-gray-400">
+                        <div className="flex-1 border-t" /><span className="px-2">or continue with</span><div className="flex-1 border-t" />
+                    </div>
+                    <div className="flex space-x-2">
+                        {Object.entries(AUTH_PROVIDERS).map(([providerId, provider]) => (
+                            <button
+                                key={providerId}
+                                type="button"
+                                onClick={() => onProviderAuth(providerId)}
+                                disabled={loading}
+                                className="flex-1 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition disabled:opacity-50"
+                            >
+                                {provider.label}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {!isAnonymous && onGuest && (
+                <button
+                    type="button"
+                    onClick={onGuest}
+                    disabled={loading}
+                    className="w-full mt-4 py-2 text-sm text-gray-500 hover:text-gray-800 transition disabled:opacity-50"
+                >
+                    Continue as guest
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Shown before a guest signs out, since their documents are only reachable through the guest ID
+const SignOutWarning = ({ onCreateAccount, onSignOut, onCancel }) => (
+    <div className="fixed inset-0 flex items-center justify-center p-4 bg-black bg-opacity-50 z-50">
+        <div className="bg-white p-6 rounded-xl shadow-2xl max-w-sm w-full border-t-4 border-yellow-500">
+            <div className="flex items-start justify-between">
+                <div className="flex items-center">
+                    <AlertTriangle className="text-yellow-500" size={24} />
+                    <h3 className="ml-3 text-lg font-semibold text-gray-900">You are using a guest account</h3>
+                </div>
+                <button onClick={onCancel} className="text-gray-400 hover:text-gray-600 transition">
+                    <X size={20} />
+                </button>
+            </div>
+            <p className="mt-4 text-sm text-gray-700">
+                If you sign out now, you will lose access to every private document you created as a guest.
+                Create an account first to keep them.
+            </p>
+            <div className="mt-6 flex justify-end space-x-2">
+                <button
+                    onClick={onSignOut}
+                    className="px-4 py-2 text-sm font-medium text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition"
+                >
+                    Sign Out Anyway
+                </button>
+                <button
+                    onClick={onCreateAccount}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                >
+                    Create Account
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+// --- Sync Indicator ---
+const SyncIndicator = () => {
+    const { status, pending } = useSyncStatus();
+    if (status === 'offline') {
+        return (
+            <span className="px-3 py-1 text-sm font-medium text-amber-700 bg-amber-100 rounded-full flex items-center" title="Changes are saved on this device and sync when you reconnect">
+                <CloudOff size={16} className="mr-1" /> Offline{pending > 0 ? ` (${pending} pending)` : ''}
+            </span>
+        );
+    }
+    if (status === 'syncing') {
+        return (
+            <span className="px-3 py-1 text-sm font-medium text-blue-700 bg-blue-100 rounded-full flex items-center">
+                <RefreshCw size={16} className="mr-1 animate-spin" /> Syncing {pending}
+            </span>
+        );
+    }
+    return (
+        <span className="px-3 py-1 text-sm font-medium text-green-700 bg-green-100 rounded-full flex items-center">
+            <Cloud size={16} className="mr-1" /> Online
+        </span>
+    );
+};
+
+// --- Offline Conflict Dialog ---
+const formatFieldValue = (value) => {
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+    if (value === null || value === '') return '(empty)';
+    return String(value);
+};
+
+// Lists fields that someone else changed while the same fields were edited offline
+const OfflineConflictDialog = ({ conflicts, onResolve }) => {
+    if (!conflicts.length) return null;
+    return (
+        <div className="fixed inset-0 flex items-center justify-center p-4 bg-black bg-opacity-50 z-50">
+            <div className="bg-white p-6 rounded-xl shadow-2xl max-w-lg w-full border-t-4 border-yellow-500 max-h-[80vh] overflow-y-auto">
+                <div className="flex items-center">
+                    <AlertTriangle className="text-yellow-500" size={24} />
+                    <h3 className="ml-3 text-lg font-semibold text-gray-900">Conflicting offline changes</h3>
+                </div>
+                <p className="mt-3 text-sm text-gray-700">
+                    These fields were changed by someone else while you were offline. Choose which version to keep.
+                </p>
+                <ul className="mt-4 space-y-3">
+                    {conflicts.map((conflict, index) => (
+                        <li key={`${conflict.location.id}-${conflict.field}-${index}`} className="p-3 border border-gray-200 rounded-lg">
+                            <p className="text-sm font-semibold text-gray-800">
+                                {conflict.title} <span className="font-normal text-gray-500">– {conflict.field}</span>
+                            </p>
+                            <div className="mt-2 grid grid-cols-2 gap-2 text-xs">
+                                <div className="p-2 bg-blue-50 rounded">
+                                    <p className="font-medium text-blue-700">Yours</p>
+                                    <p className="text-gray-800 break-words">{formatFieldValue(conflict.mine)}</p>
+                                </div>
+                                <div className="p-2 bg-gray-50 rounded">
+                                    <p className="font-medium text-gray-600">Theirs</p>
+                                    <p className="text-gray-800 break-words">{formatFieldValue(conflict.theirs)}</p>
+                                </div>
+                            </div>
+                            <div className="mt-2 flex justify-end space-x-2">
+                                <button
+                                    onClick={() => onResolve(conflict, false)}
+                                    className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+                                >
+                                    Keep Theirs
+                                </button>
+                                <button
+                                    onClick={() => onResolve(conflict, true)}
+                                    className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                                >
+                                    Keep Mine
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+// --- Revision History Panel ---
+const RevisionHistory = ({ docRef, userId, currentContent, onRestore, onError }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [fromId, setFromId] = useState('');
+    const [toId, setToId] = useState('current');
+    const profiles = useProfiles(revisions.map(r => r.authorId));
+
+    useEffect(() => {
+        if (!docRef) return;
+        const revisionsQuery = query(collection(docRef, 'revisions'), orderBy('createdAt', 'desc'));
+        const unsubscribe = onSnapshot(revisionsQuery, (snapshot) => {
+            setRevisions(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (e) => {
+            console.error("Firestore revisions error:", e);
+            onError("Failed to load the version history.", e);
+        });
+        return () => unsubscribe();
+    }, [docRef, onError]);
+
+    // Compare the latest revision with the live content until the user picks otherwise
+    const effectiveFromId = fromId || (revisions[0] ? revisions[0].id : 'current');
+    const contentOf = useCallback((id) => {
+        if (id === 'current') return currentContent;
+        const revision = revisions.find(r => r.id === id);
+        return revision ? revision.content : '';
+    }, [revisions, currentContent]);
+    const diff = useMemo(
+        () => diffLines(contentOf(effectiveFromId), contentOf(toId)),
+        [contentOf, effectiveFromId, toId]
+    );
+
+    const describe = (revision) => {
+        const author = revision.authorId === userId ? 'You' : getDisplayName(profiles[revision.authorId], revision.authorId);
+        return `${new Date(revision.createdAt).toLocaleString()} · ${author}`;
+    };
+
+    const selectClasses = "flex-1 min-w-0 p-1 text-xs border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+    const diffClasses = {
+        same: 'text-gray-600',
+        added: 'bg-green-100 text-green-800',
+        removed: 'bg-red-100 text-red-800 line-through',
+    };
+    const diffPrefix = { same: ' ', added: '+', removed: '-' };
+
+    return (
+        <div className="w-96 flex-shrink-0 flex flex-col min-h-0 border border-gray-200 rounded-lg">
+            <h3 className="p-3 text-sm font-semibold text-gray-800 border-b bg-gray-50 flex items-center">
+                <History className="mr-2 text-blue-600" size={16} /> Version History
+            </h3>
+            <ul className="max-h-48 overflow-y-auto divide-y divide-gray-200">
+                {revisions.length === 0 ? (
+                    <li className="p-3 text-xs text-gray-500">No saved versions yet. Versions are recorded as you edit, or with "Save Version".</li>
+                ) : revisions.map((revision) => (
+                    <li key={revision.id} className="flex justify-between items-center p-2 hover:bg-blue-50 transition">
+                        <div className="min-w-0 pr-2">
+                            <p className="text-sm font-medium text-gray-900 truncate">{revision.title}</p>
+                            <p className="text-xs text-gray-500">
+                                {describe(revision)}{revision.restoredFrom && ' · restored'}{revision.auto && ' · autosaved'}
+                            </p>
+                        </div>
+                        {onRestore && (
+                            <button
+                                onClick={() => onRestore(revision)}
+                                className="p-2 text-blue-600 hover:text-white hover:bg-blue-600 bg-blue-100 rounded-full transition shadow-sm"
+                                title="Restore this version"
+                            >
+                                <RotateCcw size={14} />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <div className="p-2 border-t bg-gray-50 flex items-center space-x-2">
+                <select value={effectiveFromId} onChange={(e) => setFromId(e.target.value)} className={selectClasses}>
+                    <option value="current">Current document</option>
+                    {revisions.map(r => <option key={r.id} value={r.id}>{describe(r)}</option>)}
+                </select>
+                <GitCompare className="text-gray-500 flex-shrink-0" size={16} />
+                <select value={toId} onChange={(e) => setToId(e.target.value)} className={selectClasses}>
+                    <option value="current">Current document</option>
+                    {revisions.map(r => <option key={r.id} value={r.id}>{describe(r)}</option>)}
+                </select>
+            </div>
+            <pre className="flex-1 overflow-auto p-2 text-xs font-mono border-t">
+                {diff.map((line, index) => (
+                    <div key={index} className={diffClasses[line.type]}>
+                        {diffPrefix[line.type]} {line.text}
+                    </div>
+                ))}
+            </pre>
+        </div>
+    );
+};
+
+// --- Tag Editor ---
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-');
+
+// Each user picks their own tag colors (see useTagColors)
+const TAG_COLORS = {
+  blue: { chip: 'text-blue-700 bg-blue-100', dot: 'bg-blue-500' },
+  green: { chip: 'text-green-700 bg-green-100', dot: 'bg-green-500' },
+  yellow: { chip: 'text-yellow-800 bg-yellow-100', dot: 'bg-yellow-500' },
+  orange: { chip: 'text-orange-700 bg-orange-100', dot: 'bg-orange-500' },
+  red: { chip: 'text-red-700 bg-red-100', dot: 'bg-red-500' },
+  pink: { chip: 'text-pink-700 bg-pink-100', dot: 'bg-pink-500' },
+  purple: { chip: 'text-purple-700 bg-purple-100', dot: 'bg-purple-500' },
+  gray: { chip: 'text-gray-700 bg-gray-200', dot: 'bg-gray-500' },
+};
+const DEFAULT_TAG_COLOR = 'blue';
+
+const getTagClasses = (tagColors, tag) => TAG_COLORS[(tagColors && tagColors[tag]) || DEFAULT_TAG_COLOR] || TAG_COLORS[DEFAULT_TAG_COLOR];
+
+const TagEditor = ({ tags, tagColors, onChange, readOnly }) => {
+    const [draft, setDraft] = useState('');
+
+    const addTag = () => {
+        const tag = normalizeTag(draft);
+        setDraft('');
+        if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag();
+        } else if (e.key === 'Backspace' && !draft && tags.length) {
+            onChange(tags.slice(0, -1));
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-1 mb-4">
+            <Tag className="text-gray-400 mr-1" size={16} />
+            {tags.map(tag => (
+                <span key={tag} className={`px-2 py-0.5 text-xs rounded-full flex items-center ${getTagClasses(tagColors, tag).chip}`}>
+                    #{tag}
+                    {!readOnly && (
+                        <button onClick={() => onChange(tags.filter(t => t !== tag))} className="ml-1 opacity-70 hover:opacity-100" title="Remove tag">
+                            <X size={12} />
+                        </button>
+                    )}
+                </span>
+            ))}
+            {!readOnly && (
+                <input
+                    type="text"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onBlur={addTag}
+                    placeholder={tags.length ? 'Add tag' : 'Add tags (Enter to add)'}
+                    className="flex-1 min-w-[8rem] p-1 text-xs border-0 focus:ring-0 focus:outline-none"
+                />
+            )}
+        </div>
+    );
+};
+
+// --- Folders ---
+//
+// Folders form one tree per collection: the user's own under `users/{userId}/folders`,
+// and a shared one for public documents under `public/data/folders`. A folder stores
+// its `parentId` and a document its `folderId`; since only ids are referenced, renaming
+// a folder leaves its documents untouched.
+
+const DRAG_TYPE = 'application/x-document-organizer';
+
+const getFolderChildren = (folders) => {
+  const children = {};
+  folders.forEach((folder) => {
+    const parentId = folder.parentId || '';
+    (children[parentId] = children[parentId] || []).push(folder);
+  });
+  return children;
+};
+
+// The folder itself and every folder below it
+const getFolderSubtree = (folders, folderId) => {
+  const children = getFolderChildren(folders);
+  const ids = new Set();
+  const visit = (id) => {
+    ids.add(id);
+    (children[id] || []).forEach(child => visit(child.id));
+  };
+  visit(folderId);
+  return ids;
+};
+
+// Folder ids a dashboard list is limited to, or null when no folder is selected
+const getListFolderIds = (folderFilter, scope) => (
+  folderFilter ? (folderFilter.scope === scope ? folderFilter.ids : new Set()) : null
+);
+
+const startDrag = (e, item) => {
+  e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(item));
+  e.dataTransfer.effectAllowed = 'move';
+};
+
+const readDrag = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(DRAG_TYPE));
+  } catch (err) {
+    return null;
+  }
+};
+
+const useFolders = (collectionRef, onError) => {
+  const [folders, setFolders] = useState([]);
+
+  useEffect(() => {
+    if (!collectionRef) {
+      setFolders([]);
+      return;
+    }
+    const unsubscribe = onSnapshot(query(collectionRef, orderBy('name')), (snapshot) => {
+      setFolders(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (e) => {
+      console.error("Firestore folders error:", e);
+      onError("Failed to load folders.", e);
+    });
+    return () => unsubscribe();
+  }, [collectionRef, onError]);
+
+  return folders;
+};
+
+// Tag colors are personal; tags without an entry use DEFAULT_TAG_COLOR
+const useTagColors = (collectionRef, onError) => {
+  const [tagColors, setTagColors] = useState({});
+
+  useEffect(() => {
+    if (!collectionRef) {
+      setTagColors({});
+      return;
+    }
+    const unsubscribe = onSnapshot(collectionRef, (snapshot) => {
+      const colors = {};
+      snapshot.docs.forEach((d) => {
+        colors[d.data().name] = d.data().color;
+      });
+      setTagColors(colors);
+    }, (e) => {
+      console.error("Firestore tag colors error:", e);
+      onError("Failed to load tag colors.", e);
+    });
+    return () => unsubscribe();
+  }, [collectionRef, onError]);
+
+  return tagColors;
+};
+
+// One collection's folder tree. Documents and folders can be dropped on any folder,
+// or on the title to move them back to the top level.
+const FolderTree = ({ scope, title, folders, selected, userId, onSelect, onCreate, onRename, onDelete, onDropItem }) => {
+    const [editing, setEditing] = useState(null); // { folderId } when renaming, { parentId } when creating
+    const [name, setName] = useState('');
+    const [dropTarget, setDropTarget] = useState(null);
+    const [collapsed, setCollapsed] = useState({});
+    const children = useMemo(() => getFolderChildren(folders), [folders]);
+
+    const startEditing = (edit, initialName = '') => {
+        setEditing(edit);
+        setName(initialName);
+        if (edit.parentId) setCollapsed(prev => ({ ...prev, [edit.parentId]: false }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (trimmed && editing.folderId) onRename(scope, editing.folderId, trimmed);
+        else if (trimmed) onCreate(scope, editing.parentId || null, trimmed);
+        setEditing(null);
+    };
+
+    const dropProps = (folderId) => ({
+        onDragOver: (e) => {
+            if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+            e.preventDefault();
+            setDropTarget(folderId || 'root');
+        },
+        onDragLeave: () => setDropTarget(null),
+        onDrop: (e) => {
+            e.preventDefault();
+            setDropTarget(null);
+            const item = readDrag(e);
+            if (item) onDropItem(item, scope, folderId);
+        },
+    });
+
+    const nameInput = (
+        <form onSubmit={handleSubmit} className="flex-1 min-w-0" onClick={(e) => e.stopPropagation()}>
+            <input
+                autoFocus
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onBlur={() => setEditing(null)}
+                onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                placeholder="Folder name"
+                className="w-full p-1 text-xs border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+            />
+        </form>
+    );
+    const iconButton = "p-0.5 text-gray-400 hover:text-blue-700 transition";
+
+    const renderFolder = (folder) => {
+        const key = `${scope}:${folder.id}`;
+        const subfolders = children[folder.id] || [];
+        const isCreatingHere = editing && editing.parentId === folder.id;
+        const canDelete = scope === 'private' || folder.createdBy === userId;
+        return (
+            <li key={folder.id}>
+                <div
+                    draggable
+                    onDragStart={(e) => startDrag(e, { type: 'folder', id: folder.id, scope })}
+                    {...dropProps(folder.id)}
+                    onClick={() => onSelect(selected === key ? '' : key)}
+                    className={`group flex items-center py-1 pr-1 rounded text-sm cursor-pointer transition ${
+                        selected === key ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'
+                    } ${dropTarget === folder.id ? 'ring-2 ring-blue-400' : ''}`}
+                >
+                    <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            setCollapsed(prev => ({ ...prev, [folder.id]: !prev[folder.id] }));
+                        }}
+                        className={`${iconButton} ${subfolders.length ? '' : 'invisible'}`}
+                    >
+                        {collapsed[folder.id] ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                    </button>
+                    <Folder size={14} className="mx-1 flex-shrink-0 text-yellow-600" />
+                    {editing && editing.folderId === folder.id ? nameInput : <span className="flex-1 truncate">{folder.name}</span>}
+                    <span className="hidden group-hover:flex items-center" onClick={(e) => e.stopPropagation()}>
+                        <button onClick={() => startEditing({ parentId: folder.id })} className={iconButton} title="New subfolder">
+                            <FolderPlus size={12} />
+                        </button>
+                        <button onClick={() => startEditing({ folderId: folder.id }, folder.name)} className={iconButton} title="Rename">
+                            <Edit2 size={12} />
+                        </button>
+                        {canDelete && (
+                            <button onClick={() => onDelete(scope, folder)} className={iconButton} title="Delete folder">
+                                <Trash size={12} />
+                            </button>
+                        )}
+                    </span>
+                </div>
+                {!collapsed[folder.id] && (subfolders.length > 0 || isCreatingHere) && (
+                    <ul className="pl-4">
+                        {subfolders.map(renderFolder)}
+                        {isCreatingHere && <li className="flex items-center py-1"><Folder size={14} className="mx-1 text-yellow-600" />{nameInput}</li>}
+                    </ul>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <div>
+            <div
+                {...dropProps(null)}
+                onClick={() => onSelect('')}
+                className={`group flex items-center justify-between p-1 rounded text-sm font-semibold cursor-pointer transition ${
+                    selected ? 'text-gray-800' : 'text-blue-800'
+                } hover:bg-gray-100 ${dropTarget === 'root' ? 'ring-2 ring-blue-400' : ''}`}
+                title="Drop here to move to the top level"
+            >
+                {title}
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        startEditing({ parentId: null });
+                    }}
+                    className={iconButton}
+                    title="New folder"
+                >
+                    <FolderPlus size={14} />
+                </button>
+            </div>
+            <ul>
+                {(children[''] || []).map(renderFolder)}
+                {editing && editing.parentId === null && (
+                    <li className="flex items-center py-1"><Folder size={14} className="mx-1 text-yellow-600" />{nameInput}</li>
+                )}
+            </ul>
+            {folders.length === 0 && !editing && <p className="px-1 text-xs text-gray-400">No folders yet.</p>}
+        </div>
+    );
+};
+
+// Dashboard sidebar with both folder trees and the tags in use
+const OrganizerSidebar = ({ privateFolders, publicFolders, tags, tagColors, filters, userId, onFilterChange, onCreateFolder, onRenameFolder, onDeleteFolder, onDropItem, onTagColorChange }) => {
+    const [pickingColorFor, setPickingColorFor] = useState(null);
+    const treeProps = {
+        selected: filters.folder,
+        userId,
+        onSelect: (folder) => onFilterChange({ ...filters, folder }),
+        onCreate: onCreateFolder,
+        onRename: onRenameFolder,
+        onDelete: onDeleteFolder,
+        onDropItem,
+    };
+
+    return (
+        <aside className="p-4 bg-white rounded-xl shadow-lg border space-y-6 self-start">
+            <FolderTree scope="private" title="My Private Files" folders={privateFolders} {...treeProps} />
+            <FolderTree scope="public" title="Shared Public Files" folders={publicFolders} {...treeProps} />
+            <div>
+                <h3 className="p-1 text-sm font-semibold text-gray-800 flex items-center">
+                    <Tag size={14} className="mr-1" /> Tags
+                </h3>
+                {tags.length === 0 ? (
+                    <p className="px-1 text-xs text-gray-400">No tags yet. Add them in the editor.</p>
+                ) : (
+                    <ul>
+                        {tags.map(tag => (
+                            <li key={tag}>
+                                <div
+                                    onClick={() => onFilterChange({ ...filters, tag: filters.tag === tag ? '' : tag })}
+                                    className={`flex items-center py-1 px-1 rounded text-sm cursor-pointer transition ${
+                                        filters.tag === tag ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'
+                                    }`}
+                                >
+                                    <button
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setPickingColorFor(pickingColorFor === tag ? null : tag);
+                                        }}
+                                        className={`w-3 h-3 mr-2 rounded-full flex-shrink-0 ${getTagClasses(tagColors, tag).dot}`}
+                                        title="Change color"
+                                    />
+                                    <span className="truncate">#{tag}</span>
+                                </div>
+                                {pickingColorFor === tag && (
+                                    <div className="flex flex-wrap gap-1 py-1 pl-6">
+                                        {Object.entries(TAG_COLORS).map(([color, classes]) => (
+                                            <button
+                                                key={color}
+                                                onClick={() => {
+                                                    onTagColorChange(tag, color);
+                                                    setPickingColorFor(null);
+                                                }}
+                                                className={`w-4 h-4 rounded-full ${classes.dot} ${(tagColors[tag] || DEFAULT_TAG_COLOR) === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+                                                title={color}
+                                            />
+                                        ))}
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </aside>
+    );
+};
+
+// --- Sharing Panel ---
+const SharePanel = ({ document, userId, onShare, onUnshare }) => {
+    const [inviteeId, setInviteeId] = useState('');
+    const [role, setRole] = useState('editor');
+    const collaborators = Object.entries(document.acl || {});
+
+    const handleInvite = (e) => {
+        e.preventDefault();
+        onShare(document, inviteeId.trim(), role);
+        setInviteeId('');
+    };
+
+    const selectClasses = "p-1 text-xs border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+
+    return (
+        <div className="w-96 flex-shrink-0 flex flex-col min-h-0 border border-gray-200 rounded-lg">
+            <h3 className="p-3 text-sm font-semibold text-gray-800 border-b bg-gray-50 flex items-center">
+                <Share2 className="mr-2 text-blue-600" size={16} /> Share Document
+            </h3>
+            <form onSubmit={handleInvite} className="p-3 border-b space-y-2">
+                <input
+                    type="text"
+                    value={inviteeId}
+                    onChange={(e) => setInviteeId(e.target.value)}
+                    placeholder="Collaborator's user ID"
+                    required
+                    className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                />
+                <div className="flex items-center space-x-2">
+                    <select value={role} onChange={(e) => setRole(e.target.value)} className={`flex-1 ${selectClasses}`}>
+                        {INVITE_ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                    </select>
+                    <button
+                        type="submit"
+                        className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition flex items-center"
+                    >
+                        <UserPlus className="mr-1" size={14} /> Invite
+                    </button>
+                </div>
+            </form>
+            <ul className="flex-1 overflow-y-auto divide-y divide-gray-200">
+                <li className="flex justify-between items-center p-2 text-sm">
+                    <span className="flex items-center min-w-0 text-gray-900">
+                        <UserAvatar userId={document.authorId} className="w-6 h-6 mr-2 flex-shrink-0" />
+                        <UserName userId={document.authorId} currentUserId={userId} />
+                    </span>
+                    <span className="text-xs text-gray-500">{ROLE_LABELS.owner}</span>
+                </li>
+                {collaborators.map(([collaboratorId, collaboratorRole]) => (
+                    <li key={collaboratorId} className="flex justify-between items-center p-2 text-sm">
+                        <span className="flex items-center min-w-0 pr-2 text-gray-900" title={collaboratorId}>
+                            <UserAvatar userId={collaboratorId} className="w-6 h-6 mr-2 flex-shrink-0" />
+                            <span className="truncate"><UserName userId={collaboratorId} currentUserId={userId} /></span>
+                        </span>
+                        <div className="flex items-center space-x-2 flex-shrink-0">
+                            <select
+                                value={collaboratorRole}
+                                onChange={(e) => onShare(document, collaboratorId, e.target.value)}
+                                className={selectClasses}
+                            >
+                                {INVITE_ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                            </select>
+                            <button
+                                onClick={() => onUnshare(document, collaboratorId)}
+                                className="p-1 text-red-600 hover:text-white hover:bg-red-600 bg-red-100 rounded-full transition"
+                                title="Remove access"
+                            >
+                                <X size={14} />
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- Comments ---
+//
+// Comments live in a `comments` subcollection beside the document. A thread starts with a
+// root comment anchored to a range of the text; replies point at it through `parentId`.
+// The document keeps an `openComments` count of unresolved threads for the lists.
+
+const ANCHOR_CONTEXT = 32;
+const MENTION_PATTERN = /@([A-Za-z0-9_-]{6,})/g;
+
+const extractMentions = (body) => [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1]))];
+
+// Besides the offsets, an anchor keeps the quoted text and a little of its surroundings
+const createAnchor = (text, start, end) => ({
+  start,
+  end,
+  quote: text.slice(start, end),
+  prefix: text.slice(Math.max(0, start - ANCHOR_CONTEXT), start),
+  suffix: text.slice(end, end + ANCHOR_CONTEXT),
+});
+
+const countMatchingStart = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+};
+
+const countMatchingEnd = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+};
+
+// Finds the anchored text again after edits elsewhere: of all occurrences of the quote,
+// the one whose surroundings match best, then the one nearest the original offset.
+// Returns null once the quoted text itself was changed or removed.
+const resolveAnchor = (anchor, text) => {
+  const { start, quote, prefix = '', suffix = '' } = anchor || {};
+  if (!quote) return null;
+  let best = null;
+  for (let index = text.indexOf(quote); index !== -1; index = text.indexOf(quote, index + 1)) {
+    const end = index + quote.length;
+    const score = countMatchingEnd(text.slice(Math.max(0, index - prefix.length), index), prefix)
+      + countMatchingStart(text.slice(end, end + suffix.length), suffix);
+    const distance = Math.abs(index - start);
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start: index, end, score, distance };
+    }
+  }
+  return best && { start: best.start, end: best.end };
+};
+
+// Subscribes to a document's comments, oldest first
+const useComments = (docRef, onError) => {
+  const [comments, setComments] = useState([]);
+
+  useEffect(() => {
+    if (!docRef) return;
+    const commentsQuery = query(collection(docRef, 'comments'), orderBy('createdAt'));
+    const unsubscribe = onSnapshot(commentsQuery, (snapshot) => {
+      setComments(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (e) => {
+      console.error("Firestore comments error:", e);
+      onError("Failed to load comments.", e);
+    });
+    return () => unsubscribe();
+  }, [docRef, onError]);
+
+  return comments;
+};
+
+// Renders a comment with its @mentions highlighted; mentions of the reader stand out
+const CommentBody = ({ body, userId }) => (
+    <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+        {body.split(/(@[A-Za-z0-9_-]{6,})/).map((part, index) => {
+            if (index % 2 === 0) return part;
+            const mentionedId = part.slice(1);
+            return (
+                <span
+                    key={index}
+                    title={mentionedId}
+                    className={`px-1 font-medium rounded ${mentionedId === userId ? 'bg-yellow-200 text-yellow-900' : 'bg-blue-100 text-blue-800'}`}
+                >
+                    @<UserName userId={mentionedId} currentUserId={userId} you="you" />
+                </span>
+            );
+        })}
+    </p>
+);
+
+// Comment box that suggests participants after an "@", matching their ID or display
+// name. The mention itself stores the ID.
+const CommentInput = ({ value, onChange, onSubmit, participants, profiles, placeholder, submitLabel }) => {
+    const mention = value.match(/@([A-Za-z0-9_-]*)$/);
+    const matchesMention = (id) => id.startsWith(mention[1])
+        || getDisplayName(profiles[id], id).toLowerCase().startsWith(mention[1].toLowerCase());
+    const suggestions = mention
+        ? participants.filter(id => matchesMention(id) && id !== mention[1]).slice(0, 5)
+        : [];
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (value.trim()) onSubmit();
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-1">
+            <textarea
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder={placeholder}
+                rows={2}
+                className="w-full p-2 text-sm border border-gray-300 rounded-lg resize-none focus:ring-blue-500 focus:border-blue-500"
+            />
+            {suggestions.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                    {suggestions.map(id => (
+                        <button
+                            key={id}
+                            type="button"
+                            onClick={() => onChange(value.slice(0, value.length - mention[1].length) + id + ' ')}
+                            className="px-2 text-xs text-blue-700 bg-blue-100 rounded-full hover:bg-blue-200 transition"
+                            title={id}
+                        >
+                            @{getDisplayName(profiles[id], id)}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <div className="flex justify-end">
+                <button
+                    type="submit"
+                    disabled={!value.trim()}
+                    className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                >
+                    {submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const CommentsPanel = ({ docRef, document, comments, userId, role, content, textareaRef, requestConfirmation, notify }) => {
+    const [filter, setFilter] = useState('open'); // 'open' | 'resolved' | 'all'
+    const [pendingAnchor, setPendingAnchor] = useState(null);
+    const [newComment, setNewComment] = useState('');
+    const [replies, setReplies] = useState({}); // Reply drafts by thread id
+    const [activeThreadId, setActiveThreadId] = useState(null);
+    const canComment = canCommentRole(role) && !document.trashedAt;
+
+    // Threads in text order; those whose text is gone come last
+    const threads = useMemo(() => {
+        const repliesByThread = {};
+        comments.filter(c => c.parentId).forEach((reply) => {
+            (repliesByThread[reply.parentId] = repliesByThread[reply.parentId] || []).push(reply);
+        });
+        return comments
+            .filter(c => !c.parentId)
+            .map(thread => ({ ...thread, range: resolveAnchor(thread.anchor, content), replies: repliesByThread[thread.id] || [] }))
+            .sort((a, b) => (a.range ? a.range.start : Infinity) - (b.range ? b.range.start : Infinity) || a.createdAt - b.createdAt);
+    }, [comments, content]);
+    const visibleThreads = threads.filter(thread => filter === 'all' || (filter === 'resolved') === !!thread.resolved);
+
+    const participants = useMemo(() => {
+        const ids = new Set([document.authorId, ...Object.keys(document.acl || {}), ...comments.map(c => c.authorId)]);
+        ids.delete(userId);
+        return [...ids].filter(Boolean);
+    }, [document.authorId, document.acl, comments, userId]);
+    const profiles = useProfiles([...participants, ...comments.map(c => c.resolvedBy)]);
+
+    const startComment = () => {
+        const textarea = textareaRef.current;
+        if (!textarea) {
+            notify('warning', "Switch to the Write or Split view to select the text you want to comment on.");
+            return;
+        }
+        if (textarea.selectionStart === textarea.selectionEnd) {
+            notify('warning', "Select the text you want to comment on first.");
+            return;
+        }
+        setPendingAnchor(createAnchor(content, textarea.selectionStart, textarea.selectionEnd));
+    };
+
+    const focusThread = (thread) => {
+        setActiveThreadId(thread.id);
+        const textarea = textareaRef.current;
+        if (thread.range && textarea) {
+            textarea.focus();
+            textarea.setSelectionRange(thread.range.start, thread.range.end);
+        }
+    };
+
+    const commit = async (batch, failure) => {
+        try {
+            await commitWrite(batch.commit());
+            return true;
+        } catch (e) {
+            console.error(`${failure}:`, e);
+            notify('error', `${failure}.`, e);
+            return false;
+        }
+    };
+
+    const addThread = async () => {
+        const body = newComment.trim();
+        const batch = writeBatch(db);
+        batch.set(doc(collection(docRef, 'comments')), {
+            parentId: null,
+            anchor: pendingAnchor,
+            body,
+            mentions: extractMentions(body),
+            authorId: userId,
+            resolved: false,
+            createdAt: Date.now(),
+        });
+        batch.update(docRef, { openComments: increment(1) });
+        if (await commit(batch, "Failed to add comment")) {
+            setNewComment('');
+            setPendingAnchor(null);
+        }
+    };
+
+    const addReply = async (thread) => {
+        const body = (replies[thread.id] || '').trim();
+        const batch = writeBatch(db);
+        batch.set(doc(collection(docRef, 'comments')), {
+            parentId: thread.id,
+            body,
+            mentions: extractMentions(body),
+            authorId: userId,
+            createdAt: Date.now(),
+        });
+        if (await commit(batch, "Failed to add reply")) {
+            setReplies(prev => ({ ...prev, [thread.id]: '' }));
+        }
+    };
+
+    const setResolved = (thread, resolved) => {
+        const batch = writeBatch(db);
+        batch.update(doc(collection(docRef, 'comments'), thread.id), {
+            resolved,
+            resolvedBy: resolved ? userId : deleteField(),
+            resolvedAt: resolved ? Date.now() : deleteField(),
+        });
+        batch.update(docRef, { openComments: increment(resolved ? -1 : 1) });
+        commit(batch, resolved ? "Failed to resolve comment" : "Failed to reopen comment");
+    };
+
+    const deleteComment = async (comment, thread) => {
+        const isThread = comment.id === thread.id;
+        const question = isThread ? "Delete this comment and all its replies?" : "Delete this reply?";
+        if (!await requestConfirmation(question, 'Delete')) return;
+        const batch = writeBatch(db);
+        batch.delete(doc(collection(docRef, 'comments'), comment.id));
+        if (isThread) {
+            thread.replies.forEach(reply => batch.delete(doc(collection(docRef, 'comments'), reply.id)));
+            if (!thread.resolved) batch.update(docRef, { openComments: increment(-1) });
+        }
+        commit(batch, "Failed to delete comment");
+    };
+
+    const describe = (comment) => {
+        const author = comment.authorId === userId ? 'You' : getDisplayName(profiles[comment.authorId], comment.authorId);
+        return `${author} · ${new Date(comment.createdAt).toLocaleString()}`;
+    };
+    const canDelete = (comment) => comment.authorId === userId || role === 'owner';
+    const filterClasses = (value) => `px-2 py-1 text-xs font-medium rounded-lg transition ${
+        filter === value ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'
+    }`;
+
+    return (
+        <div className="w-96 flex-shrink-0 flex flex-col min-h-0 border border-gray-200 rounded-lg">
+            <h3 className="p-3 text-sm font-semibold text-gray-800 border-b bg-gray-50 flex items-center">
+                <MessageSquare className="mr-2 text-blue-600" size={16} /> Comments
+            </h3>
+            <div className="p-2 border-b flex items-center space-x-1">
+                <button onClick={() => setFilter('open')} className={filterClasses('open')}>Open</button>
+                <button onClick={() => setFilter('resolved')} className={filterClasses('resolved')}>Resolved</button>
+                <button onClick={() => setFilter('all')} className={filterClasses('all')}>All</button>
+                {canComment && !pendingAnchor && (
+                    <button
+                        onClick={startComment}
+                        className="ml-auto px-2 py-1 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition flex items-center"
+                        title="Select text in the document, then comment on it"
+                    >
+                        <PlusCircle className="mr-1" size={14} /> Comment
+                    </button>
+                )}
+            </div>
+            {pendingAnchor && (
+                <div className="p-3 border-b space-y-2 bg-blue-50">
+                    <div className="flex items-start justify-between">
+                        <p className="text-xs text-gray-600 italic line-clamp-2">“{pendingAnchor.quote}”</p>
+                        <button onClick={() => setPendingAnchor(null)} className="text-gray-400 hover:text-gray-600 transition">
+                            <X size={14} />
+                        </button>
+                    </div>
+                    <CommentInput
+                        value={newComment}
+                        onChange={setNewComment}
+                        onSubmit={addThread}
+                        participants={participants}
+                        profiles={profiles}
+                        placeholder="Add a comment. Use @ to mention someone."
+                        submitLabel="Comment"
+                    />
+                </div>
+            )}
+            <ul className="flex-1 overflow-y-auto divide-y divide-gray-200">
+                {visibleThreads.length === 0 ? (
+                    <li className="p-3 text-xs text-gray-500">
+                        {filter === 'resolved' ? 'No resolved comments.' : 'No comments yet. Select some text and add one.'}
+                    </li>
+                ) : visibleThreads.map(thread => (
+                    <li
+                        key={thread.id}
+                        className={`p-3 space-y-2 ${activeThreadId === thread.id ? 'bg-blue-50' : ''} ${thread.resolved ? 'opacity-75' : ''}`}
+                    >
+                        <button onClick={() => focusThread(thread)} className="w-full text-left" title={thread.range ? 'Show in the document' : undefined}>
+                            <p className={`text-xs italic line-clamp-2 ${thread.range ? 'text-gray-600' : 'text-gray-400 line-through'}`}>
+                                “{thread.anchor ? thread.anchor.quote : ''}”
+                            </p>
+                            {!thread.range && <p className="text-xs text-gray-400">The commented text was changed or removed.</p>}
+                        </button>
+                        {[thread, ...thread.replies].map(comment => (
+                            <div key={comment.id} className={comment.id === thread.id ? '' : 'pl-4 flex'}>
+                                {comment.id !== thread.id && <CornerDownRight className="mr-1 flex-shrink-0 text-gray-400" size={14} />}
+                                <div className="flex-1 min-w-0">
+                                    <div className="flex items-center justify-between">
+                                        <p className="text-xs text-gray-500">
+                                            {describe(comment)}
+                                            {(comment.mentions || []).includes(userId) && <span className="ml-1 text-yellow-700">· mentions you</span>}
+                                        </p>
+                                        {canDelete(comment) && (
+                                            <button
+                                                onClick={() => deleteComment(comment, thread)}
+                                                className="text-gray-400 hover:text-red-600 transition"
+                                                title="Delete"
+                                            >
+                                                <Trash size={12} />
+                                            </button>
+                                        )}
+                                    </div>
+                                    <CommentBody body={comment.body} userId={userId} />
+                                </div>
+                            </div>
+                        ))}
+                        {thread.resolved && (
+                            <p className="text-xs text-green-700 flex items-center">
+                                <Check className="mr-1" size={12} /> Resolved by {thread.resolvedBy === userId ? 'you' : getDisplayName(profiles[thread.resolvedBy], thread.resolvedBy)}
+                            </p>
+                        )}
+                        {canComment && (
+                            <div className="space-y-1">
+                                {!thread.resolved && (
+                                    <CommentInput
+                                        value={replies[thread.id] || ''}
+                                        onChange={(value) => setReplies(prev => ({ ...prev, [thread.id]: value }))}
+                                        onSubmit={() => addReply(thread)}
+                                        participants={participants}
+                                        profiles={profiles}
+                                        placeholder="Reply..."
+                                        submitLabel="Reply"
+                                    />
+                                )}
+                                <button
+                                    onClick={() => setResolved(thread, !thread.resolved)}
+                                    className="text-xs font-medium text-blue-600 hover:text-blue-800 transition"
+                                >
+                                    {thread.resolved ? 'Reopen' : 'Resolve'}
+                                </button>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- Presence ---
+//
+// Each open editor keeps a heartbeat record in the document's `presence` subcollection,
+// one per user and tab. A record whose heartbeat is older than PRESENCE_TIMEOUT counts
+// as gone, which covers tabs that closed without removing it.
+
+const PRESENCE_HEARTBEAT = 20 * 1000;
+const PRESENCE_TIMEOUT = 60 * 1000;
+const SELECTION_THROTTLE = 250;
+const PRESENCE_COLORS = [
+  { avatar: 'bg-blue-600', caret: 'border-blue-600', selection: 'bg-blue-200' },
+  { avatar: 'bg-green-600', caret: 'border-green-600', selection: 'bg-green-200' },
+  { avatar: 'bg-pink-600', caret: 'border-pink-600', selection: 'bg-pink-200' },
+  { avatar: 'bg-orange-600', caret: 'border-orange-600', selection: 'bg-orange-200' },
+  { avatar: 'bg-purple-600', caret: 'border-purple-600', selection: 'bg-purple-200' },
+  { avatar: 'bg-cyan-600', caret: 'border-cyan-600', selection: 'bg-cyan-200' },
+  { avatar: 'bg-yellow-600', caret: 'border-yellow-600', selection: 'bg-yellow-200' },
+  { avatar: 'bg-red-600', caret: 'border-red-600', selection: 'bg-red-200' },
+];
+
+// Records written by this tab, removed together on sign-out
+const activePresence = new Set();
+
+const getPresenceRef = (docRef, userId) => doc(collection(docRef, 'presence'), `${userId}_${clientId}`);
+
+const leavePresence = (presenceRef) => {
+  if (!activePresence.delete(presenceRef)) return Promise.resolve();
+  return deleteDoc(presenceRef).catch(e => console.error("Failed to remove presence:", e));
+};
+
+const leaveAllPresence = () => Promise.all([...activePresence].map(leavePresence));
+
+const getPresenceColor = (userId) => PRESENCE_COLORS[Math.abs(hashString(userId)) % PRESENCE_COLORS.length];
+
+const isPresenceFresh = (session, now) => now - session.lastSeen < PRESENCE_TIMEOUT;
+
+// Re-renders regularly so expired sessions drop out without a new snapshot
+const usePresenceClock = () => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), PRESENCE_HEARTBEAT / 2);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
+
+// Announces this tab in a document and returns the other live sessions in it.
+// `updateSelection` shares the local caret or selection for remote cursors.
+const useDocumentPresence = (docRef, userId, mode) => {
+  const [sessions, setSessions] = useState([]);
+  const presenceRef = useMemo(() => (docRef && userId ? getPresenceRef(docRef, userId) : null), [docRef, userId]);
+  const selection = useRef(null);
+  const selectionTimer = useRef(null);
+  const now = usePresenceClock();
+
+  const publish = useCallback(() => {
+    // Heartbeats would only pile up in the offline write queue
+    if (!presenceRef || isOffline()) return;
+    activePresence.add(presenceRef);
+    setDoc(presenceRef, { userId, clientId, mode, selection: selection.current, lastSeen: Date.now() })
+      .catch(e => console.error("Failed to update presence:", e));
+  }, [presenceRef, userId, mode]);
+
+  // Heartbeat while the editor is open; leave when it closes or the tab goes away
+  useEffect(() => {
+    if (!presenceRef) return;
+    publish();
+    const timer = setInterval(publish, PRESENCE_HEARTBEAT);
+    const handlePageHide = () => leavePresence(presenceRef);
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('online', publish);
+    return () => {
+      clearInterval(timer);
+      clearTimeout(selectionTimer.current);
+      selectionTimer.current = null;
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('online', publish);
+      leavePresence(presenceRef);
+    };
+  }, [presenceRef, publish]);
+
+  useEffect(() => {
+    if (!docRef) return;
+    const unsubscribe = onSnapshot(collection(docRef, 'presence'), (snapshot) => {
+      setSessions(snapshot.docs.map(d => d.data()));
+      // Records our own crashed tabs left behind are removed by the next session
+      snapshot.docs.forEach((d) => {
+        const session = d.data();
+        if (session.userId === userId && session.clientId !== clientId && !isPresenceFresh(session, Date.now())) {
+          deleteDoc(d.ref).catch(e => console.error("Failed to remove stale presence:", e));
+        }
+      });
+    }, (e) => {
+      console.error("Firestore presence error:", e);
+    });
+    return () => unsubscribe();
+  }, [docRef, userId]);
+
+  const updateSelection = useCallback((start, end) => {
+    selection.current = { start, end };
+    if (selectionTimer.current) return;
+    selectionTimer.current = setTimeout(() => {
+      selectionTimer.current = null;
+      publish();
+    }, SELECTION_THROTTLE);
+  }, [publish]);
+
+  const others = useMemo(
+    () => sessions.filter(session => session.clientId !== clientId && isPresenceFresh(session, now)),
+    [sessions, now]
+  );
+
+  return { sessions: others, updateSelection };
+};
+
+// Live sessions of the documents shown in a list, looked up per document
+const useListPresence = (documents) => {
+  const [sessionsByPath, setSessionsByPath] = useState({});
+  const listeners = useRef(new Map());
+  const now = usePresenceClock();
+  const pathKey = documents.map(d => getDocumentRef(d).path).join('|');
+
+  useEffect(() => {
+    const wanted = new Set(pathKey ? pathKey.split('|') : []);
+    listeners.current.forEach((unsubscribe, path) => {
+      if (wanted.has(path)) return;
+      unsubscribe();
+      listeners.current.delete(path);
+      setSessionsByPath(prev => omitFields(prev, [path]));
+    });
+    wanted.forEach((path) => {
+      if (listeners.current.has(path)) return;
+      listeners.current.set(path, onSnapshot(collection(db, path, 'presence'), (snapshot) => {
+        setSessionsByPath(prev => ({ ...prev, [path]: snapshot.docs.map(d => d.data()) }));
+      }, (e) => {
+        console.error("Firestore presence error:", e);
+      }));
+    });
+  }, [pathKey]);
+
+  useEffect(() => () => {
+    listeners.current.forEach(unsubscribe => unsubscribe());
+    listeners.current.clear();
+  }, []);
+
+  return useCallback(
+    (docItem) => (sessionsByPath[getDocumentRef(docItem).path] || []).filter(session => isPresenceFresh(session, now)),
+    [sessionsByPath, now]
+  );
+};
+
+// One chip per user; a ring marks users who are editing rather than viewing
+const PresenceAvatars = ({ sessions, userId, max = 4 }) => {
+    const users = [];
+    sessions.forEach((session) => {
+        const existing = users.find(u => u.userId === session.userId);
+        if (!existing) users.push({ userId: session.userId, mode: session.mode });
+        else if (session.mode === 'editing') existing.mode = 'editing';
+    });
+    const profiles = useProfiles(users.map(u => u.userId));
+    if (users.length === 0) return null;
+
+    return (
+        <div className="flex -space-x-2">
+            {users.slice(0, max).map(user => (
+                <span
+                    key={user.userId}
+                    title={`${user.userId === userId ? 'You, in another tab' : getDisplayName(profiles[user.userId], user.userId)} · ${user.mode}`}
+                    className={`w-7 h-7 rounded-full text-white text-xs font-semibold flex items-center justify-center border-2 border-white ${getPresenceColor(user.userId).avatar} ${user.mode === 'editing' ? 'ring-2 ring-green-400' : ''}`}
+                >
+                    {getInitials(getDisplayName(profiles[user.userId], user.userId))}
+                </span>
+            ))}
+            {users.length > max && (
+                <span className="w-7 h-7 rounded-full text-xs font-semibold flex items-center justify-center border-2 border-white bg-gray-300 text-gray-700">
+                    +{users.length - max}
+                </span>
+            )}
+        </div>
+    );
+};
+
+// Other sessions' carets and selections, drawn over the textarea in a transparent copy
+// of its text so they wrap the same way. The parent keeps its scroll position in sync.
+const RemoteCursors = ({ text, sessions, overlayRef }) => {
+    const marks = sessions
+        .filter(session => session.selection)
+        .map(session => ({
+            ...session,
+            start: Math.min(session.selection.start, text.length),
+            end: Math.min(session.selection.end, text.length),
+            color: getPresenceColor(session.userId),
+        }));
+    const points = [...new Set([0, text.length, ...marks.flatMap(m => [m.start, m.end])])].sort((a, b) => a - b);
+
+    const parts = [];
+    points.forEach((point, index) => {
+        marks.filter(m => m.end === point).forEach((m) => {
+            parts.push(
+                <span key={`caret-${m.clientId}`} className={`relative border-l-2 -mr-0.5 ${m.color.caret}`}>
+                    <span className={`absolute bottom-full left-0 px-1 text-xs leading-tight text-white rounded whitespace-nowrap ${m.color.avatar}`}>
+                        <UserName userId={m.userId} />
+                    </span>
+                </span>
+            );
+        });
+        const next = points[index + 1];
+        if (next === undefined) return;
+        const segment = text.slice(point, next);
+        const covering = marks.find(m => m.start <= point && m.end >= next);
+        parts.push(covering ? <span key={`range-${point}`} className={`${covering.color.selection} bg-opacity-60`}>{segment}</span> : segment);
+    });
+
+    return (
+        <div
+            ref={overlayRef}
+            aria-hidden="true"
+            className="absolute inset-0 p-4 border border-transparent font-mono text-sm whitespace-pre-wrap break-words overflow-hidden pointer-events-none text-transparent"
+        >
+            {parts}{' '}
+        </div>
+    );
+};
+
+// --- Attachments ---
+//
+// Files attached to a document are stored in Cloud Storage under the document's path
+// and listed in its `attachments` subcollection ({ name, size, contentType, uploadedBy,
+// createdAt }), so both follow the document's access rules. Images are downloaded
+// through the SDK rather than by public URL and shown from object URLs.
+
+const isImageAttachment = (attachment) => attachment.contentType.startsWith('image/');
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Why a file cannot be attached, or null when it can
+const checkAttachment = (file) => {
+  if (!ATTACHMENT_TYPES[file.type]) return `'${file.name}' cannot be attached: only images, PDFs, text, spreadsheets and Office documents are supported.`;
+  if (file.size > ATTACHMENT_MAX_BYTES) return `'${file.name}' is larger than the ${formatFileSize(ATTACHMENT_MAX_BYTES)} limit for attachments.`;
+  return null;
+};
+
+// Markdown that shows an image attachment inline
+const getAttachmentMarkdown = (attachment) => `![${attachment.name.replace(/[[\]]/g, '')}](attachment:${attachment.id})`;
+
+// The document's attachments, plus object URLs of its images by attachment id
+const useAttachments = (docRef, onError) => {
+  const [attachments, setAttachments] = useState([]);
+  const [urls, setUrls] = useState({});
+  const loadedUrls = useRef({});
+
+  useEffect(() => {
+    if (!docRef) return;
+    const attachmentsQuery = query(collection(docRef, 'attachments'), orderBy('createdAt'));
+    const unsubscribe = onSnapshot(attachmentsQuery, (snapshot) => {
+      setAttachments(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (e) => {
+      console.error("Firestore attachments error:", e);
+      onError("Failed to load the attachments.", e);
+    });
+    return () => unsubscribe();
+  }, [docRef, onError]);
+
+  useEffect(() => {
+    if (!docRef || !storage) return;
+    let cancelled = false;
+    const wanted = new Set(attachments.filter(isImageAttachment).map(attachment => attachment.id));
+    Object.keys(loadedUrls.current).forEach((id) => {
+      if (wanted.has(id)) return;
+      URL.revokeObjectURL(loadedUrls.current[id]);
+      delete loadedUrls.current[id];
+    });
+    setUrls({ ...loadedUrls.current });
+    [...wanted].filter(id => !loadedUrls.current[id]).forEach(async (id) => {
+      try {
+        const blob = await getBlob(getAttachmentFileRef(docRef, id));
+        if (cancelled || loadedUrls.current[id]) return;
+        loadedUrls.current[id] = URL.createObjectURL(blob);
+        setUrls({ ...loadedUrls.current });
+      } catch (e) {
+        console.error("Failed to load an attached image:", e);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [docRef, attachments]);
+
+  useEffect(() => () => {
+    Object.values(loadedUrls.current).forEach(url => URL.revokeObjectURL(url));
+    loadedUrls.current = {};
+  }, []);
+
+  return { attachments, urls };
+};
+
+const AttachmentsPanel = ({ docRef, document, userId, canEdit, attachments, urls, onInsert, requestConfirmation, notify }) => {
+    const [isUploading, setIsUploading] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const upload = async (files) => {
+        if (isOffline()) {
+            notify('warning', "Files can only be attached while you are online.");
+            return;
+        }
+        setIsUploading(true);
+        for (const file of files) {
+            const problem = checkAttachment(file);
+            if (problem) {
+                notify('warning', problem);
+                continue;
+            }
+            const attachmentRef = doc(collection(docRef, 'attachments'));
+            const fileRef = getAttachmentFileRef(docRef, attachmentRef.id);
+            let isStored = false;
+            try {
+                await uploadBytes(fileRef, file, { contentType: file.type });
+                isStored = true;
+                const batch = writeBatch(db);
+                batch.set(attachmentRef, { name: file.name, size: file.size, contentType: file.type, uploadedBy: userId, createdAt: Date.now() });
+                batch.set(...getActivityEvent(document, userId, 'update', `Attached '${file.name}'`));
+                await commitWrite(batch.commit());
+            } catch (e) {
+                console.error("Error uploading attachment:", e);
+                notify('error', `Failed to attach '${file.name}'.`, e);
+                // A file without its listing would never be shown or cleaned up
+                if (isStored) deleteObject(fileRef).catch(err => console.error("Failed to remove an unlisted attachment:", err));
+            }
+        }
+        setIsUploading(false);
+    };
+
+    const download = async (attachment) => {
+        try {
+            downloadFile(attachment.name, await getBlob(getAttachmentFileRef(docRef, attachment.id)), attachment.contentType);
+        } catch (e) {
+            console.error("Error downloading attachment:", e);
+            notify('error', `Failed to download '${attachment.name}'.`, e);
+        }
+    };
+
+    const remove = async (attachment) => {
+        if (!await requestConfirmation(`Remove the attachment '${attachment.name}'? Images of it in the document will no longer show.`, 'Remove')) {
+            return;
+        }
+        try {
+            await deleteObject(getAttachmentFileRef(docRef, attachment.id)).catch((e) => {
+                if (e.code !== 'storage/object-not-found') throw e;
+            });
+            const batch = writeBatch(db);
+            batch.delete(doc(collection(docRef, 'attachments'), attachment.id));
+            batch.set(...getActivityEvent(document, userId, 'update', `Removed the attachment '${attachment.name}'`));
+            await commitWrite(batch.commit());
+        } catch (e) {
+            console.error("Error removing attachment:", e);
+            notify('error', `Failed to remove '${attachment.name}'.`, e);
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (canEdit && e.dataTransfer.files.length) upload([...e.dataTransfer.files]);
+    };
+
+    const handleFiles = (e) => {
+        if (e.target.files.length) upload([...e.target.files]);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="w-96 flex-shrink-0 flex flex-col min-h-0 border border-gray-200 rounded-lg">
+            <h3 className="p-3 text-sm font-semibold text-gray-800 border-b bg-gray-50 flex items-center">
+                <Paperclip className="mr-2 text-blue-600" size={16} /> Attachments
+            </h3>
+            {!storage ? (
+                <p className="p-3 text-sm text-gray-500">File attachments need a Cloud Storage bucket (`storageBucket`) in the Firebase configuration.</p>
+            ) : (
+                <>
+                    {canEdit && (
+                        <div
+                            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                            onDragLeave={() => setIsDragging(false)}
+                            onDrop={handleDrop}
+                            className={`m-3 p-4 border-2 border-dashed rounded-lg text-center text-xs transition ${
+                                isDragging ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500'
+                            }`}
+                        >
+                            {isUploading ? (
+                                <span className="flex items-center justify-center"><Loader className="animate-spin mr-2" size={14} /> Uploading...</span>
+                            ) : (
+                                <>
+                                    Drop files here, or{' '}
+                                    <button onClick={() => fileInputRef.current.click()} className="font-medium text-blue-600 hover:text-blue-800 transition">
+                                        browse
+                                    </button>
+                                    <br />
+                                    Images, PDFs, text, spreadsheets and Office documents up to {formatFileSize(ATTACHMENT_MAX_BYTES)}
+                                </>
+                            )}
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                multiple
+                                accept={Object.keys(ATTACHMENT_TYPES).join(',')}
+                                onChange={handleFiles}
+                                className="hidden"
+                            />
+                        </div>
+                    )}
+                    <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+                        {attachments.length === 0 && <li className="p-3 text-sm text-gray-500">No files attached yet.</li>}
+                        {attachments.map(attachment => (
+                            <li key={attachment.id} className="flex items-center p-2 text-sm">
+                                {urls[attachment.id]
+                                    ? <img src={urls[attachment.id]} alt="" className="w-10 h-10 mr-2 flex-shrink-0 rounded object-cover bg-gray-100" />
+                                    : <FileIcon className="w-10 mr-2 flex-shrink-0 text-gray-400" size={24} />}
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-medium text-gray-800 truncate" title={attachment.name}>{attachment.name}</p>
+                                    <p className="text-xs text-gray-500 truncate">
+                                        {formatFileSize(attachment.size)} · {ATTACHMENT_TYPES[attachment.contentType] || attachment.contentType} · <UserName userId={attachment.uploadedBy} currentUserId={userId} />
+                                    </p>
+                                </div>
+                                {onInsert && isImageAttachment(attachment) && (
+                                    <button onClick={() => onInsert(getAttachmentMarkdown(attachment))} className="p-1 text-gray-500 hover:text-blue-600 transition" title="Insert into the document">
+                                        <ImageIcon size={16} />
+                                    </button>
+                                )}
+                                <button onClick={() => download(attachment)} className="p-1 text-gray-500 hover:text-blue-600 transition" title="Download">
+                                    <Download size={16} />
+                                </button>
+                                {canEdit && (
+                                    <button onClick={() => remove(attachment)} className="p-1 text-gray-500 hover:text-red-600 transition" title="Remove">
+                                        <Trash size={16} />
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Local Draft Recovery ---
+
+const DRAFT_SAVE_DELAY = 500;
+const AUTOSAVE_DELAY = 1500;
+
+// Unsaved editor state is mirrored to localStorage so a crash or a closed tab loses nothing.
+// A draft records the server text and version it was written against, and the session
+// (`clientId`) whose operations are already part of it.
+const getDraftKey = (userId, docItem) =>
+  `draft:${appId}:${userId}:${docItem.isPublic ? 'public' : docItem.ownerId}:${docItem.id}`;
+
+const loadDraft = (userId, docItem) => {
+  try {
+    return JSON.parse(localStorage.getItem(getDraftKey(userId, docItem)));
+  } catch (e) {
+    return null;
+  }
+};
+
+const saveDraft = (userId, docItem, draft) => {
+  try {
+    localStorage.setItem(getDraftKey(userId, docItem), JSON.stringify(draft));
+  } catch (e) {
+    console.error("Failed to store the local draft:", e);
+  }
+};
+
+const clearDraft = (userId, docItem) => localStorage.removeItem(getDraftKey(userId, docItem));
+
+// Replays a draft's edits on top of the operations logged since it was written, up to
+// the version the editor has loaded. Operations the draft's own session managed to send
+// are already part of it and only move its base forward.
+const rebaseDraft = async (docRef, draft, server) => {
+  if (draft.version >= server.version) return draft.content;
+  let text = draft.base;
+  let mine = diffToOp(draft.base, draft.content);
+  const snapshot = await getDocs(query(
+    collection(docRef, 'ops'),
+    where('version', '>', draft.version),
+    where('version', '<=', server.version),
+    orderBy('version')
+  ));
+  snapshot.docs.map(entry => entry.data()).forEach((entry) => {
+    if (entry.clientId === draft.clientId) {
+      const draftText = applyOp(text, mine);
+      text = applyOp(text, entry.ops);
+      mine = diffToOp(text, draftText);
+    } else {
+      [mine] = transformOps(mine, entry.ops);
+      text = applyOp(text, entry.ops);
+    }
+  });
+  return applyOp(text, mine);
+};
+
+// --- Document Editor Component ---
+const DocumentEditor = ({ document, userId, tagColors, onClose, updateDocument, moveDocument, onMoved, shareDocument, unshareDocument, saveTemplate, onDirtyChange, requestConfirmation, notify }) => {
+    const [title, setTitle] = useState(document.title);
+    const [savedTitle, setSavedTitle] = useState(document.title); // Last title known to be stored
+    const [isSaving, setIsSaving] = useState(false);
+    const [isAutosaving, setIsAutosaving] = useState(false);
+    const [recoveredDraft, setRecoveredDraft] = useState(null);
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const reportError = useCallback((message, e) => notify('error', message, e), [notify]);
+    const [sidePanel, setSidePanel] = useState(null); // 'history' | 'activity' | 'share' | 'comments' | 'attachments' | 'template'
+    const [liveDocument, setLiveDocument] = useState(document);
+
+    // Content is synced live through the operation log; the ref must stay stable for the hook
+    const docRef = useMemo(
+        () => getDocumentRef(document),
+        [document]
+    );
+
+    // Metadata (title, acl) can change while the editor is open
+    useEffect(() => {
+        if (!docRef) return;
+        const unsubscribe = onSnapshot(docRef, (snapshot) => {
+            // Fields the snapshot no longer has must not linger from the previous one
+            if (snapshot.exists()) setLiveDocument(prev => ({ ...prev, moving: null, trashedAt: null, ...snapshot.data() }));
+        }, (e) => {
+            console.error("Firestore document error:", e);
+            notify('error', "Failed to load the document. Your access may have been removed.", e);
+        });
+        return () => unsubscribe();
+    }, [docRef, notify]);
+
+    const role = getDocumentRole(liveDocument, userId);
+    // Documents in the trash can be read but not changed until they are restored,
+    // and documents being moved until the move finishes
+    const isReadOnly = !canEditRole(role) || !!liveDocument.trashedAt || isMoving(liveDocument);
+    // Documents saved before formats existed have no `format` and stay plain text
+    const format = liveDocument.format || 'plain';
+    const [viewMode, setViewMode] = useState(isReadOnly ? 'preview' : 'split'); // Markdown only: 'edit' | 'split' | 'preview'
+    const handleSyncError = useCallback(
+        (e) => notify('error', "Failed to sync your changes.", e),
+        [notify]
+    );
+    const handleOfflineMerge = useCallback(
+        (count) => notify('info', `Your offline edits were synced and merged with ${count} change${count === 1 ? '' : 's'} made by others in the meantime.`),
+        [notify]
+    );
+    const { text: content, changeText, isLoaded, isSynced, isWaitingForNetwork, getServerState, textareaRef } = useCollaborativeText(
+        docRef,
+        userId,
+        handleSyncError,
+        handleOfflineMerge
+    );
+
+    const comments = useComments(docRef, reportError);
+    const { attachments, urls: attachmentUrls } = useAttachments(docRef, reportError);
+    const { sessions, updateSelection } = useDocumentPresence(docRef, userId, isReadOnly ? 'viewing' : 'editing');
+    const cursorOverlayRef = useRef(null);
+    const handleTextareaScroll = (e) => {
+        if (cursorOverlayRef.current) cursorOverlayRef.current.scrollTop = e.currentTarget.scrollTop;
+    };
+    const openThreadCount = comments.filter(c => !c.parentId && !c.resolved).length;
+
+    // This render's values (set below), for effects that run on some changes but read the rest as they are now
+    const latest = useRef(null);
+
+    // Typing is logged as one summarized event per burst of edits rather than per keystroke
+    const pendingEdit = useRef(null);
+    const autoRevision = useRef({ started: false, edited: false });
+    const editContent = (value) => {
+        // The content as this session found it is kept first; an empty document has nothing to keep
+        if (!autoRevision.current.started) {
+            autoRevision.current.started = true;
+            if (content !== '') {
+                recordAutoRevision(docRef, userId, savedTitle, content)
+                    .catch(e => console.error("Failed to record a revision:", e));
+            }
+        }
+        autoRevision.current.edited = true;
+        const { inserted, deleted } = measureEdit(content, value);
+        const edit = pendingEdit.current || { inserted: 0, deleted: 0 };
+        pendingEdit.current = { inserted: edit.inserted + inserted, deleted: edit.deleted + deleted };
+        changeText(value);
+    };
+    const flushEditActivity = () => {
+        const edit = pendingEdit.current;
+        if (!edit) return;
+        pendingEdit.current = null;
+        recordActivity(liveDocument, userId, 'update', `Edited the content (+${edit.inserted} / -${edit.deleted} characters)`)
+            .catch(e => console.error("Failed to record an edit:", e));
+    };
+    useEffect(() => {
+        if (!pendingEdit.current) return;
+        const timer = setTimeout(() => latest.current.flushEditActivity(), ACTIVITY_EDIT_DELAY);
+        return () => clearTimeout(timer);
+    }, [content]);
+    // A closing tab does not unmount the editor; the write is queued before the page goes away
+    useEffect(() => {
+        const handlePageHide = () => latest.current.flushEditActivity();
+        window.addEventListener('pagehide', handlePageHide);
+        return () => window.removeEventListener('pagehide', handlePageHide);
+    }, []);
+    const recordEditRevision = () => {
+        if (!autoRevision.current.edited || isReadOnly) return;
+        autoRevision.current.edited = false;
+        recordAutoRevision(docRef, userId, title, content)
+            .catch(e => console.error("Failed to record a revision:", e));
+    };
+    useEffect(() => {
+        const timer = setInterval(() => latest.current.recordEditRevision(), AUTO_REVISION_INTERVAL);
+        return () => clearInterval(timer);
+    }, []);
+    // Inserts text at the cursor, or at the end while the editor is hidden
+    const insertIntoContent = (text) => {
+        const position = textareaRef.current ? textareaRef.current.selectionEnd : content.length;
+        editContent(`${content.slice(0, position)}${text}${content.slice(position)}`);
+    };
+    useEffect(() => () => {
+        if (latest.current.liveDocument.movedTo) return;
+        latest.current.flushEditActivity();
+        latest.current.recordEditRevision();
+    }, []);
+
+    // A moved document leaves a tombstone pointing at its new location; follow it
+    // and carry over anything typed here that had not reached the old copy yet.
+    useEffect(() => {
+        const { isLoaded, content, onMoved } = latest.current;
+        if (liveDocument.movedTo) onMoved(liveDocument.movedTo, isLoaded ? content : undefined);
+    }, [liveDocument.movedTo]);
+
+    // Edits recovered from the previous location of a moved document
+    useEffect(() => {
+        const { document, isReadOnly, changeText } = latest.current;
+        if (isLoaded && document.pendingContent !== undefined && !isReadOnly) changeText(document.pendingContent);
+    }, [isLoaded]);
+
+    // A title renamed by someone else is adopted unless it is being edited here
+    useEffect(() => {
+        const { savedTitle } = latest.current;
+        if (liveDocument.title === savedTitle) return;
+        setTitle(prev => (prev === savedTitle ? liveDocument.title : prev));
+        setSavedTitle(liveDocument.title);
+    }, [liveDocument.title]);
+
+    // Content reaches the server through the operation log; only the title waits for a save
+    const isTitleDirty = !isReadOnly && title !== savedTitle;
+    const isDirty = isTitleDirty || !isSynced;
+
+    useEffect(() => {
+        if (!isTitleDirty) return;
+        const timer = setTimeout(async () => {
+            const { updateDocument, liveDocument } = latest.current;
+            setIsAutosaving(true);
+            if (await updateDocument(liveDocument, { title }, null, { silent: true })) setSavedTitle(title);
+            setIsAutosaving(false);
+        }, AUTOSAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [title, isTitleDirty]);
+
+    // Offer a draft left behind by a crash or a closed tab once the content has loaded
+    const awaitingDraftDecision = useRef(false);
+    useEffect(() => {
+        const { isReadOnly, userId, document, content, savedTitle } = latest.current;
+        if (!isLoaded || isReadOnly) return;
+        const draft = loadDraft(userId, document);
+        if (!draft) return;
+        if (draft.content === content && draft.title === savedTitle) {
+            clearDraft(userId, document);
+            return;
+        }
+        awaitingDraftDecision.current = true;
+        setRecoveredDraft(draft);
+    }, [isLoaded]);
+
+    const storeDraft = () => {
+        const server = getServerState();
+        saveDraft(userId, document, { title, content, base: server.text, version: server.version, clientId, savedAt: Date.now() });
+    };
+
+    latest.current = {
+        userId, document, liveDocument, content, savedTitle, isLoaded, isReadOnly, isDirty,
+        changeText, updateDocument, onMoved, flushEditActivity, recordEditRevision, storeDraft,
+    };
+
+    useEffect(() => {
+        const { isReadOnly, userId, document, storeDraft } = latest.current;
+        if (!isLoaded || isReadOnly || awaitingDraftDecision.current) return;
+        if (!isDirty) {
+            clearDraft(userId, document);
+            return;
+        }
+        const timer = setTimeout(storeDraft, DRAFT_SAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [isDirty, title, content, isLoaded]);
+
+    // Closing the editor (or signing out) with unsaved changes keeps them as a draft
+    useEffect(() => () => {
+        const { isDirty, isLoaded, isReadOnly, liveDocument, storeDraft } = latest.current;
+        if (isDirty && isLoaded && !isReadOnly && !liveDocument.movedTo) storeDraft();
+    }, []);
+
+    const handleRecoverDraft = async () => {
+        const draft = recoveredDraft;
+        try {
+            editContent(await rebaseDraft(docRef, draft, getServerState()));
+            if (draft.title !== savedTitle) setTitle(draft.title);
+        } catch (e) {
+            console.error("Failed to recover draft:", e);
+            notify('error', "Failed to recover your unsaved changes.", e);
+        }
+        awaitingDraftDecision.current = false;
+        setRecoveredDraft(null);
+    };
+
+    const handleDiscardDraft = () => {
+        clearDraft(userId, document);
+        awaitingDraftDecision.current = false;
+        setRecoveredDraft(null);
+    };
+
+    // Let the app guard sign-out, and the browser guard reloads and closed tabs
+    useEffect(() => {
+        onDirtyChange(isDirty);
+    }, [isDirty, onDirtyChange]);
+    useEffect(() => () => onDirtyChange(false), [onDirtyChange]);
+
+    useEffect(() => {
+        if (!isDirty) return;
+        const handleBeforeUnload = (e) => {
+            latest.current.storeDraft();
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+    }, [isDirty, title, content]);
+
+    const handleClose = async () => {
+        if (isDirty && !await requestConfirmation(
+            "Some changes have not been saved yet. Close anyway? They are kept on this device and offered again when you reopen the document.",
+            'Close'
+        )) {
+            return;
+        }
+        onClose();
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            if (await updateDocument(liveDocument, { title }, { title, content })) {
+                setSavedTitle(title);
+                autoRevision.current.edited = false;
+            }
+            // onClose(); // Optionally close after save
+        } catch (e) {
+            console.error("Save failed:", e);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Restoring never rewrites history: the old content becomes the newest revision
+    const handleRestore = async (revision) => {
+        changeText(revision.content);
+        setTitle(revision.title);
+        setIsSaving(true);
+        try {
+            const saved = await updateDocument(
+                liveDocument,
+                { title: revision.title },
+                { title: revision.title, content: revision.content, restoredFrom: revision.id }
+            );
+            if (saved) setSavedTitle(revision.title);
+        } catch (e) {
+            console.error("Restore failed:", e);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleTagsChange = (tags) => {
+        setLiveDocument(prev => ({ ...prev, tags }));
+        updateDocument(liveDocument, { tags });
+    };
+
+    const handleFormatChange = (newFormat) => {
+        setLiveDocument(prev => ({ ...prev, format: newFormat }));
+        updateDocument(liveDocument, { format: newFormat });
+    };
+
+    const handleExport = (type) => {
+        setShowExportMenu(false);
+        if (type === 'markdown') {
+            downloadFile(toFileName(title, 'md'), content, 'text/markdown');
+        } else if (type === 'html') {
+            downloadFile(toFileName(title, 'html'), renderDocumentHtml(title, content, format), 'text/html');
+        } else {
+            printDocument(renderDocumentHtml(title, content, format));
+        }
+    };
+
+    const togglePanel = (panel) => setSidePanel(sidePanel === panel ? null : panel);
+    const panelButtonClasses = (panel) => `px-3 py-2 text-sm font-medium rounded-lg transition flex items-center ${
+        sidePanel === panel ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'
+    }`;
+
+    return (
+        <div className="fixed inset-0 flex items-center justify-center p-4 bg-black bg-opacity-70 z-50">
+            <div className={`bg-white p-8 rounded-xl shadow-2xl ${sidePanel ? 'max-w-6xl' : 'max-w-3xl'} w-full h-5/6 flex flex-col`}>
+                <div className="flex justify-between items-center border-b pb-4 mb-4">
+                    <h2 className="text-2xl font-bold text-blue-800 flex items-center">
+                        {isReadOnly ? 'Viewing Document' : 'Editing Document'}
+                        {role && role !== 'owner' && (
+                            <span className="ml-3 px-2 py-1 text-xs font-medium text-blue-700 bg-blue-100 rounded-full">{ROLE_LABELS[role]}</span>
+                        )}
+                        <span className="ml-4"><PresenceAvatars sessions={sessions} userId={userId} /></span>
+                    </h2>
+                    <div className="flex items-center space-x-3">
+                        {role === 'owner' && (
+                            <button
+                                onClick={() => moveDocument(liveDocument, !liveDocument.isPublic)}
+                                className="px-3 py-2 text-sm font-medium rounded-lg transition flex items-center text-gray-600 hover:bg-gray-100"
+                                title={document.isPublic ? 'Move to your private files' : 'Move to the shared public files'}
+                            >
+                                {document.isPublic ? <Lock size={18} className="mr-1" /> : <Globe size={18} className="mr-1" />}
+                                {document.isPublic ? 'Make Private' : 'Publish'}
+                            </button>
+                        )}
+                        {role === 'owner' && !document.isPublic && (
+                            <button onClick={() => togglePanel('share')} className={panelButtonClasses('share')}>
+                                <Share2 size={18} className="mr-1" /> Share
+                            </button>
+                        )}
+                        <button onClick={() => togglePanel('comments')} className={panelButtonClasses('comments')}>
+                            <MessageSquare size={18} className="mr-1" /> Comments{openThreadCount > 0 && ` (${openThreadCount})`}
+                        </button>
+                        <button onClick={() => togglePanel('attachments')} className={panelButtonClasses('attachments')}>
+                            <Paperclip size={18} className="mr-1" /> Files{attachments.length > 0 && ` (${attachments.length})`}
+                        </button>
+                        <button onClick={() => togglePanel('history')} className={panelButtonClasses('history')}>
+                            <History size={18} className="mr-1" /> History
+                        </button>
+                        <button onClick={() => togglePanel('activity')} className={panelButtonClasses('activity')}>
+                            <Activity size={18} className="mr-1" /> Activity
+                        </button>
+                        <button onClick={() => togglePanel('template')} disabled={!isLoaded} className={`${panelButtonClasses('template')} disabled:opacity-50`} title="Save as template">
+                            <LayoutTemplate size={18} className="mr-1" /> Template
+                        </button>
+                        <div className="relative">
+                            <button
+                                onClick={() => setShowExportMenu(!showExportMenu)}
+                                disabled={!isLoaded}
+                                className="px-3 py-2 text-sm font-medium rounded-lg transition flex items-center text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                            >
+                                <Download size={18} className="mr-1" /> Export
+                            </button>
+                            {showExportMenu && (
+                                <div className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded-lg shadow-lg z-10 py-1">
+                                    {[['markdown', FileText, 'Markdown (.md)'], ['html', Code, 'HTML (.html)'], ['pdf', Printer, 'PDF (print)']].map(([type, Icon, label]) => (
+                                        <button
+                                            key={type}
+                                            onClick={() => handleExport(type)}
+                                            className="w-full px-3 py-2 text-sm text-left text-gray-700 hover:bg-blue-50 transition flex items-center"
+                                        >
+                                            <Icon size={14} className="mr-2" /> {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        <button onClick={handleClose} className="text-gray-500 hover:text-gray-800 transition">
+                            <X size={24} />
+                        </button>
+                    </div>
+                </div>
+                
+                <div className="flex flex-1 min-h-0 space-x-4 mb-4">
+                    <div className="flex-1 flex flex-col min-w-0">
+                        {liveDocument.trashedAt && (
+                            <div className="mb-2 p-3 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg flex items-center">
+                                <Trash className="mr-2 flex-shrink-0" size={16} />
+                                This document is in the trash and can no longer be edited.
+                            </div>
+                        )}
+                        {isMoving(liveDocument) && (
+                            <div className="mb-2 p-3 text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-lg flex items-center">
+                                <Loader className="mr-2 flex-shrink-0 animate-spin" size={16} />
+                                This document is being moved and can be edited again once the move finishes.
+                            </div>
+                        )}
+                        {recoveredDraft && (
+                            <div className="mb-2 p-3 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center">
+                                <AlertTriangle className="mr-2 flex-shrink-0" size={16} />
+                                <span className="mr-auto">
+                                    Unsaved changes from {new Date(recoveredDraft.savedAt).toLocaleString()} were found on this device.
+                                </span>
+                                <button
+                                    onClick={handleDiscardDraft}
+                                    className="ml-2 px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+                                >
+                                    Discard
+                                </button>
+                                <button
+                                    onClick={handleRecoverDraft}
+                                    className="ml-2 px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                                >
+                                    Restore
+                                </button>
+                            </div>
+                        )}
+                        <input
+                            type="text"
+                            value={title}
+                            onChange={(e) => setTitle(e.target.value)}
+                            readOnly={isReadOnly}
+                            placeholder="Document Title"
+                            className="text-xl font-semibold w-full p-2 mb-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        <TagEditor tags={liveDocument.tags || []} tagColors={tagColors} onChange={handleTagsChange} readOnly={isReadOnly} />
+                        
+                        <div className="flex items-center justify-between mb-2">
+                            <select
+                                value={format}
+                                onChange={(e) => handleFormatChange(e.target.value)}
+                                disabled={isReadOnly}
+                                className="p-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                            >
+                                {Object.entries(DOCUMENT_FORMATS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                            {format === 'markdown' && (
+                                <div className="flex space-x-1">
+                                    {[['edit', Edit2, 'Write'], ['split', Columns, 'Split'], ['preview', Eye, 'Preview']].map(([mode, Icon, label]) => (
+                                        <button
+                                            key={mode}
+                                            onClick={() => setViewMode(mode)}
+                                            className={`px-2 py-1 text-xs font-medium rounded-lg transition flex items-center ${
+                                                viewMode === mode ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'
+                                            }`}
+                                        >
+                                            <Icon size={14} className="mr-1" /> {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+
+                        {format === 'markdown' && !isReadOnly && viewMode !== 'preview' && (
+                            <MarkdownToolbar textareaRef={textareaRef} content={content} onChange={editContent} />
+                        )}
+
+                        <div className="flex-1 flex min-h-0 space-x-4">
+                            {(format !== 'markdown' || viewMode !== 'preview') && (
+                                <div className="relative flex-1 flex min-w-0">
+                                    <textarea
+                                        ref={textareaRef}
+                                        value={content}
+                                        onChange={(e) => editContent(e.target.value)}
+                                        onSelect={(e) => updateSelection(e.currentTarget.selectionStart, e.currentTarget.selectionEnd)}
+                                        onScroll={handleTextareaScroll}
+                                        readOnly={isReadOnly || !isLoaded || !!recoveredDraft}
+                                        placeholder={!isLoaded ? 'Loading content...' : format === 'markdown' ? 'Write Markdown: # Heading, - list, | table |, ```code```...' : 'Start writing your content here...'}
+                                        className="flex-1 w-full p-4 border border-gray-300 rounded-lg resize-none focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+                                    />
+                                    <RemoteCursors text={content} sessions={sessions} overlayRef={cursorOverlayRef} />
+                                </div>
+                            )}
+                            {format === 'markdown' && viewMode !== 'edit' && <MarkdownPreview source={content} attachmentUrls={attachmentUrls} />}
+                        </div>
+                    </div>
+
+                    {sidePanel === 'history' && (
+                        <RevisionHistory
+                            docRef={docRef}
+                            userId={userId}
+                            currentContent={content}
+                            onRestore={isReadOnly ? null : handleRestore}
+                            onError={reportError}
+                        />
+                    )}
+                    {sidePanel === 'attachments' && (
+                        <AttachmentsPanel
+                            docRef={docRef}
+                            document={liveDocument}
+                            userId={userId}
+                            canEdit={!isReadOnly}
+                            attachments={attachments}
+                            urls={attachmentUrls}
+                            onInsert={!isReadOnly && isLoaded && format === 'markdown' ? insertIntoContent : null}
+                            requestConfirmation={requestConfirmation}
+                            notify={notify}
+                        />
+                    )}
+                    {sidePanel === 'activity' && (
+                        <ActivityPanel docRef={docRef} userId={userId} onError={reportError} />
+                    )}
+                    {sidePanel === 'comments' && (
+                        <CommentsPanel
+                            docRef={docRef}
+                            document={liveDocument}
+                            comments={comments}
+                            userId={userId}
+                            role={role}
+                            content={content}
+                            textareaRef={textareaRef}
+                            requestConfirmation={requestConfirmation}
+                            notify={notify}
+                        />
+                    )}
+                    {sidePanel === 'share' && (
+                        <SharePanel
+                            document={liveDocument}
+                            userId={userId}
+                            onShare={shareDocument}
+                            onUnshare={unshareDocument}
+                        />
+                    )}
+                    {sidePanel === 'template' && (
+                        <SaveTemplatePanel
+                            document={liveDocument}
+                            content={content}
+                            onSave={async (template) => {
+                                if (await saveTemplate(template)) setSidePanel(null);
+                            }}
+                        />
+                    )}
+                </div>
+
+                <div className="flex justify-end items-center space-x-3 pt-4 border-t">
+                    {isReadOnly ? (
+                        <span className="mr-auto text-sm flex items-center text-gray-500">
+                            <Eye className="mr-1" size={16} /> Read-only access
+                        </span>
+                    ) : (
+                        <span className={`mr-auto text-sm flex items-center ${!isDirty ? 'text-green-600' : isWaitingForNetwork ? 'text-amber-600' : 'text-gray-500'}`}>
+                            {isWaitingForNetwork ? (
+                                <><CloudOff className="mr-1" size={16} /> Offline – changes will sync when you reconnect</>
+                            ) : !isSynced || isAutosaving ? (
+                                <><Loader className="animate-spin mr-1" size={16} /> Saving...</>
+                            ) : isTitleDirty ? (
+                                <><Edit2 className="mr-1" size={16} /> Unsaved changes</>
+                            ) : (
+                                <><Check className="mr-1" size={16} /> All changes saved</>
+                            )}
+                        </span>
+                    )}
+                    {!isReadOnly && (
+                        <button
+                            onClick={handleSave}
+                            disabled={isSaving}
+                            className="px-6 py-3 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition disabled:opacity-50 flex items-center"
+                        >
+                            {isSaving ? <Loader className="animate-spin mr-2" size={20} /> : <Edit2 className="mr-2" size={20} />}
+                            {isSaving ? 'Saving...' : 'Save Version'}
+                        </button>
+                    )}
+                    <button
+                        onClick={handleClose}
+                        className="px-6 py-3 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                    >
+                        Close
+                    </button>
+                </div>
+                <p className='text-xs text-right mt-2 text-gray-500'>Last Updated: {new Date(liveDocument.lastUpdated).toLocaleTimeString()}</p>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Routing ---
+//
+// Pages and the open document live in the URL, below whatever path the app is served
+// from (the host has to serve the app for every route):
+//   /                                  dashboard
+//   /trash, /settings, /account
+//   /doc/public/:id
+//   /doc/private/:id[?owner=:ownerId]  the owner defaults to the signed-in user
+
+const ROUTE_PAGES = ['trash', 'settings', 'account'];
+const ROUTE_SUFFIX = /\/(?:trash|settings|account|doc\/(?:public|private)\/[^/]+)\/?$/;
+const routeBase = window.location.pathname.replace(ROUTE_SUFFIX, '').replace(/\/$/, '');
+
+const parseRoute = ({ pathname, search }) => {
+  const path = pathname.slice(routeBase.length);
+  const documentMatch = path.match(/^\/doc\/(public|private)\/([^/]+)\/?$/);
+  if (documentMatch) {
+    const isPublic = documentMatch[1] === 'public';
+    return {
+      page: 'dashboard',
+      document: { id: decodeURIComponent(documentMatch[2]), isPublic, ownerId: isPublic ? null : new URLSearchParams(search).get('owner') },
+    };
+  }
+  const page = path.replace(/^\/|\/$/g, '');
+  return { page: ROUTE_PAGES.includes(page) ? page : 'dashboard', document: null };
+};
+
+const getPagePath = (page) => `${routeBase}/${page === 'dashboard' ? '' : page}`;
+
+const getDocumentPath = (docItem, userId) => {
+  const owner = !docItem.isPublic && docItem.ownerId && docItem.ownerId !== userId
+    ? `?owner=${encodeURIComponent(docItem.ownerId)}`
+    : '';
+  return `${routeBase}/doc/${docItem.isPublic ? 'public' : 'private'}/${encodeURIComponent(docItem.id)}${owner}`;
+};
+
+// Whether a loaded document is the one a route points at (ownerId filled in)
+const isSameDocument = (docItem, target) => (
+  docItem.id === target.id && !!docItem.isPublic === target.isPublic && (target.isPublic || docItem.ownerId === target.ownerId)
+);
+
+// [route, navigate]: the parsed current URL, updated on back/forward.
+// Back/forward first asks `confirmLeave`; if it declines, the URL is put back.
+const useRoute = (confirmLeave) => {
+  const [location, setLocation] = useState(() => ({ pathname: window.location.pathname, search: window.location.search }));
+
+  useEffect(() => {
+    const handlePopState = async () => {
+      const next = { pathname: window.location.pathname, search: window.location.search };
+      if (!await confirmLeave()) {
+        window.history.pushState(null, '', location.pathname + location.search);
+        return;
+      }
+      setLocation(next);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [confirmLeave, location]);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path !== window.location.pathname + window.location.search) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    }
+    setLocation({ pathname: window.location.pathname, search: window.location.search });
+  }, []);
+
+  const route = useMemo(() => parseRoute(location), [location]);
+  return [route, navigate];
+};
+
+// --- Main App Component ---
+
+const App = () => {
+  const [confirmation, setConfirmation] = useState(null); // { message, confirmLabel, resolve }
+  // In-app replacement for window.confirm; resolves to the user's answer
+  const requestConfirmation = useCallback((message, confirmLabel = 'Confirm') => (
+    new Promise(resolve => setConfirmation({ message, confirmLabel, resolve }))
+  ), []);
+  const settleConfirmation = (answer) => {
+    confirmation.resolve(answer);
+    setConfirmation(null);
+  };
+  // Whether the open editor has changes that have not reached the server
+  const editorHasUnsavedChanges = useRef(false);
+  // Leaving the editor by back/forward or the header's links asks first, like closing it
+  const confirmLeave = useCallback(async () => !editorHasUnsavedChanges.current || requestConfirmation(
+    "The open document has changes that have not been saved yet. Leave anyway? They are kept on this device and offered again when you reopen the document.",
+    'Leave'
+  ), [requestConfirmation]);
+  const [route, navigate] = useRoute(confirmLeave);
+  const currentPage = route.page;
+  const [user, setUser] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [showSignOutWarning, setShowSignOutWarning] = useState(false);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  const [sharedWithMeDocuments, setSharedWithMeDocuments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [activeDocument, setActiveDocument] = useState(null); // Document being edited
+  const [offlineConflicts, setOfflineConflicts] = useState([]);
+  const [trashedDocuments, setTrashedDocuments] = useState([]);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  // Filtering thousands of documents runs at lower priority than typing in the search box
+  const deferredFilters = useDeferredValue(filters);
+  const { toasts, notify, dismiss: dismissToast } = useNotifications();
+  // For hooks that only ever report failures
+  const reportError = useCallback((message, e) => notify('error', message, e), [notify]);
+  
+  const isUserAuthenticated = !!user;
+  // Guests are signed in automatically on first load only, never after an explicit sign-out
+  const autoSignIn = useRef(true);
+  const handleEditorDirtyChange = useCallback((isDirty) => {
+    editorHasUnsavedChanges.current = isDirty;
+  }, []);
+
+  const setCurrentPage = useCallback(async (page) => {
+    if (await confirmLeave()) navigate(getPagePath(page));
+  }, [navigate, confirmLeave]);
+  // After signing in, leave the account page but keep a deep link the user arrived with
+  const leaveAccountPage = useCallback(() => {
+    if (parseRoute(window.location).page === 'account') navigate(getPagePath('dashboard'), { replace: true });
+  }, [navigate]);
+
+  // The editor follows the URL (see effect 6), so opening and closing only navigate
+  const openDocument = useCallback((docItem) => {
+    setActiveDocument(docItem);
+    navigate(getDocumentPath(docItem, userId));
+  }, [navigate, userId]);
+  const closeDocument = useCallback(() => navigate(getPagePath(currentPage)), [navigate, currentPage]);
+  // Activity events only know where their document lives; the route loads it
+  const openActivityDocument = useCallback((event) => {
+    navigate(getDocumentPath({ id: event.documentId, isPublic: event.isPublic, ownerId: event.ownerId }, userId));
+  }, [navigate, userId]);
+
+  // 1. Authentication and Initialization
+  useEffect(() => {
+    if (backend.firebaseFailed) {
+        notify('warning', "Firebase failed to initialize. Your documents are kept on this device only.");
+    }
+
+    const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
+      try {
+        if (currentUser) {
+          setUser(currentUser);
+          setUserId(currentUser.uid);
+          setIsAnonymous(currentUser.isAnonymous);
+        } else {
+          setUser(null);
+          setUserId(null);
+          if (autoSignIn.current) {
+            autoSignIn.current = false;
+            // onAuthStateChanged fires again with the signed-in user
+            if (initialAuthToken && backend.customTokens) {
+              await signInWithCustomToken(auth, initialAuthToken);
+            } else {
+              await signInAnonymously(auth);
+            }
+            return;
+          }
+        }
+      } catch (e) {
+        // No made-up IDs here: Firestore would never accept writes for them
+        console.error("Auth error:", e);
+        notify('error', "Failed to sign in automatically. Sign in below to continue.", e);
+      }
+      setIsAuthReady(true);
+    });
+
+    return () => unsubscribe();
+  }, [notify]);
+
+  // 2. Data Listeners (My Documents & Shared Documents), paginated newest first
+  const privateDocumentsRef = useMemo(
+    () => (isAuthReady && userId ? getPrivateCollectionRef(userId, 'documents') : null),
+    [isAuthReady, userId]
+  );
+  const publicDocumentsRef = useMemo(
+    () => (isAuthReady && userId ? getPublicCollectionRef('documents') : null),
+    [isAuthReady, userId]
+  );
+  const mapPrivateDocument = useCallback((d) => ({
+    id: d.id,
+    ...d.data(),
+    isPublic: false, // Mark private docs
+    ownerId: userId,
+  }), [userId]);
+  const mapPublicDocument = useCallback((d) => ({
+    id: d.id,
+    ...d.data(),
+    isPublic: true, // Mark public docs
+  }), []);
+  const handlePrivateListError = useCallback((e) => {
+    console.error("Firestore private documents error:", e);
+    notify('error', "Failed to load your private documents.", e);
+  }, [notify]);
+  const handlePublicListError = useCallback((e) => {
+    console.error("Firestore public documents error:", e);
+    notify('error', "Failed to load shared documents.", e);
+  }, [notify]);
+
+  const privatePages = usePaginatedDocuments(privateDocumentsRef, mapPrivateDocument, handlePrivateListError);
+  const publicPages = usePaginatedDocuments(publicDocumentsRef, mapPublicDocument, handlePublicListError);
+  // Skip tombstones of moved documents, unfinished copies and documents in the trash
+  const myDocuments = useMemo(() => privatePages.documents.filter(d => !d.movedTo && !d.importing && !d.trashedAt), [privatePages.documents]);
+  // Show all public documents, including the user's own public documents
+  const sharedDocuments = useMemo(() => publicPages.documents.filter(d => !d.movedTo && !d.importing && !d.trashedAt), [publicPages.documents]);
+
+  // 3. Shared With Me: follow the index entries written by owners, then each shared document
+  useEffect(() => {
+    if (!isAuthReady || !userId || !db) return;
+
+    const indexRef = getPrivateCollectionRef(userId, 'sharedWithMe');
+    if (!indexRef) return;
+    const documentListeners = new Map();
+    const documentsByEntry = new Map();
+    const publish = () => {
+      setSharedWithMeDocuments([...documentsByEntry.values()].sort((a, b) => b.lastUpdated - a.lastUpdated));
+    };
+    const stopFollowing = (entryId) => {
+      const unsubscribe = documentListeners.get(entryId);
+      if (unsubscribe) unsubscribe();
+      documentListeners.delete(entryId);
+      documentsByEntry.delete(entryId);
+    };
+
+    const unsubscribeIndex = onSnapshot(indexRef, (snapshot) => {
+      snapshot.docChanges().forEach((change) => {
+        const entryId = change.doc.id;
+        if (change.type === 'removed') {
+          stopFollowing(entryId);
+          return;
+        }
+        if (documentListeners.has(entryId)) return;
+
+        const { docId, ownerId } = change.doc.data();
+        const docRef = getDocumentRef({ id: docId, isPublic: false, ownerId });
+        documentListeners.set(entryId, onSnapshot(docRef, (d) => {
+          if (d.exists() && !d.data().movedTo && !d.data().importing && !d.data().trashedAt) {
+            documentsByEntry.set(entryId, { id: d.id, ...d.data(), isPublic: false, ownerId });
+          } else {
+            documentsByEntry.delete(entryId);
+          }
+          publish();
+        }, (e) => {
+          // Access was revoked or the document is gone
+          console.error("Firestore shared document error:", e);
+          documentsByEntry.delete(entryId);
+          publish();
+        }));
+      });
+      publish();
+    }, (e) => {
+      console.error("Firestore shared-with-me error:", e);
+      notify('error', "Failed to load documents shared with you.", e);
+    });
+
+    return () => {
+      unsubscribeIndex();
+      [...documentListeners.keys()].forEach(stopFollowing);
+    };
+  }, [isAuthReady, userId, notify]);
+
+  // 4. Trash: the user's own trashed documents from both collections. Documents past the
+  // retention period are purged whenever the trash is loaded.
+  useEffect(() => {
+    if (!privateDocumentsRef || !publicDocumentsRef) return;
+
+    const sources = [
+      { ref: privateDocumentsRef, map: mapPrivateDocument },
+      { ref: publicDocumentsRef, map: mapPublicDocument },
+    ];
+    const documentsBySource = sources.map(() => []);
+    const purging = new Set();
+    const unsubscribes = sources.map((source, index) => onSnapshot(
+      query(source.ref, where('trashedBy', '==', userId)),
+      (snapshot) => {
+        documentsBySource[index] = snapshot.docs.map(source.map);
+        setTrashedDocuments(documentsBySource.flat().sort((a, b) => b.trashedAt - a.trashedAt));
+        documentsBySource[index].forEach((docItem) => {
+          if (getPurgeDate(docItem) > Date.now() || purging.has(docItem.id)) return;
+          purging.add(docItem.id);
+          recordActivity(docItem, userId, 'delete', `Deleted after ${TRASH_RETENTION_DAYS} days in the trash`)
+            .then(() => purgeDocument(docItem))
+            .catch(e => console.error("Failed to purge an expired document:", e));
+        });
+      },
+      (e) => {
+        console.error("Firestore trash error:", e);
+        notify('error', "Failed to load the trash.", e);
+      }
+    ));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [privateDocumentsRef, publicDocumentsRef, mapPrivateDocument, mapPublicDocument, userId, notify]);
+
+  // 5. Folders of both collections, the user's tag colors and the document templates
+  const privateFoldersRef = useMemo(
+    () => (isAuthReady && userId ? getPrivateCollectionRef(userId, 'folders') : null),
+    [isAuthReady, userId]
+  );
+  const publicFoldersRef = useMemo(
+    () => (isAuthReady && userId ? getPublicCollectionRef('folders') : null),
+    [isAuthReady, userId]
+  );
+  const tagColorsRef = useMemo(
+    () => (isAuthReady && userId ? getPrivateCollectionRef(userId, 'tags') : null),
+    [isAuthReady, userId]
+  );
+  const privateFolders = useFolders(privateFoldersRef, reportError);
+  const publicFolders = useFolders(publicFoldersRef, reportError);
+  const tagColors = useTagColors(tagColorsRef, reportError);
+  const privateTemplatesRef = useMemo(
+    () => (isAuthReady && userId ? getPrivateCollectionRef(userId, 'templates') : null),
+    [isAuthReady, userId]
+  );
+  const publicTemplatesRef = useMemo(
+    () => (isAuthReady && userId ? getPublicCollectionRef('templates') : null),
+    [isAuthReady, userId]
+  );
+  const templates = useTemplates(privateTemplatesRef, publicTemplatesRef, reportError);
+
+  // 6. Deep links: the open document follows the URL. A document that is not already
+  // open (after a reload, or from a link) is fetched first; reading it fails unless the
+  // user has a role on it, and the role is checked again here before the editor opens.
+  const routeDocument = route.document;
+  useEffect(() => {
+    if (!routeDocument) {
+      setActiveDocument(null);
+      return;
+    }
+    if (!isAuthReady || !userId || !db) return;
+    const target = { ...routeDocument, ownerId: routeDocument.isPublic ? null : (routeDocument.ownerId || userId) };
+    if (activeDocument && isSameDocument(activeDocument, target)) return;
+
+    let cancelled = false;
+    const leave = (message, e) => {
+      notify('error', message, e);
+      navigate(getPagePath('dashboard'), { replace: true });
+    };
+    getDoc(getDocumentRef(target)).then((snapshot) => {
+      if (cancelled) return;
+      if (!snapshot.exists()) {
+        leave("That document does not exist. It may have been deleted.");
+        return;
+      }
+      const docItem = { ...snapshot.data(), id: snapshot.id, isPublic: target.isPublic, ownerId: target.ownerId };
+      if (docItem.movedTo) {
+        navigate(getDocumentPath(docItem.movedTo, userId), { replace: true });
+      } else if (!getDocumentRole(docItem, userId)) {
+        leave("You do not have access to that document.");
+      } else {
+        setActiveDocument(docItem);
+      }
+    }).catch((e) => {
+      if (cancelled) return;
+      console.error("Error opening linked document:", e);
+      leave("Failed to open the document. It may have been deleted, or you may not have access to it.", e);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [routeDocument, activeDocument, isAuthReady, userId, navigate, notify]);
+
+  // --- CRUD Operations ---
+
+  // Creates a document from a template (blank by default) and opens it
+  const createDocument = useCallback(async (title, isPublic = false, template = BUILT_IN_TEMPLATES[0]) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    setLoading(true);
+    try {
+        const filled = applyTemplate(template, { title, author: getCachedDisplayName(userId) });
+        const newDoc = newDocumentData(userId, filled);
+
+        // The id is generated locally so the document can be opened while offline
+        let docRef;
+        if (isPublic) {
+            // Add to public collection
+            const ref = getPublicCollectionRef('documents');
+            if (ref) docRef = doc(ref);
+        } else {
+            // Add to private collection
+            const ref = getPrivateCollectionRef(userId, 'documents');
+            if (ref) docRef = doc(ref);
+        }
+        if (docRef) {
+            const docItem = { id: docRef.id, ...newDoc, isPublic, ownerId: isPublic ? null : userId };
+            await commitInChunks([
+                [docRef, newDoc],
+                ...(filled.content ? [[getBodyRef(docRef), { content: filled.content, version: 0 }]] : []),
+                getActivityEvent(docItem, userId, 'create', template === BUILT_IN_TEMPLATES[0] ? '' : `From the template '${template.name}'`),
+            ]);
+            notify('success', `Document '${newDoc.title}' created.`);
+            // Immediately open for editing
+            openDocument(docItem);
+        }
+    } catch (e) {
+        console.error("Error creating document:", e);
+        notify('error', "Failed to create document.", e);
+    } finally {
+        setLoading(false);
+    }
+  }, [userId, openDocument, notify]);
+
+  // `revision` ({ title, content, ... }) is recorded in the document's history when given.
+  // `silent` skips the spinner and success message, for autosave. Resolves to whether it saved.
+  const updateDocument = useCallback(async (docItem, data, revision = null, { silent = false } = {}) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return false;
+    }
+    // Offline edits wait in a local queue and are checked for conflicts on reconnect
+    if (isOffline()) {
+        queueOfflineEdit(userId, docItem, data, revision);
+        if (!silent) notify('info', "You are offline. Your changes were saved on this device and will sync when you reconnect.");
+        return true;
+    }
+    if (!silent) setLoading(true);
+    try {
+        const docRef = getDocumentRef(docItem);
+        const now = Date.now();
+        const batch = writeBatch(db);
+        batch.update(docRef, { ...data, lastUpdated: now });
+        if (revision) {
+            batch.set(doc(collection(docRef, 'revisions')), { ...revision, authorId: userId, createdAt: now });
+        }
+        const summary = summarizeUpdate(docItem, data, revision);
+        if (summary) batch.set(...getActivityEvent(docItem, userId, 'update', summary));
+        await commitWrite(batch.commit());
+        if (!silent) notify('success', "Document saved.");
+        return true;
+    } catch (e) {
+        console.error("Error updating document:", e);
+        notify('error', "Failed to update document.", e);
+        return false;
+    } finally {
+        if (!silent) setLoading(false);
+    }
+  }, [userId, notify]);
+
+  // --- Import, Export and Backup ---
+
+  // Imports each file as a new document; files that cannot be imported are reported together
+  const importFiles = useCallback(async (files, isPublic) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    setLoading(true);
+    const collectionRef = isPublic ? getPublicCollectionRef('documents') : getPrivateCollectionRef(userId, 'documents');
+    const failed = [];
+    for (const file of files) {
+        try {
+            const { title, content, format } = await readImportFile(file);
+            const docRef = doc(collectionRef);
+            const newDoc = newDocumentData(userId, { title, content, format });
+            const batch = writeBatch(db);
+            batch.set(docRef, newDoc);
+            batch.set(getBodyRef(docRef), { content, version: 0 });
+            batch.set(...getActivityEvent({ id: docRef.id, ...newDoc, isPublic, ownerId: userId }, userId, 'create', `Imported from '${file.name}'`));
+            await commitWrite(batch.commit());
+        } catch (e) {
+            console.error("Error importing file:", e);
+            failed.push(e.message);
+        }
+    }
+    setLoading(false);
+    const imported = files.length - failed.length;
+    if (failed.length) {
+        notify('error', `Failed to import ${failed.length} of ${files.length} files. ${failed.join(' ')}`);
+    } else {
+        notify('success', `Imported ${imported} document${imported === 1 ? '' : 's'} into ${isPublic ? 'the Shared Public Files' : 'My Private Files'}.`);
+    }
+  }, [userId, notify]);
+
+  // Downloads every document the user owns, with its body, history, comments and
+  // attachments, plus the user's folders and tag colors
+  const backupWorkspace = useCallback(async () => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    setLoading(true);
+    try {
+        const sources = [
+            { name: 'private', snapshot: await getDocs(getPrivateCollectionRef(userId, 'documents')) },
+            { name: 'public', snapshot: await getDocs(query(getPublicCollectionRef('documents'), where('authorId', '==', userId))) },
+        ];
+        const documents = [];
+        let attachmentsLeftOut = 0;
+        for (const source of sources) {
+            for (const d of source.snapshot.docs) {
+                // Skip tombstones of moved documents and unfinished copies
+                if (d.data().movedTo || d.data().importing) continue;
+                const { content } = await loadDocumentBody(d.ref);
+                const revisions = await getDocs(collection(d.ref, 'revisions'));
+                const comments = await getDocs(collection(d.ref, 'comments'));
+                const attachmentSnapshot = await getDocs(collection(d.ref, 'attachments'));
+                const attachments = [];
+                for (const attachment of attachmentSnapshot.docs) {
+                    try {
+                        if (!storage) throw new Error("Cloud Storage is not configured.");
+                        const fileData = await blobToBase64(await getBlob(getAttachmentFileRef(d.ref, attachment.id)));
+                        attachments.push({ id: attachment.id, ...attachment.data(), data: fileData });
+                    } catch (e) {
+                        console.error("Error backing up attachment:", e);
+                        attachmentsLeftOut++;
+                    }
+                }
+                // Bodies kept inline by older documents are exported as `content` below
+                const data = omitFields(d.data(), ['content', 'version']);
+                documents.push({
+                    collection: source.name,
+                    id: d.id,
+                    data,
+                    content,
+                    revisions: revisions.docs.map(r => ({ id: r.id, ...r.data() })),
+                    comments: comments.docs.map(c => ({ id: c.id, ...c.data() })),
+                    attachments,
+                });
+            }
+        }
+        const privateFolderSnapshot = await getDocs(getPrivateCollectionRef(userId, 'folders'));
+        const publicFolderSnapshot = await getDocs(query(getPublicCollectionRef('folders'), where('createdBy', '==', userId)));
+        const folders = [
+            ...privateFolderSnapshot.docs.map(f => ({ collection: 'private', id: f.id, ...f.data() })),
+            ...publicFolderSnapshot.docs.map(f => ({ collection: 'public', id: f.id, ...f.data() })),
+        ];
+        const tagColorSnapshot = await getDocs(getPrivateCollectionRef(userId, 'tags'));
+        const tagColors = tagColorSnapshot.docs.map(t => t.data());
+        const backup = { format: BACKUP_FORMAT, version: BACKUP_VERSION, appId, exportedBy: userId, exportedAt: Date.now(), documents, folders, tagColors };
+        downloadFile(`workspace-${appId}-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        const summary = `Backed up ${documents.length} document${documents.length === 1 ? '' : 's'}.`;
+        if (attachmentsLeftOut) {
+            notify('warning', `${summary} ${attachmentsLeftOut} attachment${attachmentsLeftOut === 1 ? ' was' : 's were'} left out because ${attachmentsLeftOut === 1 ? 'its file' : 'their files'} could not be downloaded.`);
+        } else {
+            notify('success', summary);
+        }
+    } catch (e) {
+        console.error("Error backing up workspace:", e);
+        notify('error', "Failed to back up the workspace.", e);
+    } finally {
+        setLoading(false);
+    }
+  }, [userId, notify]);
+
+  // Restores a backup into this workspace, which may have a different appId.
+  // Documents keep their ids, dates and authors; ids that already exist are skipped.
+  // Each document is written `importing` (see TRANSFER_FIELDS) until all of it is in,
+  // so a document an interrupted restore left unfinished is written afresh next time.
+  const restoreWorkspace = useCallback(async (file) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (e) {
+        notify('error', "Failed to restore: the file is not valid JSON.");
+        return;
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.documents)) {
+        notify('error', "Failed to restore: the file is not a workspace backup.");
+        return;
+    }
+    if (backup.version > BACKUP_VERSION) {
+        notify('error', "Failed to restore: the backup was made by a newer version of the app.");
+        return;
+    }
+    const count = backup.documents.length;
+    const source = backup.appId === appId ? 'this workspace' : `workspace '${backup.appId}'`;
+    if (!await requestConfirmation(`Restore ${count} document${count === 1 ? '' : 's'} from a backup of ${source}? Documents that already exist here are skipped.`, 'Restore')) {
+        return;
+    }
+
+    setLoading(true);
+    let restored = 0;
+    let skipped = 0;
+    let attachmentsLeftOut = 0;
+    const failed = [];
+    let foldersFailed = false;
+    // Folders go first so restored documents land back in them
+    try {
+        const writes = [];
+        for (const { collection: scope, id, ...folder } of Array.isArray(backup.folders) ? backup.folders : []) {
+            if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) continue;
+            const foldersRef = scope === 'public' ? getPublicCollectionRef('folders') : getPrivateCollectionRef(userId, 'folders');
+            const folderRef = doc(foldersRef, id);
+            if ((await getDoc(folderRef)).exists()) continue;
+            writes.push([folderRef, {
+                name: folder.name || 'Untitled Folder',
+                parentId: folder.parentId || null,
+                createdBy: userId,
+                createdAt: folder.createdAt || Date.now(),
+            }]);
+        }
+        (Array.isArray(backup.tagColors) ? backup.tagColors : [])
+            .filter(tag => tag && typeof tag.name === 'string' && TAG_COLORS[tag.color])
+            .forEach(tag => writes.push([doc(getPrivateCollectionRef(userId, 'tags'), encodeURIComponent(tag.name)), { name: tag.name, color: tag.color }]));
+        await commitInChunks(writes);
+    } catch (e) {
+        console.error("Error restoring folders:", e);
+        foldersFailed = true;
+    }
+    for (const entry of backup.documents) {
+        const data = omitFields(entry.data || {}, ['movedTo', ...TRANSFER_FIELDS]);
+        try {
+            const isPublic = entry.collection === 'public';
+            const collectionRef = isPublic ? getPublicCollectionRef('documents') : getPrivateCollectionRef(userId, 'documents');
+            const docRef = typeof entry.id === 'string' && /^[\w-]+$/.test(entry.id) ? doc(collectionRef, entry.id) : doc(collectionRef);
+            const existing = await getDoc(docRef);
+            if (existing.exists() && !existing.data().importing) {
+                skipped++;
+                continue;
+            }
+            // Start over on a copy an interrupted restore left unfinished; comments and files can't be overwritten
+            if (existing.exists()) await purgeDocument({ id: docRef.id, ...existing.data(), isPublic, ownerId: userId });
+            const content = typeof entry.content === 'string' ? entry.content : '';
+            const comments = Array.isArray(entry.comments) ? entry.comments : [];
+            const revisions = Array.isArray(entry.revisions) ? entry.revisions : [];
+            // Attachments whose file is missing from the backup, or that have nowhere to go, are left out
+            const entryAttachments = Array.isArray(entry.attachments) ? entry.attachments : [];
+            const attachments = storage
+                ? entryAttachments.filter(a => typeof a.id === 'string' && /^[\w-]+$/.test(a.id) && typeof a.data === 'string')
+                : [];
+            attachmentsLeftOut += entryAttachments.length - attachments.length;
+            const acl = isPublic ? {} : (data.acl || {});
+            const restoredDoc = {
+                ...data,
+                ...summarizeContent(content),
+                title: data.title || 'Untitled Document',
+                // Restored documents belong to whoever restores them, as the rules require
+                authorId: userId,
+                acl,
+                openComments: comments.filter(c => !c.parentId && !c.resolved).length,
+            };
+            // The document comes first: its `importing` flag admits everyone's comments
+            await commitInChunks([
+                [docRef, { ...restoredDoc, importing: true }],
+                [getBodyRef(docRef), { content, version: 0 }],
+                ...revisions.map(({ id, ...revision }) => [doc(collection(docRef, 'revisions'), id), revision]),
+                ...comments.map(({ id, ...comment }) => [doc(collection(docRef, 'comments'), id), comment]),
+                ...attachments.map(attachment => [doc(collection(docRef, 'attachments'), attachment.id), omitFields(attachment, ['id', 'data'])]),
+            ]);
+            const batch = writeBatch(db);
+            for (const { id, data: fileData, contentType } of attachments) {
+                try {
+                    await uploadBytes(getAttachmentFileRef(docRef, id), base64ToBlob(fileData, contentType), { contentType });
+                } catch (e) {
+                    console.error("Error restoring attachment:", e);
+                    batch.delete(doc(collection(docRef, 'attachments'), id));
+                    attachmentsLeftOut++;
+                }
+            }
+            batch.update(docRef, { importing: deleteField() });
+            batch.set(...getActivityEvent({ id: docRef.id, ...restoredDoc, isPublic, ownerId: userId }, userId, 'create', `Restored from a backup of ${source}`));
+            await commitWrite(batch.commit());
+            // Collaborators' shortcuts can only be written once the document exists
+            await commitInChunks(Object.entries(acl).map(([collaboratorId, role]) => [
+                doc(getPrivateCollectionRef(collaboratorId, 'sharedWithMe'), getShareEntryId(userId, docRef.id)),
+                { docId: docRef.id, ownerId: userId, role, sharedAt: Date.now() },
+            ]));
+            restored++;
+        } catch (e) {
+            console.error("Error restoring document:", e);
+            failed.push(data.title || entry.id);
+        }
+    }
+    setLoading(false);
+    const summary = `Restored ${restored} document${restored === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} that already exist` : ''}.`;
+    const folderNote = foldersFailed ? ' Failed to restore folders and tag colors.' : '';
+    const attachmentNote = attachmentsLeftOut
+        ? ` ${attachmentsLeftOut} attachment${attachmentsLeftOut === 1 ? ' was' : 's were'} left out${storage ? '' : ': Cloud Storage is not configured'}.`
+        : '';
+    if (failed.length) notify('error', `Failed to restore ${failed.length} document${failed.length === 1 ? '' : 's'} (${failed.join(', ')}). ${summary}${folderNote}${attachmentNote}`);
+    else if (foldersFailed || attachmentsLeftOut) notify('warning', summary + folderNote + attachmentNote);
+    else notify('success', summary);
+  }, [userId, requestConfirmation, notify]);
+
+  // Deleting only moves a document to the trash; it can be restored until it is purged
+  const trashDocument = useCallback(async (docItem) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+
+    // Custom check for deletion permissions (only the owner can delete a file)
+    if (getDocumentRole(docItem, userId) !== 'owner') {
+        notify('warning', "You can only delete documents that you own.");
+        return;
+    }
+
+    try {
+        const batch = writeBatch(db);
+        batch.update(getDocumentRef(docItem), { trashedAt: Date.now(), trashedBy: userId });
+        batch.set(...getActivityEvent(docItem, userId, 'trash', ''));
+        await commitWrite(batch.commit());
+        notify('success', `Document '${docItem.title}' moved to the trash. You can restore it from the Trash for ${TRASH_RETENTION_DAYS} days.`);
+    } catch (e) {
+        console.error("Error moving document to the trash:", e);
+        notify('error', "Failed to delete document.", e);
+    }
+  }, [userId, notify]);
+
+  const restoreDocument = useCallback(async (docItem) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    try {
+        const batch = writeBatch(db);
+        batch.update(getDocumentRef(docItem), {
+            trashedAt: deleteField(),
+            trashedBy: deleteField(),
+            lastUpdated: Date.now(),
+        });
+        batch.set(...getActivityEvent(docItem, userId, 'restore', 'Restored from the trash'));
+        await commitWrite(batch.commit());
+        notify('success', `Document '${docItem.title}' restored.`);
+    } catch (e) {
+        console.error("Error restoring document:", e);
+        notify('error', "Failed to restore document.", e);
+    }
+  }, [userId, notify]);
+
+  const deleteDocumentForever = useCallback(async (docItem) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    if (!await requestConfirmation(`Delete '${docItem.title}' forever? This cannot be undone.`, 'Delete Forever')) {
+        return;
+    }
+
+    setLoading(true);
+    try {
+        // The log outlives the document, so the event is written before it goes
+        await recordActivity(docItem, userId, 'delete', 'Deleted forever');
+        await purgeDocument(docItem);
+        notify('success', "Document deleted permanently.");
+    } catch (e) {
+        console.error("Error deleting document:", e);
+        notify('error', "Failed to delete document.", e);
+    } finally {
+        setLoading(false);
+    }
+  }, [userId, requestConfirmation, notify]);
+
+  const emptyTrash = useCallback(async () => {
+    const count = trashedDocuments.length;
+    if (!count || !await requestConfirmation(`Delete all ${count} document${count === 1 ? '' : 's'} in the trash forever? This cannot be undone.`, 'Empty Trash')) {
+        return;
+    }
+
+    setLoading(true);
+    try {
+        for (const docItem of trashedDocuments) {
+            await recordActivity(docItem, userId, 'delete', 'Deleted forever when the trash was emptied');
+            await purgeDocument(docItem);
+        }
+        notify('success', "The trash was emptied.");
+    } catch (e) {
+        console.error("Error emptying the trash:", e);
+        notify('error', "Failed to empty the trash.", e);
+    } finally {
+        setLoading(false);
+    }
+  }, [trashedDocuments, requestConfirmation, notify, userId]);
+
+  // Moves a document between the private and public collections. The copy gets a new id;
+  // the original is replaced by a tombstone pointing at it. The history, comments and
+  // attachments are copied in batches, behind the original's `moving` fence and while the
+  // copy is marked `importing` (see TRANSFER_FIELDS). A move that fails is undone.
+  // Sharing does not carry over, so the owner confirms before collaborators lose access.
+  const moveDocument = useCallback(async (docItem, toPublic) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    if (getDocumentRole(docItem, userId) !== 'owner') {
+        notify('warning', "You can only move documents that you own.");
+        return;
+    }
+    if (!!docItem.isPublic === toPublic) return;
+    if (isOffline()) {
+        notify('warning', "Documents cannot be published or made private offline. Try again once you reconnect.");
+        return;
+    }
+    const collaboratorIds = Object.keys(docItem.acl || {});
+    if (collaboratorIds.length && !await requestConfirmation(
+        `'${docItem.title}' is shared with ${collaboratorIds.map(getCachedDisplayName).join(', ')}. ` +
+        `${collaboratorIds.length === 1 ? 'This collaborator loses' : 'These collaborators lose'} access when the document is ${toPublic ? 'published' : 'made private'}.`,
+        toPublic ? 'Publish' : 'Make Private'
+    )) {
+        return;
+    }
+
+    setLoading(true);
+    const sourceRef = getDocumentRef(docItem);
+    let fenced = false;
+    let copy = null; // Set while a copy exists that the move has not handed over to yet
+    try {
+        await runTransaction(db, async (transaction) => {
+            const snapshot = await transaction.get(sourceRef);
+            if (!snapshot.exists() || snapshot.data().movedTo) {
+                throw new Error("The document was already moved or deleted.");
+            }
+            if (isMoving(snapshot.data())) throw new Error("The document is already being moved.");
+            transaction.update(sourceRef, { moving: Date.now() });
+        });
+        fenced = true;
+
+        // Nothing changes behind the fence, so the copy can be read and written in parts
+        const { title, format, tags, authorId, createdAt, acl, openComments } = (await getDoc(sourceRef)).data();
+        const { content } = await loadDocumentBody(sourceRef);
+        const revisions = await getDocs(collection(sourceRef, 'revisions'));
+        const comments = await getDocs(collection(sourceRef, 'comments'));
+        const attachments = await getDocs(collection(sourceRef, 'attachments'));
+        const targetCollection = toPublic ? getPublicCollectionRef('documents') : getPrivateCollectionRef(userId, 'documents');
+        const targetRef = doc(targetCollection);
+        const movedTo = { id: targetRef.id, isPublic: toPublic, ownerId: toPublic ? null : userId };
+        const now = Date.now();
+
+        copy = movedTo;
+        // The operation log stays behind, so the copy starts a fresh version count.
+        // The copy comes first: its `importing` flag admits the rest.
+        await commitInChunks([
+            [targetRef, {
+                title,
+                ...summarizeContent(content),
+                format: format || 'plain',
+                tags: tags || [],
+                authorId,
+                createdAt,
+                acl: {},
+                openComments: openComments || 0,
+                lastUpdated: now,
+                importing: true,
+            }],
+            [getBodyRef(targetRef), { content, version: 0 }],
+            ...revisions.docs.map(revision => [doc(collection(targetRef, 'revisions'), revision.id), revision.data()]),
+            // Comment anchors find their text again by quote, so they survive the new version count
+            ...comments.docs.map(comment => [doc(collection(targetRef, 'comments'), comment.id), comment.data()]),
+            // Attachments keep their ids, so images embedded in the content still resolve
+            ...attachments.docs.map(attachment => [doc(collection(targetRef, 'attachments'), attachment.id), attachment.data()]),
+        ]);
+
+        let lostAttachments = 0;
+        if (storage) {
+            for (const attachment of attachments.docs) {
+                try {
+                    const blob = await getBlob(getAttachmentFileRef(sourceRef, attachment.id));
+                    await uploadBytes(getAttachmentFileRef(targetRef, attachment.id), blob, { contentType: attachment.data().contentType });
+                } catch (e) {
+                    console.error("Error moving attachment:", e);
+                    lostAttachments++;
+                }
+            }
+        }
+
+        const batch = writeBatch(db);
+        batch.update(targetRef, { importing: deleteField() });
+        // Collaborator access does not carry over; their shortcuts would point at the old id
+        Object.keys(acl || {}).forEach((collaboratorId) => {
+            batch.delete(doc(getPrivateCollectionRef(collaboratorId, 'sharedWithMe'), getShareEntryId(userId, docItem.id)));
+        });
+        batch.set(sourceRef, { title, authorId, createdAt, lastUpdated: now, movedTo });
+        // The log stays with the tombstone; the copy's log starts with the move
+        batch.set(...getActivityEvent(
+            { ...movedTo, title, acl: {} },
+            userId,
+            'visibility',
+            toPublic ? 'Made public' : 'Made private'
+        ));
+        batch.set(...getActivityEvent(
+            { ...docItem, title, acl: {} },
+            userId,
+            'visibility',
+            toPublic ? 'Made public' : 'Made private'
+        ));
+        await commitWrite(batch.commit());
+        copy = null;
+        fenced = false;
+
+        // Originals of files that failed to copy are kept rather than lost
+        if (!lostAttachments) await deleteAttachments(sourceRef);
+        await deleteSubcollection(sourceRef, 'ops');
+        await deleteSubcollection(sourceRef, 'revisions');
+        await deleteSubcollection(sourceRef, 'content');
+        await deleteSubcollection(sourceRef, 'comments');
+        await deleteSubcollection(sourceRef, 'presence');
+        notify('success', toPublic ? `Document '${docItem.title}' is now public.` : `Document '${docItem.title}' is now private.`);
+        if (lostAttachments) {
+            notify('warning', `${lostAttachments} attachment${lostAttachments === 1 ? '' : 's'} could not be moved with the document.`);
+        }
+    } catch (e) {
+        console.error("Error moving document:", e);
+        notify('error', "Failed to move document.", e);
+        try {
+            if (copy) await purgeDocument(copy);
+            if (fenced) await commitWrite(updateDoc(sourceRef, { moving: deleteField() }));
+        } catch (undoError) {
+            console.error("Error undoing the move:", undoError);
+        }
+    } finally {
+        setLoading(false);
+    }
+  }, [userId, requestConfirmation, notify]);
 
-  // 1. Authentication and Initialization
-  useEffect(() => {
-    if (!auth) {
-        setError("Firebase configuration is missing or failed to initialize.");
-        setIsAuthReady(true);
-        return;
+  // Reopens the editor on a document's new location after it was moved
+  const followMovedDocument = useCallback(async (movedTo, pendingContent) => {
+    try {
+        const snapshot = await getDoc(getDocumentRef(movedTo));
+        if (!snapshot.exists()) throw new Error("The moved document no longer exists.");
+        setActiveDocument({
+            id: snapshot.id,
+            ...snapshot.data(),
+            isPublic: movedTo.isPublic,
+            ownerId: movedTo.ownerId,
+            pendingContent,
+        });
+        navigate(getDocumentPath(movedTo, userId), { replace: true });
+    } catch (e) {
+        console.error("Error following moved document:", e);
+        navigate(getPagePath('dashboard'), { replace: true });
+        notify('error', "Failed to reopen the document after it was moved. You may no longer have access to it.", e);
     }
+  }, [navigate, userId, notify]);
 
-    const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
-      try {
-        if (currentUser) {
-          setUser(currentUser);
-          setUserId(currentUser.uid);
-        } else {
-          if (initialAuthToken) {
-            const cred = await signInWithCustomToken(auth, initialAuthToken);
-            setUser(cred.user);
-            setUserId(cred.user.uid);
-          } else {
-            const anonUser = await signInAnonymously(auth);
-            setUser(anonUser.user);
-            setUserId(anonUser.user.uid);
-          }
+  // --- Offline Edits ---
+
+  // Applies edits queued while offline. A field someone else changed in the meantime
+  // is not overwritten but offered in the conflict dialog.
+  const replayingOfflineEdits = useRef(false);
+  const replayOfflineEdits = useCallback(async () => {
+    if (!db || !userId || isOffline() || replayingOfflineEdits.current) return;
+    const queue = loadOfflineQueue(userId);
+    if (!queue.length) return;
+    replayingOfflineEdits.current = true;
+    saveOfflineQueue(userId, []);
+
+    const retry = [];
+    const lost = [];
+    const conflicts = [];
+    for (const edit of queue) {
+        const docRef = getDocumentRef(edit.location);
+        try {
+            const fieldConflicts = await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(docRef);
+                if (!snapshot.exists() || snapshot.data().movedTo) {
+                    throw new Error("The document was moved or deleted.");
+                }
+                const current = snapshot.data();
+                const changes = {};
+                const found = [];
+                Object.entries(edit.data).forEach(([field, mine]) => {
+                    const theirs = current[field] === undefined ? null : current[field];
+                    if (sameValue(theirs, mine)) return;
+                    if (sameValue(theirs, edit.before[field])) changes[field] = mine;
+                    else found.push({ location: edit.location, title: edit.title, field, mine, theirs });
+                });
+                if (Object.keys(changes).length) transaction.update(docRef, { ...changes, lastUpdated: Date.now() });
+                edit.revisions.forEach((revision) => {
+                    transaction.set(doc(collection(docRef, 'revisions')), { ...revision, authorId: userId });
+                });
+                const summary = summarizeUpdate(current, changes, edit.revisions.length > 0);
+                if (summary) {
+                    transaction.set(...getActivityEvent({ ...edit.location, ...current }, userId, 'update', `${summary} (while offline)`));
+                }
+                return found;
+            });
+            conflicts.push(...fieldConflicts);
+        } catch (e) {
+            if (e.code === 'unavailable' || isOffline()) {
+                retry.push(edit);
+            } else {
+                console.error("Error replaying offline edit:", e);
+                lost.push(edit.title);
+            }
         }
-      } catch (e) {
-        console.error("Auth error:", e);
-        setError("Failed to authenticate user. Falling back to anonymous ID.");
-        // Fallback to a placeholder UUID if all auth fails
-        setUserId(crypto.randomUUID());
-      } finally {
-        setIsAuthReady(true);
-      }
-    });
+    }
 
-    return () => unsubscribe();
-  }, []);
+    // Edits queued while replaying were saved on top of the emptied queue
+    saveOfflineQueue(userId, [...retry, ...loadOfflineQueue(userId)]);
+    replayingOfflineEdits.current = false;
+    if (conflicts.length) setOfflineConflicts(prev => [...prev, ...conflicts]);
+    if (lost.length) {
+        notify('error', `Failed to sync your offline changes to: ${lost.join(', ')}. The documents were moved, deleted or are no longer shared with you.`);
+    } else if (retry.length < queue.length) {
+        notify('success', "Your offline changes were synced.");
+    }
+  }, [userId, notify]);
 
-  // 2. Data Listeners (My Documents & Shared Documents)
   useEffect(() => {
-    if (!isAuthReady || !userId || !db) return;
+    if (!isAuthReady || !userId) return;
+    replayOfflineEdits();
+    window.addEventListener('online', replayOfflineEdits);
+    return () => window.removeEventListener('online', replayOfflineEdits);
+  }, [isAuthReady, userId, replayOfflineEdits]);
 
-    // Listener 1: My Private Documents
-    const privateRef = getPrivateCollectionRef(userId, 'documents');
-    let unsubscribePrivate;
-    if (privateRef) {
-      unsubscribePrivate = onSnapshot(privateRef, (snapshot) => {
-        const docs = snapshot.docs.map(d => ({
-          id: d.id,
-          ...d.data(),
-          isPublic: false, // Mark private docs
+  const resolveOfflineConflict = useCallback(async (conflict, keepMine) => {
+    setOfflineConflicts(prev => prev.filter(c => c !== conflict));
+    if (!keepMine) return;
+    try {
+        await commitWrite(updateDoc(getDocumentRef(conflict.location), {
+            [conflict.field]: conflict.mine,
+            lastUpdated: Date.now(),
         }));
-        setMyDocuments(docs.sort((a, b) => b.lastUpdated - a.lastUpdated)); 
-      }, (e) => {
-        console.error("Firestore private documents error:", e);
-        setError("Failed to load your private documents.");
-      });
+    } catch (e) {
+        console.error("Error resolving offline conflict:", e);
+        notify('error', `Failed to keep your version of '${conflict.title}'.`, e);
     }
+  }, [notify]);
 
-    // Listener 2: Public/Shared Documents
-    const publicRef = getPublicCollectionRef('documents');
-    let unsubscribePublic;
-    if (publicRef) {
-        const q = query(publicRef);
-        unsubscribePublic = onSnapshot(q, (snapshot) => {
-            const docs = snapshot.docs.map(d => ({
-                id: d.id,
-                ...d.data(),
-                isPublic: true, // Mark public docs
-            }));
-            // Show all public documents, including the user's own public documents
-            setSharedDocuments(docs.sort((a, b) => b.lastUpdated - a.lastUpdated));
-        }, (e) => {
-            console.error("Firestore public documents error:", e);
-            setError("Failed to load shared documents.");
-        });
-    }
+  // --- Folders and Tags ---
 
-    return () => {
-      if (unsubscribePrivate) unsubscribePrivate();
-      if (unsubscribePublic) unsubscribePublic();
-    };
-  }, [isAuthReady, userId]);
+  const createFolder = useCallback(async (scope, parentId, name) => {
+    const foldersRef = scope === 'public' ? publicFoldersRef : privateFoldersRef;
+    if (!foldersRef) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    try {
+        await commitWrite(setDoc(doc(foldersRef), { name, parentId, createdBy: userId, createdAt: Date.now() }));
+    } catch (e) {
+        console.error("Error creating folder:", e);
+        notify('error', "Failed to create folder.", e);
+    }
+  }, [privateFoldersRef, publicFoldersRef, userId, notify]);
 
-  // --- CRUD Operations ---
+  // Documents refer to folders by id, so a rename is a single write
+  const renameFolder = useCallback(async (scope, folderId, name) => {
+    const foldersRef = scope === 'public' ? publicFoldersRef : privateFoldersRef;
+    try {
+        await commitWrite(updateDoc(doc(foldersRef, folderId), { name }));
+    } catch (e) {
+        console.error("Error renaming folder:", e);
+        notify('error', "Failed to rename folder.", e);
+    }
+  }, [privateFoldersRef, publicFoldersRef, notify]);
 
-  const createDocument = useCallback(async (title, isPublic = false) => {
-    if (!db || !userId) {
-        setError("Database not ready or user ID missing.");
+  // Deleting a folder keeps its contents: its documents (trashed ones included) and
+  // subfolders move up to its parent in the same batch that removes the folder.
+  const deleteFolder = useCallback(async (scope, folder) => {
+    const foldersRef = scope === 'public' ? publicFoldersRef : privateFoldersRef;
+    const documentsRef = scope === 'public' ? publicDocumentsRef : privateDocumentsRef;
+    if (!foldersRef || !documentsRef) {
+        notify('error', "Database not ready or user ID missing.");
+        return;
+    }
+    const destination = folder.parentId ? 'its parent folder' : 'the top level';
+    if (!await requestConfirmation(`Delete the folder '${folder.name}'? Its documents and subfolders move to ${destination}.`, 'Delete Folder')) {
         return;
     }
+
     setLoading(true);
     try {
-        const newDoc = {
-            title: title || `Untitled Document ${new Date().toLocaleTimeString()}`,
-            content: '',
-            authorId: userId,
-            createdAt: Date.now(),
-            lastUpdated: Date.now(),
-        };
-
-        let docRef;
-        if (isPublic) {
-            // Add to public collection
-            const ref = getPublicCollectionRef('documents');
-            if (ref) docRef = await addDoc(ref, newDoc);
-        } else {
-            // Add to private collection
-            const ref = getPrivateCollectionRef(userId, 'documents');
-            if (ref) docRef = await addDoc(ref, newDoc);
-        }
-        
-        setError(`Document '${newDoc.title}' created successfully!`);
-        // Immediately open for editing
-        if (docRef) {
-            setActiveDocument({ id: docRef.id, ...newDoc, isPublic });
-        }
+        const parentId = folder.parentId || null;
+        const documents = await getDocs(query(documentsRef, where('folderId', '==', folder.id)));
+        const subfolders = await getDocs(query(foldersRef, where('parentId', '==', folder.id)));
+        await commitInChunks([
+            ...documents.docs.map(d => [d.ref, { folderId: parentId || deleteField() }, { merge: true }]),
+            ...subfolders.docs.map(f => [f.ref, { parentId }, { merge: true }]),
+            [doc(foldersRef, folder.id), null],
+        ]);
+        setFilters(prev => (
+            prev.folder === `${scope}:${folder.id}` ? { ...prev, folder: parentId ? `${scope}:${parentId}` : '' } : prev
+        ));
     } catch (e) {
-        console.error("Error creating document:", e);
-        setError("Failed to create document: " + e.message);
+        console.error("Error deleting folder:", e);
+        notify('error', "Failed to delete folder.", e);
     } finally {
         setLoading(false);
     }
-  }, [userId]);
+  }, [privateFoldersRef, publicFoldersRef, privateDocumentsRef, publicDocumentsRef, requestConfirmation, notify]);
 
-  const updateDocument = useCallback(async (docId, data, isPublic) => {
-    if (!db || !userId) {
-        setError("Database not ready or user ID missing.");
+  // Handles a document or folder dropped on a folder (null: the top level).
+  // Folders only hold documents of their own collection.
+  const organizeItem = useCallback(async (item, scope, folderId) => {
+    const toPublic = scope === 'public';
+    try {
+        if (item.type === 'document') {
+            if (item.isPublic !== toPublic) {
+                notify('warning', `${toPublic ? 'Publish' : 'Make'} the document ${toPublic ? '' : 'private '}first to put it in a ${toPublic ? 'public' : 'private'} folder.`);
+                return;
+            }
+            await commitWrite(updateDoc(getDocumentRef(item), { folderId: folderId || deleteField() }));
+        } else if (item.type === 'folder') {
+            if (item.scope !== scope) {
+                notify('warning', "Folders cannot move between private and public files.");
+                return;
+            }
+            if (item.id === folderId) return;
+            if (folderId && getFolderSubtree(toPublic ? publicFolders : privateFolders, item.id).has(folderId)) {
+                notify('warning', "A folder cannot be moved into one of its own subfolders.");
+                return;
+            }
+            const foldersRef = toPublic ? publicFoldersRef : privateFoldersRef;
+            await commitWrite(updateDoc(doc(foldersRef, item.id), { parentId: folderId || null }));
+        }
+    } catch (e) {
+        console.error("Error organizing item:", e);
+        notify('error', "Failed to move the item.", e);
+    }
+  }, [privateFolders, publicFolders, privateFoldersRef, publicFoldersRef, notify]);
+
+  const setTagColor = useCallback(async (tag, color) => {
+    if (!tagColorsRef) return;
+    try {
+        await commitWrite(setDoc(doc(tagColorsRef, encodeURIComponent(tag)), { name: tag, color }));
+    } catch (e) {
+        console.error("Error saving tag color:", e);
+        notify('error', "Failed to save the tag color.", e);
+    }
+  }, [tagColorsRef, notify]);
+
+  // --- Templates ---
+
+  // Resolves to whether the template was saved
+  const saveTemplate = useCallback(async ({ isPublic, ...template }) => {
+    const templatesRef = isPublic ? publicTemplatesRef : privateTemplatesRef;
+    if (!templatesRef) {
+        notify('error', "Database not ready or user ID missing.");
+        return false;
+    }
+    try {
+        await commitWrite(setDoc(doc(templatesRef), { ...template, authorId: userId, createdAt: Date.now() }));
+        notify('success', `Saved '${template.name}' as a ${isPublic ? 'shared' : 'personal'} template.`);
+        return true;
+    } catch (e) {
+        console.error("Error saving template:", e);
+        notify('error', "Failed to save the template.", e);
+        return false;
+    }
+  }, [privateTemplatesRef, publicTemplatesRef, userId, notify]);
+
+  const deleteTemplate = useCallback(async (template) => {
+    const templatesRef = template.source === 'public' ? publicTemplatesRef : privateTemplatesRef;
+    if (!templatesRef || !await requestConfirmation(`Delete the template '${template.name}'? Documents created from it are not affected.`, 'Delete Template')) {
+        return;
+    }
+    try {
+        await commitWrite(deleteDoc(doc(templatesRef, template.id)));
+        notify('success', `Template '${template.name}' deleted.`);
+    } catch (e) {
+        console.error("Error deleting template:", e);
+        notify('error', "Failed to delete the template.", e);
+    }
+  }, [privateTemplatesRef, publicTemplatesRef, requestConfirmation, notify]);
+
+  // --- Profile ---
+
+  const saveProfile = useCallback(async ({ displayName, avatarUrl, bio }) => {
+    const profileRef = getProfileRef(userId);
+    if (!profileRef) {
+        notify('error', "Database not ready or user ID missing.");
         return;
     }
     setLoading(true);
     try {
-        let docRef;
-        if (isPublic) {
-            docRef = doc(getPublicCollectionRef('documents'), docId);
-        } else {
-            docRef = doc(getPrivateCollectionRef(userId, 'documents'), docId);
-        }
-        
-        await updateDoc(docRef, { ...data, lastUpdated: Date.now() });
-        setError(`Document updated successfully!`);
+        await commitWrite(setDoc(profileRef, { displayName, avatarUrl, bio, updatedAt: Date.now() }));
+        notify('success', "Your profile was saved.");
     } catch (e) {
-        console.error("Error updating document:", e);
-        setError("Failed to update document. Check permissions or network connection.");
+        console.error("Error saving profile:", e);
+        notify('error', "Failed to save your profile.", e);
     } finally {
         setLoading(false);
     }
-  }, [userId]);
+  }, [userId, notify]);
 
-  const deleteDocument = useCallback(async (docId, isPublic, authorId) => {
+  // --- Sharing ---
+
+  // Grants (or changes) a collaborator's role and adds the document to their "Shared with me" list
+  const shareDocument = useCallback(async (docItem, collaboratorId, role) => {
     if (!db || !userId) {
-        setError("Database not ready or user ID missing.");
+        notify('error', "Database not ready or user ID missing.");
         return;
     }
-
-    // Custom check for deletion permissions (only author can delete public file)
-    if (isPublic && authorId !== userId) {
-        setError("You can only delete public documents that you have authored.");
+    if (!collaboratorId || collaboratorId === userId) {
+        notify('warning', "Enter another user's ID to share the document with.");
+        return;
+    }
+    if (!INVITE_ROLES.includes(role)) {
+        notify('error', `Failed to share document: unknown role '${role}'.`);
         return;
     }
+    try {
+        const batch = writeBatch(db);
+        batch.update(getDocumentRef(docItem), { [`acl.${collaboratorId}`]: role });
+        batch.set(doc(getPrivateCollectionRef(collaboratorId, 'sharedWithMe'), getShareEntryId(userId, docItem.id)), {
+            docId: docItem.id,
+            ownerId: userId,
+            role,
+            sharedAt: Date.now(),
+        });
+        // Readers follow the access after the change, so the new collaborator sees the event
+        batch.set(...getActivityEvent(
+            { ...docItem, acl: { ...docItem.acl, [collaboratorId]: role } },
+            userId,
+            'share',
+            `Shared with ${getCachedDisplayName(collaboratorId)} as ${ROLE_LABELS[role]}`
+        ));
+        await commitWrite(batch.commit());
+        notify('success', `Document shared with ${getCachedDisplayName(collaboratorId)} as ${ROLE_LABELS[role]}.`);
+    } catch (e) {
+        console.error("Error sharing document:", e);
+        notify('error', "Failed to share document.", e);
+    }
+  }, [userId, notify]);
 
-    // Replaces window.confirm
-    if (!window.confirm(`Are you sure you want to delete this document? This cannot be undone.`)) {
+  const unshareDocument = useCallback(async (docItem, collaboratorId) => {
+    if (!db || !userId) {
+        notify('error', "Database not ready or user ID missing.");
         return;
     }
+    try {
+        const batch = writeBatch(db);
+        batch.update(getDocumentRef(docItem), { [`acl.${collaboratorId}`]: deleteField() });
+        batch.delete(doc(getPrivateCollectionRef(collaboratorId, 'sharedWithMe'), getShareEntryId(userId, docItem.id)));
+        batch.set(...getActivityEvent({ ...docItem, acl: omitFields(docItem.acl || {}, [collaboratorId]) }, userId, 'share', `Removed access for ${getCachedDisplayName(collaboratorId)}`));
+        await commitWrite(batch.commit());
+        notify('success', `Access removed for ${getCachedDisplayName(collaboratorId)}.`);
+    } catch (e) {
+        console.error("Error removing access:", e);
+        notify('error', "Failed to remove access.", e);
+    }
+  }, [userId, notify]);
 
+
+  // --- UI Handlers and Navigation ---
+
+  // Signs in or creates an email/password account. A guest creating an account is
+  // upgraded in place, so the UID and every document under it are kept.
+  const handleEmailAuth = useCallback(async (email, password, isNewAccount) => {
+    if (!auth) return;
     setLoading(true);
     try {
-        let docRef;
-        if (isPublic) {
-            docRef = doc(getPublicCollectionRef('documents'), docId);
-        } else {
-            docRef = doc(getPrivateCollectionRef(userId, 'documents'), docId);
-        }
-        
-        await deleteDoc(docRef);
-        setError(`Document deleted successfully.`);
+      const currentUser = auth.currentUser;
+      if (isNewAccount && currentUser && currentUser.isAnonymous) {
+        await linkWithCredential(currentUser, EmailAuthProvider.credential(email, password));
+        setIsAnonymous(false);
+        notify('success', "Your guest account is now a permanent account. All your documents were kept.");
+      } else if (isNewAccount) {
+        await createUserWithEmailAndPassword(auth, email, password);
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
+      }
+      leaveAccountPage();
     } catch (e) {
-        console.error("Error deleting document:", e);
-        setError("Failed to delete document: " + e.message);
+      console.error("Email auth error:", e);
+      notify('error', isNewAccount ? "Failed to create account." : "Failed to sign in.", e);
     } finally {
-        setLoading(false);
+      setLoading(false);
     }
-  }, [userId]);
+  }, [leaveAccountPage, notify]);
 
+  const handleProviderAuth = useCallback(async (providerId) => {
+    if (!auth || !AUTH_PROVIDERS[providerId]) return;
+    setLoading(true);
+    try {
+      const provider = AUTH_PROVIDERS[providerId].create();
+      const currentUser = auth.currentUser;
+      if (currentUser && currentUser.isAnonymous) {
+        await linkWithPopup(currentUser, provider);
+        setIsAnonymous(false);
+        notify('success', `Your guest account is now linked to ${AUTH_PROVIDERS[providerId].label}. All your documents were kept.`);
+      } else {
+        await signInWithPopup(auth, provider);
+      }
+      leaveAccountPage();
+    } catch (e) {
+      console.error("Provider auth error:", e);
+      notify('error', `Failed to sign in with ${AUTH_PROVIDERS[providerId].label}.`, e);
+    } finally {
+      setLoading(false);
+    }
+  }, [leaveAccountPage, notify]);
 
-  // --- UI Handlers and Navigation ---
+  const handleGuestSignIn = useCallback(async () => {
+    if (!auth) return;
+    setLoading(true);
+    try {
+      await signInAnonymously(auth);
+      leaveAccountPage();
+    } catch (e) {
+      console.error("Guest sign-in error:", e);
+      notify('error', "Failed to continue as guest.", e);
+    } finally {
+      setLoading(false);
+    }
+  }, [leaveAccountPage, notify]);
 
-  const handleSignOut = useCallback(async () => {
+  const performSignOut = useCallback(async () => {
     if (!auth) return;
+    setShowSignOutWarning(false);
     try {
+      autoSignIn.current = false;
+      // Presence records can only be removed while still signed in
+      setActiveDocument(null);
+      navigate(getPagePath('dashboard'), { replace: true });
+      await leaveAllPresence();
       await signOut(auth);
       // Clean up state
       setUser(null);
       setUserId(null);
-      setMyDocuments([]);
-      setSharedDocuments([]);
-      setActiveDocument(null);
+      setIsAnonymous(false);
+      setSharedWithMeDocuments([]);
+      setTrashedDocuments([]);
     } catch (e) {
       console.error("Sign out error:", e);
-      setError("Sign out failed.");
+      notify('error', "Failed to sign out.", e);
     }
-  }, []);
+  }, [navigate, notify]);
 
-  const formatUserId = (id) => id ? `...${id.substring(id.length - 8)}` : 'N/A';
+  const handleSignOut = useCallback(async () => {
+    if (editorHasUnsavedChanges.current && !await requestConfirmation(
+      "The open document has changes that have not been saved yet. Sign out anyway? They are kept on this device and offered again when you reopen the document.",
+      'Sign Out'
+    )) {
+      return;
+    }
+    if (isAnonymous) {
+      setShowSignOutWarning(true);
+      return;
+    }
+    performSignOut();
+  }, [isAnonymous, performSignOut, requestConfirmation]);
 
-  // --- Sub-Components for Content Rendering ---
+  // --- Derived Document Lists ---
 
-  const NewDocumentCreator = () => {
-    const [title, setTitle] = useState('');
-    const [isPublic, setIsPublic] = useState(false);
-    
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        createDocument(title, isPublic);
-        setTitle('');
-        setIsPublic(false);
-    };
+  // A selected folder shows its documents and those of its subfolders. Lists of the other
+  // collection show nothing, and neither does "Shared with Me": those documents are
+  // filed in their owners' folders.
+  const folderFilter = useMemo(() => {
+    if (!deferredFilters.folder) return null;
+    const [scope, folderId] = deferredFilters.folder.split(':');
+    const folders = scope === 'public' ? publicFolders : privateFolders;
+    const folder = folders.find(f => f.id === folderId);
+    return { scope, name: folder ? folder.name : '', ids: getFolderSubtree(folders, folderId) };
+  }, [deferredFilters.folder, privateFolders, publicFolders]);
+  const getListTitle = (title, scope) => (folderFilter && folderFilter.scope === scope && folderFilter.name ? `${title} / ${folderFilter.name}` : title);
 
-    return (
-        <form onSubmit={handleSubmit} className="p-6 bg-white rounded-xl shadow-lg border border-blue-100">
-            <h2 className="text-xl font-bold mb-4 text-blue-800 flex items-center">
-                <PlusCircle className="mr-2 text-blue-600" size={20} /> Create New Document
-            </h2>
-            <input
-                type="text"
-                placeholder="Enter document title (e.g., Project Proposal)"
-                value={title}
-                onChange={(e) => setTitle(e.target.value)}
-                required
-                className="w-full p-3 mb-4 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition"
-            />
-            <div className="flex items-center mb-6">
-                <input
-                    id="isPublic"
-                    type="checkbox"
-                    checked={isPublic}
-                    onChange={(e) => setIsPublic(e.target.checked)}
-                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
-                />
-                <label htmlFor="isPublic" className="ml-2 text-sm font-medium text-gray-700">
-                    Share publicly (Visible to all users in the Shared list)
-                </label>
-            </div>
-            <button
-                type="submit"
-                disabled={loading}
-                className="w-full py-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center"
-            >
-                {loading ? <Loader className="animate-spin mr-2" size={20} /> : <FileText className="mr-2" size={20} />}
-                Create & Edit
-            </button>
-        </form>
-    );
+  const isSearching = deferredFilters.query.trim() !== '';
+  const searchableMyDocuments = useDocumentBodies(myDocuments, isSearching);
+  const searchableSharedWithMe = useDocumentBodies(sharedWithMeDocuments, isSearching);
+  const searchableSharedDocuments = useDocumentBodies(sharedDocuments, isSearching);
+  const visibleMyDocuments = useMemo(
+    () => filterDocuments(searchableMyDocuments, deferredFilters, userId, getListFolderIds(folderFilter, 'private')),
+    [searchableMyDocuments, deferredFilters, userId, folderFilter]
+  );
+  const visibleSharedWithMe = useMemo(
+    () => filterDocuments(searchableSharedWithMe, deferredFilters, userId, getListFolderIds(folderFilter, 'shared')),
+    [searchableSharedWithMe, deferredFilters, userId, folderFilter]
+  );
+  const visibleSharedDocuments = useMemo(
+    () => filterDocuments(searchableSharedDocuments, deferredFilters, userId, getListFolderIds(folderFilter, 'public')),
+    [searchableSharedDocuments, deferredFilters, userId, folderFilter]
+  );
+  const allTags = useMemo(() => {
+    const tags = new Set();
+    [myDocuments, sharedWithMeDocuments, sharedDocuments].forEach(list => list.forEach(d => (d.tags || []).forEach(t => tags.add(t))));
+    return [...tags].sort();
+  }, [myDocuments, sharedWithMeDocuments, sharedDocuments]);
+
+  const handleSortChange = useCallback((sortBy, sortDir) => {
+    setFilters(prev => ({ ...prev, sortBy, sortDir }));
+  }, []);
+
+  // Props shared by the three lists on the dashboard
+  const listProps = {
+    userId,
+    filters: deferredFilters,
+    tagColors,
+    onSortChange: handleSortChange,
+    onOpen: openDocument,
+    onMove: moveDocument,
+    onDelete: trashDocument,
   };
 
-  const DocumentList = ({ title, documents, isPublicList }) => (
-    <div className="bg-white rounded-xl shadow-lg overflow-hidden border">
-      <h2 className="p-4 text-lg font-semibold text-gray-800 border-b flex items-center bg-gray-50">
-        {isPublicList ? <Users className="mr-2 text-green-600" size={20} /> : <FileText className="mr-2 text-blue-600" size={20} />}
-        {title} (<span className="text-blue-600 font-extrabold">{documents.length}</span>)
-      </h2>
-      <div className="max-h-96 overflow-y-auto">
-        {documents.length === 0 ? (
-          <p className="p-4 text-gray-500 text-sm">No documents found. Start by creating a new one!</p>
-        ) : (
-          <ul className="divide-y divide-gray-200">
-            {documents.map((docItem) => {
-                const canDelete = isPublicList ? docItem.authorId === userId : true;
-                return (
-                    <li key={docItem.id} className="flex justify-between items-center p-4 hover:bg-blue-50 transition duration-150">
-                        <div className="flex-1 min-w-0 pr-4">
-                            <p className="font-medium text-gray-900 truncate">{docItem.title}</p>
-                            <p className="text-sm text-gray-500">
-                                {isPublicList && (
-                                    <span>Author: {docItem.authorId === userId ? 'You' : formatUserId(docItem.authorId)} | </span>
-                                )}
-                                Updated: {new Date(docItem.lastUpdated).toLocaleTimeString()}
-                            </p>
-                        </div>
-                        <div className="flex space-x-2 flex-shrink-0">
-                            <button 
-                                onClick={() => setActiveDocument(docItem)}
-                                className="p-2 text-sm text-blue-600 hover:text-white hover:bg-blue-600 bg-blue-100 rounded-full transition shadow-sm"
-                                title="Edit Document"
-                            >
-                                <Edit2 size={16} />
-                            </button>
-                            {canDelete && (
-                                <button 
-                                    onClick={() => deleteDocument(docItem.id, isPublicList, docItem.authorId)}
-                                    className="p-2 text-sm text-red-600 hover:text-white hover:bg-red-600 bg-red-100 rounded-full transition shadow-sm"
-                                    title="Delete Document"
-                                >
-                                    <Trash size={16} />
-                                </button>
-                            )}
-                        </div>
-                    </li>
-                );
-            })}
-          </ul>
-        )}
-      </div>
-    </div>
-  );
-  
   // --- Main Render Logic ---
 
   if (!isAuthReady) {
@@ -486,15 +6231,46 @@ const App = () => {
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
       
-      {/* Modal for Messages and Errors */}
-      <MessageModal message={error} type={error.includes("Failed") || error.includes("error") ? 'error' : 'info'} onClose={() => setError('')} />
-
       {/* Document Editor Modal */}
       {activeDocument && (
         <DocumentEditor 
+            key={activeDocument.id}
             document={activeDocument} 
-            onClose={() => setActiveDocument(null)} 
+            userId={userId}
+            tagColors={tagColors}
+            onClose={closeDocument} 
             updateDocument={updateDocument}
+            moveDocument={moveDocument}
+            onMoved={followMovedDocument}
+            shareDocument={shareDocument}
+            unshareDocument={unshareDocument}
+            saveTemplate={saveTemplate}
+            onDirtyChange={handleEditorDirtyChange}
+            requestConfirmation={requestConfirmation}
+            notify={notify}
+        />
+      )}
+
+      {/* Edits made offline that clash with changes by others */}
+      <OfflineConflictDialog conflicts={offlineConflicts} onResolve={resolveOfflineConflict} />
+
+      {/* Confirmations, above the editor that may have asked for them */}
+      {confirmation && (
+        <MessageModal
+          message={confirmation.message}
+          type="confirm"
+          confirmLabel={confirmation.confirmLabel}
+          onConfirm={() => settleConfirmation(true)}
+          onClose={() => settleConfirmation(false)}
+        />
+      )}
+
+      {/* Guest Sign-Out Warning */}
+      {showSignOutWarning && (
+        <SignOutWarning
+            onCreateAccount={() => { setShowSignOutWarning(false); navigate(getPagePath('account')); }}
+            onSignOut={performSignOut}
+            onCancel={() => setShowSignOutWarning(false)}
         />
       )}
 
@@ -506,9 +6282,18 @@ const App = () => {
             Collaborative Dashboard
           </h1>
           <nav className="flex space-x-4 items-center">
-            <div className="text-sm font-medium text-gray-600 hidden sm:block">
-                User ID: <span className="font-mono text-gray-900">{userId}</span>
-            </div>
+            <SyncIndicator />
+            {isUserAuthenticated && (
+                <button
+                    onClick={() => setCurrentPage('settings')}
+                    className="text-sm font-medium text-gray-600 hidden sm:flex items-center hover:text-blue-700 transition"
+                    title={`${isAnonymous ? 'Guest' : (user.email || 'User')} · ${userId}`}
+                >
+                    <UserAvatar userId={userId} className="w-7 h-7 mr-2" />
+                    <UserName userId={userId} />
+                    {isAnonymous && <span className="ml-1 text-gray-400">(Guest)</span>}
+                </button>
+            )}
             
             <button
               onClick={() => setCurrentPage('dashboard')}
@@ -519,6 +6304,39 @@ const App = () => {
               <Home size={18} className="inline mr-1"/> Dashboard
             </button>
 
+            {isUserAuthenticated && (
+                <button
+                    onClick={() => setCurrentPage('trash')}
+                    className={`px-4 py-2 text-sm font-medium rounded-lg transition ${
+                      currentPage === 'trash' ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'
+                    } flex items-center`}
+                >
+                    <Trash size={18} className="inline mr-1"/> Trash{trashedDocuments.length > 0 && ` (${trashedDocuments.length})`}
+                </button>
+            )}
+
+            {isUserAuthenticated && (
+                <button
+                    onClick={() => setCurrentPage('settings')}
+                    className={`px-4 py-2 text-sm font-medium rounded-lg transition ${
+                      currentPage === 'settings' ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'
+                    } flex items-center`}
+                >
+                    <Settings size={18} className="inline mr-1"/> Settings
+                </button>
+            )}
+
+            {(isAnonymous || (auth && !isUserAuthenticated)) && (
+                <button
+                    onClick={() => setCurrentPage('account')}
+                    className={`px-4 py-2 text-sm font-medium rounded-lg transition ${
+                      currentPage === 'account' ? 'bg-blue-600 text-white shadow-md' : 'text-blue-600 bg-blue-100 hover:bg-blue-200'
+                    } flex items-center shadow-sm`}
+                >
+                    <LogIn size={18} className="inline mr-1"/> {isAnonymous ? 'Create Account' : 'Sign In'}
+                </button>
+            )}
+
             {isUserAuthenticated && (
                 <button
                     onClick={handleSignOut}
@@ -534,30 +6352,102 @@ const App = () => {
 
       {/* Main Content Area */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Sign-In / Account Upgrade View */}
+        {auth && (!isUserAuthenticated || (currentPage === 'account' && isAnonymous)) && (
+          <AuthPanel
+            key={isAnonymous ? 'upgrade' : 'signin'}
+            isAnonymous={isAnonymous}
+            loading={loading}
+            onEmailAuth={handleEmailAuth}
+            onProviderAuth={handleProviderAuth}
+            onGuest={handleGuestSignIn}
+          />
+        )}
+
         {/* Dashboard View */}
-        {currentPage === 'dashboard' && (
+        {currentPage === 'dashboard' && (!auth || isUserAuthenticated) && (
           <div className="space-y-8">
-            <NewDocumentCreator />
-            
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-              <DocumentList 
-                title="My Private Files" 
-                documents={myDocuments} 
-                isPublicList={false} 
+              <NewDocumentCreator
+                loading={loading}
+                templates={templates}
+                userId={userId}
+                onCreate={createDocument}
+                onDeleteTemplate={deleteTemplate}
               />
-              <DocumentList 
-                title="Shared Public Files" 
-                documents={sharedDocuments} 
-                isPublicList={true} 
+              <ImportPanel loading={loading} onImport={importFiles} onBackup={backupWorkspace} onRestore={restoreWorkspace} />
+            </div>
+
+            <DocumentFilters filters={filters} onChange={setFilters} tags={allTags} />
+            
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+              <OrganizerSidebar
+                privateFolders={privateFolders}
+                publicFolders={publicFolders}
+                tags={allTags}
+                tagColors={tagColors}
+                filters={filters}
+                userId={userId}
+                onFilterChange={setFilters}
+                onCreateFolder={createFolder}
+                onRenameFolder={renameFolder}
+                onDeleteFolder={deleteFolder}
+                onDropItem={organizeItem}
+                onTagColorChange={setTagColor}
               />
+              <div className="lg:col-span-3 grid grid-cols-1 xl:grid-cols-3 gap-8">
+                <DocumentList 
+                  title={getListTitle('My Private Files', 'private')} 
+                  documents={visibleMyDocuments} 
+                  hasMore={privatePages.hasMore}
+                  onLoadMore={privatePages.loadMore}
+                  isPublicList={false} 
+                  {...listProps}
+                />
+                <DocumentList 
+                  title="Shared with Me" 
+                  documents={visibleSharedWithMe} 
+                  isPublicList={false} 
+                  isSharedList={true} 
+                  {...listProps}
+                />
+                <DocumentList 
+                  title={getListTitle('Shared Public Files', 'public')} 
+                  documents={visibleSharedDocuments} 
+                  hasMore={publicPages.hasMore}
+                  onLoadMore={publicPages.loadMore}
+                  isPublicList={true} 
+                  {...listProps}
+                />
+              </div>
             </div>
+
+            <ActivityFeed userId={userId} onOpen={openActivityDocument} onError={reportError} />
             
             <footer className="pt-6 text-center text-sm text-gray-500 border-t mt-8">
-                <p>Data stored: Private: `artifacts/{appId}/users/{formatUserId(userId)}/documents` | Public: `artifacts/{appId}/public/data/documents`.</p>
+                <p>Data stored{backend.name === 'local' ? ' on this device' : ''}: Private: `artifacts/{appId}/users/{formatUserId(userId)}/documents` | Public: `artifacts/{appId}/public/data/documents` | Folders: `.../folders` beside each.</p>
             </footer>
           </div>
         )}
+
+        {/* Trash View */}
+        {currentPage === 'trash' && isUserAuthenticated && (
+          <TrashList
+            documents={trashedDocuments}
+            onRestore={restoreDocument}
+            onDeleteForever={deleteDocumentForever}
+            onEmpty={emptyTrash}
+          />
+        )}
+
+        {/* Settings View: the user's profile */}
+        {currentPage === 'settings' && isUserAuthenticated && (
+          <ProfilePage key={userId} userId={userId} user={user} loading={loading} onSave={saveProfile} />
+        )}
       </main>
+
+      {/* Notifications, above every modal */}
+      <ToastStack toasts={toasts} onDismiss={dismissToast} />
     </div>
   );
 };
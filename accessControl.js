@@ -0,0 +1,365 @@
+// --- Access Control ---
+//
+// Private documents carry an `acl` map of { [userId]: role } for named collaborators;
+// the author is always the owner. Public documents stay editable by every signed-in user.
+// The app checks these roles and limits before writing, and the security rules built
+// here check them again on the server.
+
+const ROLES = ['owner', 'editor', 'commenter', 'viewer'];
+export const INVITE_ROLES = ['editor', 'commenter', 'viewer'];
+const EDIT_ROLES = ['owner', 'editor'];
+const COMMENT_ROLES = ['owner', 'editor', 'commenter'];
+export const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', commenter: 'Commenter', viewer: 'Viewer' };
+
+export const getDocumentRole = (docItem, userId) => {
+  if (!docItem || !userId) return null;
+  if (docItem.authorId === userId) return 'owner';
+  const aclRole = docItem.acl ? docItem.acl[userId] : null;
+  if (ROLES.includes(aclRole)) return aclRole;
+  return docItem.isPublic ? 'editor' : null;
+};
+
+export const canEditRole = (role) => EDIT_ROLES.includes(role);
+export const canCommentRole = (role) => COMMENT_ROLES.includes(role);
+
+// Fields only the owner may change, whatever the collaborator's role. A private
+// document's `folderId` points into the owner's own folders.
+const TRASH_FIELDS = ['trashedAt', 'trashedBy'];
+// A document being copied elsewhere carries a `moving` timestamp, which the rules take as
+// a fence against new content, and the copy an `importing` flag, which lets its owner
+// write everyone's comments and attachments into it (see moveDocument in App.jsx). A fence
+// older than MOVE_TIMEOUT was left by an interrupted move and no longer applies.
+export const TRANSFER_FIELDS = ['moving', 'importing'];
+const MOVE_TIMEOUT = 10 * 60 * 1000;
+const OWNER_ONLY_FIELDS = ['acl', 'authorId', 'folderId', ...TRASH_FIELDS, ...TRANSFER_FIELDS];
+
+export const isMoving = (docItem) => !!docItem.moving && Date.now() - docItem.moving < MOVE_TIMEOUT;
+
+// Maximum lengths of the profile fields, checked by the profile form and the rules
+export const PROFILE_LIMITS = { displayName: 50, avatarUrl: 500, bio: 280 };
+
+// File types that can be attached to a document, and the largest accepted file.
+// Checked before uploading and again by the Firestore and Storage rules.
+export const ATTACHMENT_TYPES = {
+  'image/png': 'PNG image',
+  'image/jpeg': 'JPEG image',
+  'image/gif': 'GIF image',
+  'image/webp': 'WebP image',
+  'application/pdf': 'PDF',
+  'text/plain': 'Text',
+  'text/csv': 'CSV spreadsheet',
+  'application/vnd.ms-excel': 'Excel spreadsheet',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel spreadsheet',
+  'application/msword': 'Word document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PowerPoint presentation',
+};
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Builds the Firestore security rules that enforce the same roles as the UI.
+// The output is committed as firestore.rules and loaded by the emulator.
+export const generateFirestoreRules = () => {
+  const list = (roles) => `[${roles.map(r => `'${r}'`).join(', ')}]`;
+  // Subcollections with rules of their own. Rules allow whatever any matching block allows,
+  // so the catch-all blocks must leave these out or they would widen them.
+  const guarded = list(['activity', 'attachments', 'comments', 'content', 'presence']);
+  return `rules_version = '2';
+
+// Generated by generateFirestoreRules() in accessControl.js (npm run generate:rules). Do not edit by hand.
+service cloud.firestore {
+  match /databases/{database}/documents {
+    function signedIn() {
+      return request.auth != null;
+    }
+
+    // Role of the current user on a private document's data
+    function roleOn(data) {
+      return data.authorId == request.auth.uid ? 'owner'
+        : data.get('acl', {}).get(request.auth.uid, null);
+    }
+
+    function privateDoc(appId, ownerId, docId) {
+      return get(/databases/$(database)/documents/artifacts/$(appId)/users/$(ownerId)/documents/$(docId)).data;
+    }
+
+    // State after the current batch, so a moved document can be created with its history
+    function privateDocAfter(appId, ownerId, docId) {
+      return getAfter(/databases/$(database)/documents/artifacts/$(appId)/users/$(ownerId)/documents/$(docId)).data;
+    }
+
+    function publicDoc(appId, docId) {
+      return get(/databases/$(database)/documents/artifacts/$(appId)/public/data/documents/$(docId)).data;
+    }
+
+    function publicDocAfter(appId, docId) {
+      return getAfter(/databases/$(database)/documents/artifacts/$(appId)/public/data/documents/$(docId)).data;
+    }
+
+    // Not fenced off by a move in progress
+    function settled(data) {
+      return data.get('moving', 0) < request.time.toMillis() - ${MOVE_TIMEOUT};
+    }
+
+    // A copy its owner is still filling in
+    function importing(data) {
+      return data.authorId == request.auth.uid && data.get('importing', false) == true;
+    }
+
+    function validAttachment(data) {
+      return data.size is int && data.size <= ${ATTACHMENT_MAX_BYTES}
+        && data.contentType in ${list(Object.keys(ATTACHMENT_TYPES))}
+        && data.name is string && data.name.size() <= 255;
+    }
+
+    // The owner's list queries don't filter on the access list, and rules are not filters:
+    // the owner reads by path, collaborators by role
+    match /artifacts/{appId}/users/{ownerId}/documents/{docId} {
+      allow read: if signedIn() && (request.auth.uid == ownerId || roleOn(resource.data) in ${list(ROLES)});
+      allow create: if signedIn() && request.auth.uid == ownerId
+        && request.resource.data.authorId == ownerId;
+      // Only the owner may change who has access or move the document to the trash;
+      // commenters only keep the count of open comment threads up to date
+      allow update: if signedIn() && (roleOn(resource.data) == 'owner'
+        || (roleOn(resource.data) in ${list(EDIT_ROLES)} && settled(resource.data)
+          && !request.resource.data.diff(resource.data).affectedKeys().hasAny(${list(OWNER_ONLY_FIELDS)}))
+        || (roleOn(resource.data) in ${list(COMMENT_ROLES)} && settled(resource.data)
+          && request.resource.data.diff(resource.data).affectedKeys().hasOnly(['openComments'])
+          && request.resource.data.openComments is int
+          && request.resource.data.openComments - resource.data.get('openComments', 0) in [-1, 1]));
+      allow delete: if signedIn() && roleOn(resource.data) == 'owner';
+
+      // Editors rewrite the body on every change; only the owner deletes it
+      match /content/{entryId} {
+        allow read: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+        allow create, update: if signedIn() && roleOn(privateDocAfter(appId, ownerId, docId)) in ${list(EDIT_ROLES)}
+          && settled(privateDocAfter(appId, ownerId, docId));
+        allow delete: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) == 'owner';
+      }
+
+      // Anyone who may comment can resolve threads, but only authors edit their own words.
+      // Deleting a thread deletes its replies too.
+      match /comments/{commentId} {
+        allow read: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+        allow create: if signedIn() && ((request.resource.data.authorId == request.auth.uid
+            && roleOn(privateDocAfter(appId, ownerId, docId)) in ${list(COMMENT_ROLES)}
+            && settled(privateDocAfter(appId, ownerId, docId)))
+          || importing(privateDocAfter(appId, ownerId, docId)));
+        allow update: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(COMMENT_ROLES)}
+          && settled(privateDoc(appId, ownerId, docId))
+          && (resource.data.authorId == request.auth.uid
+            || !request.resource.data.diff(resource.data).affectedKeys().hasAny(['authorId', 'parentId', 'anchor', 'body', 'mentions']));
+        allow delete: if signedIn() && (resource.data.authorId == request.auth.uid
+          || roleOn(privateDoc(appId, ownerId, docId)) == 'owner'
+          || (resource.data.parentId != null
+            && get(/databases/$(database)/documents/artifacts/$(appId)/users/$(ownerId)/documents/$(docId)/comments/$(resource.data.parentId)).data.authorId == request.auth.uid));
+      }
+
+      // Everyone with access announces their open editor; each tab writes only its own record
+      match /presence/{sessionId} {
+        allow read: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+        allow create, update: if signedIn() && sessionId.matches(request.auth.uid + '_.*')
+          && request.resource.data.userId == request.auth.uid
+          && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+        allow delete: if signedIn() && (sessionId.matches(request.auth.uid + '_.*')
+          || roleOn(privateDoc(appId, ownerId, docId)) == 'owner');
+      }
+
+      // Everyone with access may add to the audit log, as themselves and only for readers
+      // who have access after the change. Events are never changed once written.
+      match /activity/{eventId} {
+        allow read: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+        allow create: if signedIn() && request.resource.data.actorId == request.auth.uid
+          && request.resource.data.appId == appId && request.resource.data.documentId == docId
+          && roleOn(privateDocAfter(appId, ownerId, docId)) in ${list(ROLES)}
+          && request.resource.data.readers.hasOnly(privateDocAfter(appId, ownerId, docId).get('acl', {}).keys().concat([ownerId]));
+      }
+
+      // Editors attach files as themselves; the file itself is checked by the Storage rules
+      match /attachments/{attachmentId} {
+        allow read: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+        allow create: if signedIn() && validAttachment(request.resource.data)
+          && ((request.resource.data.uploadedBy == request.auth.uid
+              && roleOn(privateDocAfter(appId, ownerId, docId)) in ${list(EDIT_ROLES)}
+              && settled(privateDocAfter(appId, ownerId, docId)))
+            || importing(privateDocAfter(appId, ownerId, docId)));
+        allow delete: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(EDIT_ROLES)};
+      }
+
+      // The change history (ops and revisions) is only ever added to, each entry by its
+      // author. The owner clears it when the document is deleted or moved.
+      match /{subcollection}/{entryId} {
+        allow read: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+        allow create: if signedIn() && !(subcollection in ${guarded})
+          && ((request.resource.data.authorId == request.auth.uid
+              && roleOn(privateDocAfter(appId, ownerId, docId)) in ${list(EDIT_ROLES)}
+              && settled(privateDocAfter(appId, ownerId, docId)))
+            || importing(privateDocAfter(appId, ownerId, docId)));
+        allow delete: if signedIn() && !(subcollection in ${guarded})
+          && roleOn(privateDoc(appId, ownerId, docId)) == 'owner';
+      }
+    }
+
+    // Index of documents other users shared with this user, written by the sharing owner
+    match /artifacts/{appId}/users/{userId}/sharedWithMe/{entryId} {
+      allow read: if signedIn() && request.auth.uid == userId;
+      allow create, update: if signedIn() && request.resource.data.ownerId == request.auth.uid
+        && roleOn(privateDoc(appId, request.auth.uid, request.resource.data.docId)) == 'owner';
+      allow delete: if signedIn() && (request.auth.uid == userId || resource.data.ownerId == request.auth.uid);
+    }
+
+    // The user's own folders, tag colors and templates. Documents and their
+    // subcollections, including the audit log, follow the rules above even for the owner.
+    match /artifacts/{appId}/users/{userId}/{collectionName}/{entryId} {
+      allow read, write: if signedIn() && request.auth.uid == userId
+        && !(collectionName in ['documents', 'sharedWithMe']);
+    }
+
+    // Public documents are open to everyone, but only the author may trash or delete them,
+    // and nobody can hand a document to someone else or take it over
+    match /artifacts/{appId}/public/data/documents/{docId} {
+      allow read: if signedIn();
+      allow create: if signedIn() && request.resource.data.authorId == request.auth.uid;
+      allow update: if signedIn() && request.resource.data.authorId == resource.data.authorId
+        && (resource.data.authorId == request.auth.uid
+          || (settled(resource.data)
+            && !request.resource.data.diff(resource.data).affectedKeys().hasAny(${list([...TRASH_FIELDS, ...TRANSFER_FIELDS])})));
+      allow delete: if signedIn() && resource.data.authorId == request.auth.uid;
+
+      match /activity/{eventId} {
+        allow read: if signedIn();
+        allow create: if signedIn() && request.resource.data.actorId == request.auth.uid
+          && request.resource.data.appId == appId && request.resource.data.documentId == docId
+          && request.resource.data.readers == ['public'];
+      }
+
+      match /attachments/{attachmentId} {
+        allow read, delete: if signedIn();
+        allow create: if signedIn() && validAttachment(request.resource.data)
+          && ((request.resource.data.uploadedBy == request.auth.uid && settled(publicDocAfter(appId, docId)))
+            || importing(publicDocAfter(appId, docId)));
+      }
+
+      // As on private documents, but everyone signed in may comment
+      match /comments/{commentId} {
+        allow read: if signedIn();
+        allow create: if signedIn() && ((request.resource.data.authorId == request.auth.uid
+            && settled(publicDocAfter(appId, docId)))
+          || importing(publicDocAfter(appId, docId)));
+        allow update: if signedIn() && settled(publicDoc(appId, docId))
+          && (resource.data.authorId == request.auth.uid
+            || !request.resource.data.diff(resource.data).affectedKeys().hasAny(['authorId', 'parentId', 'anchor', 'body', 'mentions']));
+        allow delete: if signedIn() && (resource.data.authorId == request.auth.uid
+          || publicDoc(appId, docId).authorId == request.auth.uid
+          || (resource.data.parentId != null
+            && get(/databases/$(database)/documents/artifacts/$(appId)/public/data/documents/$(docId)/comments/$(resource.data.parentId)).data.authorId == request.auth.uid));
+      }
+
+      match /presence/{sessionId} {
+        allow read: if signedIn();
+        allow create, update: if signedIn() && sessionId.matches(request.auth.uid + '_.*')
+          && request.resource.data.userId == request.auth.uid;
+        allow delete: if signedIn() && (sessionId.matches(request.auth.uid + '_.*')
+          || publicDoc(appId, docId).authorId == request.auth.uid);
+      }
+
+      match /content/{entryId} {
+        allow read: if signedIn();
+        allow create, update: if signedIn() && settled(publicDocAfter(appId, docId));
+        allow delete: if signedIn() && publicDoc(appId, docId).authorId == request.auth.uid;
+      }
+
+      // The change history, as on private documents; only the author clears it
+      match /{subcollection}/{entryId} {
+        allow read: if signedIn();
+        allow create: if signedIn() && !(subcollection in ${guarded})
+          && ((request.resource.data.authorId == request.auth.uid && settled(publicDocAfter(appId, docId)))
+            || importing(publicDocAfter(appId, docId)));
+        allow delete: if signedIn() && !(subcollection in ${guarded})
+          && publicDoc(appId, docId).authorId == request.auth.uid;
+      }
+    }
+
+    // The dashboard feed queries every audit log at once, filtered by its readers
+    match /{path=**}/activity/{eventId} {
+      allow read: if signedIn() && resource.data.readers.hasAny([request.auth.uid, 'public']);
+    }
+
+    // Shared folders for public documents: anyone may file into, rename or move them,
+    // only their creator may delete them
+    match /artifacts/{appId}/public/data/folders/{folderId} {
+      allow read: if signedIn();
+      allow create: if signedIn() && request.resource.data.createdBy == request.auth.uid;
+      allow update: if signedIn() && request.resource.data.createdBy == resource.data.createdBy;
+      allow delete: if signedIn() && resource.data.createdBy == request.auth.uid;
+    }
+
+    // Shared templates are visible to everyone signed in; only their author changes them
+    match /artifacts/{appId}/public/data/templates/{templateId} {
+      allow read: if signedIn();
+      allow create: if signedIn() && request.resource.data.authorId == request.auth.uid;
+      allow update: if signedIn() && resource.data.authorId == request.auth.uid
+        && request.resource.data.authorId == request.auth.uid;
+      allow delete: if signedIn() && resource.data.authorId == request.auth.uid;
+    }
+
+    // Profiles are visible to everyone signed in; each user writes only their own
+    match /artifacts/{appId}/public/data/profiles/{profileId} {
+      allow read: if signedIn();
+      allow create, update: if signedIn() && request.auth.uid == profileId
+        && request.resource.data.keys().hasOnly(['displayName', 'avatarUrl', 'bio', 'updatedAt'])
+        && request.resource.data.displayName.size() <= ${PROFILE_LIMITS.displayName}
+        && request.resource.data.avatarUrl.size() <= ${PROFILE_LIMITS.avatarUrl}
+        && (request.resource.data.avatarUrl == '' || request.resource.data.avatarUrl.matches('https://.*'))
+        && request.resource.data.bio.size() <= ${PROFILE_LIMITS.bio};
+      allow delete: if signedIn() && request.auth.uid == profileId;
+    }
+  }
+}
+`;
+};
+
+// Builds the Cloud Storage rules for attachments, committed as storage.rules. Files live
+// under their document's Firestore path, whose data decides who may read or change them.
+export const generateStorageRules = () => {
+  const list = (values) => `[${values.map(v => `'${v}'`).join(', ')}]`;
+  return `rules_version = '2';
+
+// Generated by generateStorageRules() in accessControl.js (npm run generate:rules). Do not edit by hand.
+service firebase.storage {
+  match /b/{bucket}/o {
+    function signedIn() {
+      return request.auth != null;
+    }
+
+    // Role of the current user on a private document's data
+    function roleOn(data) {
+      return data.authorId == request.auth.uid ? 'owner'
+        : data.get('acl', {}).get(request.auth.uid, null);
+    }
+
+    function privateDoc(appId, ownerId, docId) {
+      return firestore.get(/databases/(default)/documents/artifacts/$(appId)/users/$(ownerId)/documents/$(docId)).data;
+    }
+
+    function validUpload() {
+      return request.resource.size <= ${ATTACHMENT_MAX_BYTES}
+        && request.resource.contentType in ${list(Object.keys(ATTACHMENT_TYPES))};
+    }
+
+    // Files are never overwritten: a changed attachment is a new one
+    match /artifacts/{appId}/users/{ownerId}/documents/{docId}/attachments/{attachmentId} {
+      allow read: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(ROLES)};
+      allow create: if signedIn() && validUpload()
+        && roleOn(privateDoc(appId, ownerId, docId)) in ${list(EDIT_ROLES)};
+      allow delete: if signedIn() && roleOn(privateDoc(appId, ownerId, docId)) in ${list(EDIT_ROLES)};
+    }
+
+    match /artifacts/{appId}/public/data/documents/{docId}/attachments/{attachmentId} {
+      allow read, delete: if signedIn();
+      allow create: if signedIn() && validUpload();
+    }
+  }
+}
+`;
+};
+
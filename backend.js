@@ -0,0 +1,557 @@
+import { initializeApp } from 'firebase/app';
+import * as firebaseAuth from 'firebase/auth';
+import * as firestore from 'firebase/firestore';
+import * as firebaseStorage from 'firebase/storage';
+import { appId, useEmulators } from './environment.js';
+
+// --- Storage Backends ---
+//
+// All data access, sign-in and file storage go through a backend offering the subset of
+// the Firestore, Firebase Auth and Cloud Storage modular APIs listed below, so the rest of
+// the app does not know which one it runs on. Firebase is used when a configuration is given. Without one, the local
+// backend keeps everything on this device: in IndexedDB, or only in memory when
+// IndexedDB is unavailable or `__storage_backend` is 'memory'. The local backend has
+// one trusted person per browser and does not enforce the security rules.
+
+const BACKEND_DATA_API = [
+  'doc', 'collection', 'collectionGroup', 'query', 'where', 'orderBy', 'limit', 'startAfter', 'endAt',
+  'getDoc', 'getDocs', 'setDoc', 'updateDoc', 'deleteDoc', 'deleteField', 'increment',
+  'onSnapshot', 'writeBatch', 'runTransaction',
+];
+const BACKEND_AUTH_API = [
+  'onAuthStateChanged', 'signInAnonymously', 'signInWithCustomToken', 'signOut',
+  'signInWithEmailAndPassword', 'createUserWithEmailAndPassword', 'signInWithPopup',
+  'linkWithCredential', 'linkWithPopup', 'EmailAuthProvider', 'GoogleAuthProvider', 'GithubAuthProvider',
+];
+const BACKEND_FILE_API = ['ref', 'uploadBytes', 'getBlob', 'deleteObject'];
+
+const pickApi = (source, names) => Object.fromEntries(names.map(name => [name, source[name]]));
+
+// `emulators` overrides `__use_firebase_emulators`, for tests run against the emulator suite
+export const createFirebaseBackend = (config, { emulators = useEmulators } = {}) => {
+  const firebaseApp = initializeApp(config);
+  // Persistent cache: documents stay readable offline and writes are queued until reconnect
+  const firestoreDb = firestore.initializeFirestore(firebaseApp, {
+    localCache: firestore.persistentLocalCache({ tabManager: firestore.persistentMultipleTabManager() }),
+  });
+  const firebaseAuthInstance = firebaseAuth.getAuth(firebaseApp);
+  // Attachments need a Storage bucket; without one the app works without them
+  const firebaseStorageInstance = config.storageBucket ? firebaseStorage.getStorage(firebaseApp) : null;
+  if (emulators) {
+    firestore.connectFirestoreEmulator(firestoreDb, 'localhost', 8080);
+    firebaseAuth.connectAuthEmulator(firebaseAuthInstance, 'http://localhost:9099', { disableWarnings: true });
+    if (firebaseStorageInstance) firebaseStorage.connectStorageEmulator(firebaseStorageInstance, 'localhost', 9199);
+  }
+  // firestore.setLogLevel('Debug'); // Uncomment for verbose logging
+  return {
+    name: 'firebase',
+    db: firestoreDb,
+    auth: firebaseAuthInstance,
+    storage: firebaseStorageInstance,
+    popupSignIn: true,
+    customTokens: true,
+    ...pickApi(firestore, BACKEND_DATA_API),
+    ...pickApi(firebaseAuth, BACKEND_AUTH_API),
+    ...pickApi(firebaseStorage, BACKEND_FILE_API),
+  };
+};
+
+// Errors carry Firebase's codes so describeError and AUTH_ERROR_MESSAGES apply unchanged
+const localError = (code, message) => Object.assign(new Error(message), { code });
+
+const LOCAL_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const newLocalId = (length = 20) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return [...bytes].map(byte => LOCAL_ID_CHARS[byte % LOCAL_ID_CHARS.length]).join('');
+};
+
+const joinPath = (...segments) => segments.join('/').split('/').filter(Boolean).join('/');
+
+// Paths with an even number of segments name documents, odd ones collections
+const localRef = (path) => {
+  const segments = path.split('/');
+  return { type: segments.length % 2 === 0 ? 'document' : 'collection', id: segments[segments.length - 1], path };
+};
+
+const isLocalSentinel = (value) => !!value && typeof value === 'object' && 'localSentinel' in value;
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value) && !isLocalSentinel(value);
+
+// Value of a sentinel (deleteField, increment) applied to a field's current value;
+// undefined removes the field
+const resolveSentinel = (value, current) => {
+  if (value.localSentinel === 'delete') return undefined;
+  return (typeof current === 'number' ? current : 0) + value.by;
+};
+
+const resolveValue = (value, current) => {
+  if (isLocalSentinel(value)) return resolveSentinel(value, current);
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, nested]) => {
+      const resolved = resolveValue(nested, undefined);
+      if (resolved !== undefined) result[key] = resolved;
+    });
+    return result;
+  }
+  return structuredClone(value);
+};
+
+// setDoc with { merge: true } merges nested maps; everything else is replaced
+const mergeData = (current, data) => {
+  const result = { ...current };
+  Object.entries(data).forEach(([key, value]) => {
+    const merged = isPlainObject(value) && isPlainObject(current[key])
+      ? mergeData(current[key], value)
+      : resolveValue(value, current[key]);
+    if (merged === undefined) delete result[key];
+    else result[key] = merged;
+  });
+  return result;
+};
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce(
+  (value, key) => (isPlainObject(value) ? value[key] : undefined),
+  data
+);
+
+// updateDoc keys are dotted field paths; each replaces the value it names
+const updateFields = (current, data) => {
+  const result = structuredClone(current);
+  Object.entries(data).forEach(([fieldPath, value]) => {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      return target[key];
+    }, result);
+    const resolved = resolveValue(value, parent[last]);
+    if (resolved === undefined) delete parent[last];
+    else parent[last] = resolved;
+  });
+  return result;
+};
+
+// Firestore's ordering across types: null, booleans, numbers, strings, arrays, maps
+const LOCAL_TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+const localTypeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const compareValues = (a, b) => {
+  const typeDifference = LOCAL_TYPE_ORDER.indexOf(localTypeOf(a)) - LOCAL_TYPE_ORDER.indexOf(localTypeOf(b));
+  if (typeDifference) return typeDifference;
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const difference = compareValues(a[i], b[i]);
+      if (difference) return difference;
+    }
+    return a.length - b.length;
+  }
+  if (typeof a === 'object') return compareValues(JSON.stringify(a), JSON.stringify(b));
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Equality of stored values, with missing fields equal to null
+export const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+const LOCAL_WHERE_OPS = {
+  '==': (value, operand) => sameValue(value, operand),
+  '!=': (value, operand) => !sameValue(value, operand),
+  '<': (value, operand) => localTypeOf(value) === localTypeOf(operand) && compareValues(value, operand) < 0,
+  '<=': (value, operand) => localTypeOf(value) === localTypeOf(operand) && compareValues(value, operand) <= 0,
+  '>': (value, operand) => localTypeOf(value) === localTypeOf(operand) && compareValues(value, operand) > 0,
+  '>=': (value, operand) => localTypeOf(value) === localTypeOf(operand) && compareValues(value, operand) >= 0,
+  'array-contains': (value, operand) => Array.isArray(value) && value.some(item => sameValue(item, operand)),
+  'array-contains-any': (value, operand) => Array.isArray(value) && value.some(item => operand.some(o => sameValue(item, o))),
+  'in': (value, operand) => operand.some(o => sameValue(value, o)),
+  'not-in': (value, operand) => !operand.some(o => sameValue(value, o)),
+};
+
+// Documents ([path, data]) matching a collection, collection group or query, in query order
+const runLocalQuery = (documents, target) => {
+  const source = target.type === 'query' ? target.source : target;
+  const constraints = target.type === 'query' ? target.constraints : [];
+  const ofConstraint = (kind) => constraints.filter(c => c.kind === kind);
+  const orderings = ofConstraint('orderBy');
+
+  let results = [...documents].filter(([path]) => {
+    const segments = path.split('/');
+    if (source.type === 'collectionGroup') return segments[segments.length - 2] === source.id;
+    return segments.slice(0, -1).join('/') === source.path;
+  });
+  results = results.filter(([, data]) => ofConstraint('where').every(({ field, op, value }) => {
+    const fieldValue = getField(data, field);
+    return fieldValue !== undefined && LOCAL_WHERE_OPS[op](fieldValue, value);
+  }));
+  // Like Firestore, ordering by a field leaves out documents without it
+  results = results.filter(([, data]) => orderings.every(({ field }) => getField(data, field) !== undefined));
+
+  const compare = ([pathA, dataA], [pathB, dataB]) => {
+    for (const { field, direction } of orderings) {
+      const difference = compareValues(getField(dataA, field), getField(dataB, field));
+      if (difference) return direction === 'desc' ? -difference : difference;
+    }
+    return pathA < pathB ? -1 : pathA > pathB ? 1 : 0;
+  };
+  results.sort(compare);
+
+  const cursorOf = (snapshot) => [snapshot.ref.path, snapshot.data()];
+  ofConstraint('startAfter').forEach(({ cursor }) => {
+    results = results.filter(entry => compare(entry, cursorOf(cursor)) > 0);
+  });
+  ofConstraint('endAt').forEach(({ cursor }) => {
+    results = results.filter(entry => compare(entry, cursorOf(cursor)) <= 0);
+  });
+  ofConstraint('limit').forEach(({ count }) => {
+    results = results.slice(0, count);
+  });
+  return results;
+};
+
+const localDocumentSnapshot = (path, data) => ({
+  id: localRef(path).id,
+  ref: localRef(path),
+  exists: () => data !== undefined,
+  data: () => (data === undefined ? undefined : structuredClone(data)),
+});
+
+const localQuerySnapshot = (results, changes) => {
+  const docs = results.map(([path, data]) => localDocumentSnapshot(path, data));
+  return {
+    docs,
+    empty: docs.length === 0,
+    size: docs.length,
+    forEach: (callback) => docs.forEach(callback),
+    docChanges: () => changes,
+  };
+};
+
+// Loads every stored document; resolves to null when IndexedDB cannot be used
+const openLocalDatabase = (name) => new Promise((resolve) => {
+  if (typeof indexedDB === 'undefined') {
+    resolve(null);
+    return;
+  }
+  const request = indexedDB.open(name, 2);
+  request.onupgradeneeded = () => {
+    ['documents', 'files'].forEach((storeName) => {
+      if (!request.result.objectStoreNames.contains(storeName)) request.result.createObjectStore(storeName);
+    });
+  };
+  request.onerror = () => {
+    console.error("Failed to open the local database:", request.error);
+    resolve(null);
+  };
+  request.onsuccess = () => resolve(request.result);
+});
+
+const readLocalDatabase = (database) => new Promise((resolve, reject) => {
+  const entries = [];
+  const request = database.transaction('documents').objectStore('documents').openCursor();
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      resolve(entries);
+      return;
+    }
+    entries.push([cursor.key, cursor.value]);
+    cursor.continue();
+  };
+});
+
+const LOCAL_DATABASE_NAME = `collab-docs-${appId}`;
+
+// `opened` resolves to the IndexedDB database, or null to keep the data in memory
+const createLocalDataApi = (opened) => {
+  const documents = new Map(); // path -> data
+  const writeCounts = new Map(); // path -> number of writes, to detect conflicting transactions
+  const listeners = new Set();
+  let database = null;
+  let channel = null;
+
+  const ready = opened
+    .then(async (openedDatabase) => {
+      database = openedDatabase;
+      if (!database) return;
+      (await readLocalDatabase(database)).forEach(([path, data]) => documents.set(path, data));
+      // Tabs sharing the database keep their own copy and tell each other about their writes
+      if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(LOCAL_DATABASE_NAME);
+        channel.onmessage = (event) => {
+          applyChanges(event.data.map(([path, data]) => [path, data === null ? undefined : data]));
+        };
+      }
+    })
+    .catch(e => console.error("Failed to load the local database:", e));
+
+  const emit = (listener) => {
+    if (!listener.active) return;
+    const { target } = listener;
+    try {
+      if (target.type === 'document') {
+        const data = documents.get(target.path);
+        const key = JSON.stringify(data === undefined ? null : data);
+        if (key === listener.last) return;
+        listener.last = key;
+        listener.next(localDocumentSnapshot(target.path, data));
+        return;
+      }
+      const results = runLocalQuery(documents, target);
+      const previous = listener.last || new Map();
+      const current = new Map(results.map(([path, data]) => [path, data]));
+      const changes = [];
+      results.forEach(([path, data]) => {
+        if (!previous.has(path)) changes.push({ type: 'added', doc: localDocumentSnapshot(path, data) });
+        else if (previous.get(path) !== data) changes.push({ type: 'modified', doc: localDocumentSnapshot(path, data) });
+      });
+      previous.forEach((data, path) => {
+        if (!current.has(path)) changes.push({ type: 'removed', doc: localDocumentSnapshot(path, data) });
+      });
+      if (listener.last && !changes.length && [...previous.keys()].join('|') === [...current.keys()].join('|')) return;
+      listener.last = current;
+      listener.next(localQuerySnapshot(results, changes));
+    } catch (e) {
+      console.error("Local listener failed:", e);
+    }
+  };
+
+  const applyChanges = (changes) => {
+    changes.forEach(([path, data]) => {
+      if (data === undefined) documents.delete(path);
+      else documents.set(path, data);
+      writeCounts.set(path, (writeCounts.get(path) || 0) + 1);
+    });
+    [...listeners].forEach(emit);
+  };
+
+  // Applies a batch of writes atomically: nothing changes if any of them fails.
+  // Resolves to false without writing when `isCurrent` says the reads behind them are stale.
+  const commit = async (writes, isCurrent = () => true) => {
+    await ready;
+    if (!isCurrent()) return false;
+    const staged = new Map();
+    writes.forEach(({ path, kind, data, options }) => {
+      const current = staged.has(path) ? staged.get(path) : documents.get(path);
+      if (kind === 'delete') {
+        staged.set(path, undefined);
+      } else if (kind === 'update') {
+        if (current === undefined) throw localError('not-found', `No document to update: ${path}`);
+        staged.set(path, updateFields(current, data));
+      } else {
+        staged.set(path, options && options.merge ? mergeData(current || {}, data) : resolveValue(data, undefined));
+      }
+    });
+    const changes = [...staged];
+    applyChanges(changes);
+    if (channel) channel.postMessage(changes.map(([path, data]) => [path, data === undefined ? null : data]));
+    if (database) {
+      const store = database.transaction('documents', 'readwrite').objectStore('documents');
+      changes.forEach(([path, data]) => (data === undefined ? store.delete(path) : store.put(data, path)));
+    }
+    return true;
+  };
+
+  const writeCollector = (writes, result) => Object.assign(result, {
+    set: (ref, data, options = {}) => {
+      writes.push({ path: ref.path, kind: 'set', data, options });
+      return result;
+    },
+    update: (ref, data) => {
+      writes.push({ path: ref.path, kind: 'update', data });
+      return result;
+    },
+    delete: (ref) => {
+      writes.push({ path: ref.path, kind: 'delete' });
+      return result;
+    },
+  });
+
+  const refPath = (parent, segments) => joinPath(parent && parent.path ? parent.path : '', ...segments);
+
+  return {
+    doc: (parent, ...segments) => localRef(segments.length ? refPath(parent, segments) : joinPath(parent.path, newLocalId())),
+    collection: (parent, ...segments) => localRef(refPath(parent, segments)),
+    collectionGroup: (db, id) => ({ type: 'collectionGroup', id }),
+    query: (source, ...constraints) => (source.type === 'query'
+      ? { ...source, constraints: [...source.constraints, ...constraints] }
+      : { type: 'query', source, constraints }),
+    where: (field, op, value) => {
+      if (!LOCAL_WHERE_OPS[op]) throw localError('invalid-argument', `Unsupported query operator '${op}'.`);
+      return { kind: 'where', field, op, value };
+    },
+    orderBy: (field, direction = 'asc') => ({ kind: 'orderBy', field, direction }),
+    limit: (count) => ({ kind: 'limit', count }),
+    startAfter: (cursor) => ({ kind: 'startAfter', cursor }),
+    endAt: (cursor) => ({ kind: 'endAt', cursor }),
+    getDoc: async (ref) => {
+      await ready;
+      return localDocumentSnapshot(ref.path, documents.get(ref.path));
+    },
+    getDocs: async (target) => {
+      await ready;
+      const results = runLocalQuery(documents, target);
+      return localQuerySnapshot(results, results.map(([path, data]) => ({ type: 'added', doc: localDocumentSnapshot(path, data) })));
+    },
+    setDoc: (ref, data, options = {}) => commit([{ path: ref.path, kind: 'set', data, options }]),
+    updateDoc: (ref, data) => commit([{ path: ref.path, kind: 'update', data }]),
+    deleteDoc: (ref) => commit([{ path: ref.path, kind: 'delete' }]),
+    deleteField: () => ({ localSentinel: 'delete' }),
+    increment: (by) => ({ localSentinel: 'increment', by }),
+    onSnapshot: (target, next, error) => {
+      const listener = { target, next, error, active: true, last: null };
+      listeners.add(listener);
+      // Like Firestore, the first snapshot arrives asynchronously
+      ready.then(() => emit(listener));
+      return () => {
+        listener.active = false;
+        listeners.delete(listener);
+      };
+    },
+    writeBatch: () => {
+      const writes = [];
+      return writeCollector(writes, { commit: () => commit(writes) });
+    },
+    // Retried like Firestore when a document it read was written in the meantime
+    runTransaction: async (db, update) => {
+      await ready;
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const reads = new Map();
+        const writes = [];
+        const transaction = writeCollector(writes, {
+          get: async (ref) => {
+            reads.set(ref.path, writeCounts.get(ref.path) || 0);
+            return localDocumentSnapshot(ref.path, documents.get(ref.path));
+          },
+        });
+        const result = await update(transaction);
+        const isCurrent = () => [...reads].every(([path, count]) => (writeCounts.get(path) || 0) === count);
+        if (await commit(writes, isCurrent)) return result;
+      }
+      throw localError('aborted', 'The transaction was retried too many times.');
+    },
+  };
+};
+
+const hashPassword = async (uid, password) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${uid}:${password}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Only email accounts and guests exist locally; they let several people share a browser
+class LocalAuthProvider {}
+
+const createLocalAuthApi = (auth) => {
+  const sessionKey = `collab-docs-${appId}-session`;
+  const accountsKey = `collab-docs-${appId}-accounts`;
+  const listeners = new Set();
+  const loadAccounts = () => JSON.parse(localStorage.getItem(accountsKey) || '{}');
+
+  const setUser = (user) => {
+    auth.currentUser = user;
+    if (user) localStorage.setItem(sessionKey, JSON.stringify(user));
+    else localStorage.removeItem(sessionKey);
+    listeners.forEach(listener => listener(user));
+    return { user };
+  };
+
+  const registerEmail = async (uid, email, password) => {
+    if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw localError('auth/invalid-email', 'Invalid email.');
+    if (password.length < 6) throw localError('auth/weak-password', 'Weak password.');
+    const accounts = loadAccounts();
+    if (accounts[email]) throw localError('auth/email-already-in-use', 'Email already in use.');
+    accounts[email] = { uid, passwordHash: await hashPassword(uid, password) };
+    localStorage.setItem(accountsKey, JSON.stringify(accounts));
+    return { uid, isAnonymous: false, email, displayName: null };
+  };
+
+  const unsupported = async () => {
+    throw localError('auth/operation-not-supported-in-this-environment', 'This sign-in method needs Firebase.');
+  };
+
+  try {
+    auth.currentUser = JSON.parse(localStorage.getItem(sessionKey));
+  } catch (e) {
+    auth.currentUser = null;
+  }
+
+  return {
+    onAuthStateChanged: (authInstance, listener) => {
+      listeners.add(listener);
+      setTimeout(() => {
+        if (listeners.has(listener)) listener(auth.currentUser);
+      }, 0);
+      return () => listeners.delete(listener);
+    },
+    signInAnonymously: async () => setUser({ uid: newLocalId(28), isAnonymous: true, email: null, displayName: null }),
+    signInWithCustomToken: unsupported,
+    signOut: async () => {
+      setUser(null);
+    },
+    signInWithEmailAndPassword: async (authInstance, email, password) => {
+      const account = loadAccounts()[email];
+      if (!account || account.passwordHash !== await hashPassword(account.uid, password)) {
+        throw localError('auth/invalid-credential', 'Invalid credential.');
+      }
+      return setUser({ uid: account.uid, isAnonymous: false, email, displayName: null });
+    },
+    createUserWithEmailAndPassword: async (authInstance, email, password) => setUser(await registerEmail(newLocalId(28), email, password)),
+    // Upgrading a guest keeps its uid, as with Firebase
+    linkWithCredential: async (user, credential) => setUser(await registerEmail(user.uid, credential.email, credential.password)),
+    signInWithPopup: unsupported,
+    linkWithPopup: unsupported,
+    EmailAuthProvider: { credential: (email, password) => ({ email, password }) },
+    GoogleAuthProvider: LocalAuthProvider,
+    GithubAuthProvider: LocalAuthProvider,
+  };
+};
+
+// Files live beside the documents, as blobs keyed by their path
+const createLocalFileApi = (opened) => {
+  const files = new Map(); // path -> Blob, for files stored or read in this tab
+  const fileStore = (database, mode) => database.transaction('files', mode).objectStore('files');
+  const request = (idbRequest) => new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+
+  return {
+    ref: (storage, path) => ({ path }),
+    uploadBytes: async (fileRef, data, metadata = {}) => {
+      const blob = new Blob([data], { type: metadata.contentType || data.type || '' });
+      const database = await opened;
+      if (database) await request(fileStore(database, 'readwrite').put(blob, fileRef.path));
+      files.set(fileRef.path, blob);
+    },
+    getBlob: async (fileRef) => {
+      const database = await opened;
+      const blob = files.get(fileRef.path) || (database ? await request(fileStore(database, 'readonly').get(fileRef.path)) : null);
+      if (!blob) throw localError('storage/object-not-found', `No file at ${fileRef.path}`);
+      files.set(fileRef.path, blob);
+      return blob;
+    },
+    deleteObject: async (fileRef) => {
+      const database = await opened;
+      const exists = files.has(fileRef.path) || (database && await request(fileStore(database, 'readonly').count(fileRef.path)));
+      if (!exists) throw localError('storage/object-not-found', `No file at ${fileRef.path}`);
+      if (database) await request(fileStore(database, 'readwrite').delete(fileRef.path));
+      files.delete(fileRef.path);
+    },
+  };
+};
+
+export const createLocalBackend = (persistent) => {
+  const localAuth = { currentUser: null };
+  const opened = persistent ? openLocalDatabase(LOCAL_DATABASE_NAME) : Promise.resolve(null);
+  return {
+    name: 'local',
+    db: { type: 'local' },
+    auth: localAuth,
+    storage: { type: 'local' },
+    popupSignIn: false,
+    customTokens: false,
+    ...createLocalDataApi(opened),
+    ...createLocalAuthApi(localAuth),
+    ...createLocalFileApi(opened),
+  };
+};
+
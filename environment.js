@@ -0,0 +1,9 @@
+// Define global configuration variables (MANDATORY for Canvas environment)
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+export const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
+export const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Set to true to run against the local Firebase emulator suite (see firebase.json)
+export const useEmulators = typeof __use_firebase_emulators !== 'undefined' ? !!__use_firebase_emulators : false;
+// 'local' or 'memory' keeps data on this device even when Firebase is configured (see backend.js)
+export const storageBackend = typeof __storage_backend !== 'undefined' ? __storage_backend : null;
+
@@ -0,0 +1,39 @@
+import js from '@eslint/js';
+import globals from 'globals';
+import react from 'eslint-plugin-react';
+import reactHooks from 'eslint-plugin-react-hooks';
+
+export default [
+  js.configs.recommended,
+  {
+    files: ['**/*.{js,jsx}'],
+    plugins: { react, 'react-hooks': reactHooks },
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      parserOptions: { ecmaFeatures: { jsx: true } },
+      globals: {
+        ...globals.browser,
+        // Injected by the hosting environment (see environment.js)
+        __app_id: 'readonly',
+        __firebase_config: 'readonly',
+        __initial_auth_token: 'readonly',
+        __use_firebase_emulators: 'readonly',
+        __storage_backend: 'readonly',
+      },
+    },
+    settings: { react: { version: 'detect' } },
+    rules: {
+      ...reactHooks.configs.recommended.rules,
+      'react/jsx-uses-vars': 'error',
+      'react/jsx-uses-react': 'error',
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: false }],
+      // sanitizeUrl strips control characters from link targets on purpose
+      'no-control-regex': 'off',
+    },
+  },
+  {
+    files: ['test/**', '*.config.js'],
+    languageOptions: { globals: { ...globals.node } },
+  },
+];
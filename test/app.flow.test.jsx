@@ -0,0 +1,236 @@
+import { describe, test, expect } from 'vitest';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import App from '../App.jsx';
+
+// Without a Firebase configuration the app runs on the local backend, in memory here
+// since jsdom has no IndexedDB. Guests are signed in automatically on first load.
+const renderApp = async () => {
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  await screen.findByText('Create New Document');
+};
+
+const openNewDocument = async (title) => {
+  fireEvent.change(screen.getByPlaceholderText(/Enter document title/), { target: { value: title } });
+  fireEvent.click(screen.getByRole('button', { name: /Create & Edit/ }));
+  await screen.findByText(`Document '${title}' created.`);
+  expect(await screen.findByDisplayValue(title)).toBeTruthy();
+};
+
+const closeEditor = async () => {
+  fireEvent.click(await screen.findByRole('button', { name: 'Close' }));
+  await screen.findByText('Create New Document');
+};
+
+const createDocument = async (title) => {
+  await openNewDocument(title);
+  await closeEditor();
+};
+
+// The activity feed mentions documents too; list rows are the ones with the given action
+const findListItem = (title, action) => waitFor(() => {
+  const row = screen.getAllByText(title).map(element => element.closest('li'))
+    .find(li => li && within(li).queryByTitle(action));
+  expect(row).toBeTruthy();
+  return row;
+});
+
+const findConfirmation = async (message) => (await screen.findByText(message)).parentElement;
+
+describe('dashboard flows on the local backend', () => {
+  test('a guest creates a document, which opens in the editor and is listed', async () => {
+    await renderApp();
+    await createDocument('Quarterly plan');
+    expect(await findListItem('Quarterly plan', 'Move to Trash')).toBeTruthy();
+    expect(window.location.pathname).toBe('/');
+  });
+
+  test('trashing a document moves it to the Trash, from where it can be restored', async () => {
+    await renderApp();
+    await createDocument('Meeting notes');
+    fireEvent.click(within(await findListItem('Meeting notes', 'Move to Trash')).getByTitle('Move to Trash'));
+    await screen.findByText(/Document 'Meeting notes' moved to the trash/);
+    await waitFor(() => expect(screen.queryByText('Meeting notes', { selector: 'li p' })).toBeNull());
+
+    fireEvent.click(screen.getByRole('button', { name: /Trash \(1\)/ }));
+    fireEvent.click(within(await findListItem('Meeting notes', 'Restore Document')).getByTitle('Restore Document'));
+    await screen.findByText("Document 'Meeting notes' restored.");
+    await screen.findByText('The trash is empty.');
+
+    fireEvent.click(screen.getByRole('button', { name: /Dashboard/ }));
+    expect(await findListItem('Meeting notes', 'Move to Trash')).toBeTruthy();
+  });
+
+  test('deleting a document forever asks first and removes it for good', async () => {
+    await renderApp();
+    await createDocument('Scratch');
+    fireEvent.click(within(await findListItem('Scratch', 'Move to Trash')).getByTitle('Move to Trash'));
+    fireEvent.click(await screen.findByRole('button', { name: /Trash \(1\)/ }));
+    const row = await findListItem('Scratch', 'Delete Forever');
+
+    fireEvent.click(within(row).getByTitle('Delete Forever'));
+    fireEvent.click(within(await findConfirmation(/Delete 'Scratch' forever/)).getByRole('button', { name: 'Cancel' }));
+    expect(await findListItem('Scratch', 'Delete Forever')).toBe(row);
+
+    fireEvent.click(within(row).getByTitle('Delete Forever'));
+    fireEvent.click(within(await findConfirmation(/Delete 'Scratch' forever/)).getByRole('button', { name: 'Delete Forever' }));
+    await screen.findByText('Document deleted permanently.');
+    await screen.findByText('The trash is empty.');
+  });
+
+  test('publishing a document moves it to the shared files under a new id', async () => {
+    await renderApp();
+    await openNewDocument('Roadmap');
+    const privatePath = window.location.pathname;
+    fireEvent.click(screen.getByTitle('Move to the shared public files'));
+    await screen.findByText("Document 'Roadmap' is now public.");
+    await waitFor(() => expect(window.location.pathname).toMatch(/\/doc\/public\//));
+    expect(await screen.findByDisplayValue('Roadmap')).toBeTruthy();
+    expect(screen.queryByText(/being moved/)).toBeNull();
+
+    await closeEditor();
+    const row = await findListItem('Roadmap', 'Move to Trash');
+    expect(row.closest('.rounded-xl').querySelector('h2').textContent).toMatch(/Shared Public Files/);
+    expect(privatePath).toMatch(/\/doc\/private\//);
+  });
+
+  test('publishing a document moves its attachments with it', async () => {
+    await renderApp();
+    await openNewDocument('Launch plan');
+    fireEvent.click(screen.getByRole('button', { name: /Files/ }));
+    await screen.findByText('No files attached yet.');
+    const input = document.querySelector('input[type=file][accept*="image/png"]');
+    fireEvent.change(input, { target: { files: [new File(['Agenda'], 'agenda.txt', { type: 'text/plain' })] } });
+    await screen.findByTitle('agenda.txt');
+
+    fireEvent.click(screen.getByTitle('Move to the shared public files'));
+    await screen.findByText("Document 'Launch plan' is now public.");
+    await waitFor(() => expect(window.location.pathname).toMatch(/\/doc\/public\//));
+    fireEvent.click(await screen.findByRole('button', { name: /Files \(1\)/ }));
+    expect(await screen.findByTitle('agenda.txt')).toBeTruthy();
+    expect(screen.queryByText(/could not be moved/)).toBeNull();
+
+    await closeEditor();
+    const row = await findListItem('Launch plan', 'Move to Trash');
+    expect(row.closest('.rounded-xl').querySelector('h2').textContent).toMatch(/Shared Public Files/);
+  });
+
+  test('restoring a backup brings back the attachments of its documents', async () => {
+    await renderApp();
+    const backup = JSON.stringify({
+      format: 'collaborative-documents-backup',
+      version: 2,
+      appId: 'elsewhere',
+      documents: [{
+        collection: 'private',
+        id: 'budget',
+        data: { title: 'Budget', createdAt: 1, lastUpdated: 1 },
+        content: 'See ![chart](attachment:chart)',
+        revisions: [],
+        comments: [],
+        attachments: [{ id: 'chart', name: 'figures.txt', contentType: 'text/plain', size: 7, uploadedBy: 'someone', createdAt: 1, data: btoa('Figures') }],
+      }],
+    });
+    // jsdom's File has no text()
+    const file = Object.assign(new File([backup], 'backup.json', { type: 'application/json' }), { text: async () => backup });
+    fireEvent.change(document.querySelector('input[type=file][accept*=".json"]'), { target: { files: [file] } });
+    fireEvent.click(within(await findConfirmation(/Restore 1 document/)).getByRole('button', { name: 'Restore' }));
+    await screen.findByText('Restored 1 document.');
+
+    fireEvent.click(within(await findListItem('Budget', 'Move to Trash')).getByTitle('Edit Document'));
+    expect(await screen.findByDisplayValue('Budget')).toBeTruthy();
+    fireEvent.click(await screen.findByRole('button', { name: /Files \(1\)/ }));
+    expect(await screen.findByTitle('figures.txt')).toBeTruthy();
+  });
+
+  test('leaving a document with unsaved changes by the header or back button asks first', async () => {
+    await renderApp();
+    await openNewDocument('Draft');
+    const documentPath = window.location.pathname;
+    fireEvent.change(screen.getByDisplayValue('Draft'), { target: { value: 'Draft, renamed' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Dashboard/ }));
+    fireEvent.click(within(await findConfirmation(/Leave anyway/)).getByRole('button', { name: 'Cancel' }));
+    await waitFor(() => expect(screen.queryByText(/Leave anyway/)).toBeNull());
+    expect(window.location.pathname).toBe(documentPath);
+
+    // What the browser does on Back
+    window.history.pushState(null, '', '/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    fireEvent.click(within(await findConfirmation(/Leave anyway/)).getByRole('button', { name: 'Cancel' }));
+    await waitFor(() => expect(window.location.pathname).toBe(documentPath));
+    expect(screen.getByDisplayValue('Draft, renamed')).toBeTruthy();
+
+    window.history.pushState(null, '', '/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    fireEvent.click(within(await findConfirmation(/Leave anyway/)).getByRole('button', { name: 'Leave' }));
+    await screen.findByText('Create New Document');
+    expect(window.location.pathname).toBe('/');
+  });
+
+  test('search finds words anywhere in a document, not just its beginning', async () => {
+    await renderApp();
+    await openNewDocument('Field notes');
+    const words = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+    fireEvent.change(screen.getByPlaceholderText(/Start writing|Write Markdown/), { target: { value: `${words} zebra` } });
+    await screen.findByText('All changes saved');
+    await closeEditor();
+    await createDocument('Zebra crossing');
+
+    fireEvent.change(screen.getByPlaceholderText(/Search titles and content/), { target: { value: 'zebra' } });
+    expect(await findListItem('Field notes', 'Move to Trash')).toBeTruthy();
+    fireEvent.change(screen.getByPlaceholderText(/Search titles and content/), { target: { value: 'word399' } });
+    await waitFor(() => expect(screen.queryByText('Zebra crossing', { selector: 'li p' })).toBeNull());
+    expect(await findListItem('Field notes', 'Move to Trash')).toBeTruthy();
+  });
+
+  test('content replaced without "Save Version" can still be restored from the history', async () => {
+    await renderApp();
+    await openNewDocument('Contract');
+    const editor = () => screen.getByPlaceholderText(/Start writing|Write Markdown/);
+    fireEvent.change(editor(), { target: { value: 'Original terms' } });
+    await screen.findByText('All changes saved');
+    await closeEditor();
+
+    fireEvent.click(within(await findListItem('Contract', 'Edit Document')).getByTitle('Edit Document'));
+    await screen.findByDisplayValue('Original terms');
+    fireEvent.change(editor(), { target: { value: 'Rewritten terms' } });
+    await screen.findByText('All changes saved');
+
+    fireEvent.click(screen.getByRole('button', { name: /History/ }));
+    fireEvent.click(await screen.findByTitle('Restore this version'));
+    await waitFor(() => expect(editor().value).toBe('Original terms'));
+  });
+
+  test('an edit is logged when the page is hidden, without waiting for the author to pause', async () => {
+    await renderApp();
+    await openNewDocument('Minutes');
+    fireEvent.change(screen.getByPlaceholderText(/Start writing|Write Markdown/), { target: { value: 'Agreed' } });
+    fireEvent.click(screen.getByRole('button', { name: /Activity/ }));
+    // The dashboard feed behind the editor lists the same events
+    const panel = (await screen.findByText('Activity', { selector: 'h3' })).parentElement;
+    expect(within(panel).queryByText(/Edited the content/)).toBeNull();
+
+    window.dispatchEvent(new Event('pagehide'));
+    expect(await within(panel).findByText('Edited the content (+6 / -0 characters)')).toBeTruthy();
+  });
+
+  test('publishing a shared document names the collaborators who lose access, and asks first', async () => {
+    await renderApp();
+    await openNewDocument('Budget');
+    fireEvent.click(screen.getByRole('button', { name: 'Share' }));
+    fireEvent.change(screen.getByPlaceholderText("Collaborator's user ID"), { target: { value: 'colleague-0001' } });
+    fireEvent.click(screen.getByRole('button', { name: /Invite/ }));
+    await screen.findByText(/Document shared with/);
+
+    fireEvent.click(screen.getByTitle('Move to the shared public files'));
+    const question = "'Budget' is shared with ...gue-0001. This collaborator loses access when the document is published.";
+    fireEvent.click(within(await findConfirmation(question)).getByRole('button', { name: 'Cancel' }));
+    await waitFor(() => expect(screen.queryByText(question)).toBeNull());
+    expect(window.location.pathname).toMatch(/\/doc\/private\//);
+
+    fireEvent.click(screen.getByTitle('Move to the shared public files'));
+    fireEvent.click(within(await findConfirmation(question)).getByRole('button', { name: 'Publish' }));
+    await screen.findByText("Document 'Budget' is now public.");
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, test, expect, beforeAll, vi } from 'vitest';
+import { createLocalBackend, createFirebaseBackend } from '../backend.js';
+
+// The app only uses what every backend offers (BACKEND_DATA_API, BACKEND_AUTH_API and
+// BACKEND_FILE_API), so one suite checks the local backend against Firebase's behaviour.
+// Against Firebase it needs the emulator suite: `npm run test:emulators`.
+const runContract = (createBackendUnderTest) => {
+  let backend;
+  let uid;
+  let documents;
+  // Keeps queries to the documents of this run when the emulator is reused
+  const run = Math.random().toString(36).slice(2);
+
+  beforeAll(async () => {
+    backend = createBackendUnderTest();
+    uid = (await backend.signInAnonymously(backend.auth)).user.uid;
+    documents = backend.collection(backend.db, 'artifacts', 'contract-tests', 'users', uid, 'documents');
+  });
+
+  // The security rules let owners do anything with their documents
+  const newDoc = (id, data = {}) => {
+    const ref = id ? backend.doc(documents, id) : backend.doc(documents);
+    return [ref, { authorId: uid, run, ...data }];
+  };
+  const read = async (ref) => (await backend.getDoc(ref)).data();
+  const ids = (snapshot) => snapshot.docs.map(d => d.id);
+  // jsdom's Blob has no text()
+  const readText = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+
+  describe('documents', () => {
+    test('written data reads back, and missing documents do not exist', async () => {
+      const [ref, data] = newDoc('round-trip', { title: 'Plan', tags: ['a', 'b'], nested: { count: 1 } });
+      await backend.setDoc(ref, data);
+      const snapshot = await backend.getDoc(ref);
+      expect(snapshot.exists()).toBe(true);
+      expect(snapshot.id).toBe('round-trip');
+      expect(snapshot.data()).toEqual(data);
+      expect((await backend.getDoc(backend.doc(documents, 'missing'))).exists()).toBe(false);
+    });
+
+    test('generated ids are new documents in the collection', () => {
+      const [ref] = newDoc();
+      expect(ref.id).toMatch(/^[A-Za-z0-9]{20}$/);
+      expect(ref.path).toBe(`${documents.path}/${ref.id}`);
+      expect(newDoc()[0].id).not.toBe(ref.id);
+    });
+
+    test('merging sets merge nested maps; plain sets replace', async () => {
+      const [ref, data] = newDoc('merge', { acl: { a: 'editor' }, title: 'Old' });
+      await backend.setDoc(ref, data);
+      await backend.setDoc(ref, { acl: { b: 'viewer' } }, { merge: true });
+      expect(await read(ref)).toEqual({ ...data, acl: { a: 'editor', b: 'viewer' } });
+      await backend.setDoc(ref, { authorId: uid, run });
+      expect(await read(ref)).toEqual({ authorId: uid, run });
+    });
+
+    test('updates replace dotted fields, delete fields and increment numbers', async () => {
+      const [ref, data] = newDoc('update', { acl: { a: 'editor', b: 'viewer' }, openComments: 2, title: 'Draft' });
+      await backend.setDoc(ref, data);
+      await backend.updateDoc(ref, {
+        'acl.a': 'commenter',
+        'acl.b': backend.deleteField(),
+        title: backend.deleteField(),
+        openComments: backend.increment(-1),
+        views: backend.increment(1),
+      });
+      expect(await read(ref)).toEqual({ authorId: uid, run, acl: { a: 'commenter' }, openComments: 1, views: 1 });
+    });
+
+    test('updating a missing document fails with not-found', async () => {
+      await expect(backend.updateDoc(backend.doc(documents, 'never-written'), { title: 'x' }))
+        .rejects.toMatchObject({ code: 'not-found' });
+    });
+
+    test('deleted documents no longer exist', async () => {
+      const [ref, data] = newDoc('deleted');
+      await backend.setDoc(ref, data);
+      await backend.deleteDoc(ref);
+      expect((await backend.getDoc(ref)).exists()).toBe(false);
+    });
+
+    test('subcollections are separate from their parent collection', async () => {
+      const [ref, data] = newDoc('parent');
+      await backend.setDoc(ref, data);
+      const body = backend.doc(ref, 'content', 'body');
+      await backend.setDoc(body, { content: 'Text' });
+      expect(await read(body)).toEqual({ content: 'Text' });
+      const snapshot = await backend.getDocs(backend.query(documents, backend.where('run', '==', run)));
+      expect(ids(snapshot)).not.toContain('body');
+    });
+  });
+
+  describe('queries', () => {
+    beforeAll(async () => {
+      const batch = backend.writeBatch(backend.db);
+      [['q1', 3, 'x'], ['q2', 1, 'y'], ['q3', 2, 'x'], ['q4', 4, 'y']].forEach(([id, rank, group]) => {
+        batch.set(...newDoc(id, { rank, group, kind: 'query', tags: [group, 'all'] }));
+      });
+      batch.set(...newDoc('q5', { group: 'x', kind: 'query', tags: [] }));
+      await batch.commit();
+    });
+
+    const select = (...constraints) => backend.getDocs(backend.query(
+      documents, backend.where('run', '==', run), backend.where('kind', '==', 'query'), ...constraints
+    ));
+
+    test('filters compare values and arrays', async () => {
+      expect(ids(await select(backend.where('group', '==', 'x'))).sort()).toEqual(['q1', 'q3', 'q5']);
+      expect(ids(await select(backend.where('rank', '>=', 3))).sort()).toEqual(['q1', 'q4']);
+      expect(ids(await select(backend.where('tags', 'array-contains', 'y'))).sort()).toEqual(['q2', 'q4']);
+      expect(ids(await select(backend.where('group', 'in', ['y']))).sort()).toEqual(['q2', 'q4']);
+    });
+
+    test('ordering sorts in either direction and leaves out documents without the field', async () => {
+      expect(ids(await select(backend.orderBy('rank')))).toEqual(['q2', 'q3', 'q1', 'q4']);
+      expect(ids(await select(backend.orderBy('rank', 'desc')))).toEqual(['q4', 'q1', 'q3', 'q2']);
+    });
+
+    test('limits and cursors page through the results', async () => {
+      const first = await select(backend.orderBy('rank', 'desc'), backend.limit(2));
+      expect(ids(first)).toEqual(['q4', 'q1']);
+      expect(first.size).toBe(2);
+      const next = await select(backend.orderBy('rank', 'desc'), backend.startAfter(first.docs[1]), backend.limit(2));
+      expect(ids(next)).toEqual(['q3', 'q2']);
+      const upTo = await select(backend.orderBy('rank', 'desc'), backend.endAt(next.docs[0]));
+      expect(ids(upTo)).toEqual(['q4', 'q1', 'q3']);
+      const none = await select(backend.orderBy('rank', 'desc'), backend.startAfter(next.docs[1]));
+      expect(none.empty).toBe(true);
+    });
+  });
+
+  describe('batches and transactions', () => {
+    test('batched writes are applied together', async () => {
+      const [first, firstData] = newDoc('batch-1');
+      const [second, secondData] = newDoc('batch-2');
+      await backend.setDoc(second, secondData);
+      const batch = backend.writeBatch(backend.db);
+      batch.set(first, firstData);
+      batch.update(second, { title: 'Updated' });
+      await batch.commit();
+      expect(await read(first)).toEqual(firstData);
+      expect((await read(second)).title).toBe('Updated');
+    });
+
+    test('a batch with a failing write changes nothing', async () => {
+      const [ref, data] = newDoc('batch-atomic');
+      const batch = backend.writeBatch(backend.db);
+      batch.set(ref, data);
+      batch.update(backend.doc(documents, 'batch-missing'), { title: 'x' });
+      await expect(batch.commit()).rejects.toMatchObject({ code: 'not-found' });
+      expect((await backend.getDoc(ref)).exists()).toBe(false);
+    });
+
+    test('concurrent transactions are retried so no update is lost', async () => {
+      const [ref, data] = newDoc('counter', { count: 0 });
+      await backend.setDoc(ref, data);
+      const add = () => backend.runTransaction(backend.db, async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        transaction.update(ref, { count: snapshot.data().count + 1 });
+        return snapshot.data().count;
+      });
+      const seen = await Promise.all([add(), add(), add()]);
+      expect((await read(ref)).count).toBe(3);
+      expect(seen.sort()).toEqual([0, 1, 2]);
+    });
+  });
+
+  describe('listeners', () => {
+    test('document listeners get the current data, then every change', async () => {
+      const [ref, data] = newDoc('listened', { title: 'One' });
+      await backend.setDoc(ref, data);
+      const titles = [];
+      const unsubscribe = backend.onSnapshot(ref, (snapshot) => {
+        titles.push(snapshot.exists() ? snapshot.data().title : null);
+      });
+      await vi.waitFor(() => expect(titles).toEqual(['One']));
+      await backend.updateDoc(ref, { title: 'Two' });
+      await backend.deleteDoc(ref);
+      await vi.waitFor(() => expect(titles).toEqual(['One', 'Two', null]));
+      unsubscribe();
+      await backend.setDoc(ref, data);
+      expect(titles).toEqual(['One', 'Two', null]);
+    });
+
+    test('query listeners report which documents were added, modified and removed', async () => {
+      const changes = [];
+      const unsubscribe = backend.onSnapshot(
+        backend.query(documents, backend.where('run', '==', run), backend.where('kind', '==', 'listened')),
+        (snapshot) => changes.push(snapshot.docChanges().map(change => `${change.type} ${change.doc.id}`)),
+      );
+      await vi.waitFor(() => expect(changes).toEqual([[]]));
+      const [ref, data] = newDoc('listened-query', { kind: 'listened' });
+      await backend.setDoc(ref, data);
+      await vi.waitFor(() => expect(changes.flat()).toContain('added listened-query'));
+      await backend.updateDoc(ref, { title: 'Changed' });
+      await vi.waitFor(() => expect(changes.flat()).toContain('modified listened-query'));
+      await backend.deleteDoc(ref);
+      await vi.waitFor(() => expect(changes.flat()).toContain('removed listened-query'));
+      unsubscribe();
+    });
+  });
+
+  describe('files', () => {
+    test('uploaded files read back until they are deleted', async () => {
+      const [ref, data] = newDoc('with-file');
+      await backend.setDoc(ref, data);
+      const fileRef = backend.ref(backend.storage, `${ref.path}/attachments/notes`);
+      await backend.uploadBytes(fileRef, new Blob(['Hello']), { contentType: 'text/plain' });
+      const blob = await backend.getBlob(fileRef);
+      expect(await readText(blob)).toBe('Hello');
+      expect(blob.type).toBe('text/plain');
+      await backend.deleteObject(fileRef);
+      await expect(backend.getBlob(fileRef)).rejects.toMatchObject({ code: 'storage/object-not-found' });
+      await expect(backend.deleteObject(fileRef)).rejects.toMatchObject({ code: 'storage/object-not-found' });
+    });
+  });
+
+  describe('sign-in', () => {
+    test('accounts sign in with their password only, and a guest keeps their uid when linked', async () => {
+      const email = `contract-${run}@example.com`;
+      const guest = backend.auth.currentUser;
+      const linked = await backend.linkWithCredential(guest, backend.EmailAuthProvider.credential(email, 'secret-password'));
+      expect(linked.user.uid).toBe(uid);
+
+      const states = [];
+      const unsubscribe = backend.onAuthStateChanged(backend.auth, user => states.push(user ? user.uid : null));
+      await backend.signOut(backend.auth);
+      expect(backend.auth.currentUser).toBe(null);
+      await expect(backend.signInWithEmailAndPassword(backend.auth, email, 'wrong-password'))
+        .rejects.toMatchObject({ code: expect.stringMatching(/^auth\/(invalid-credential|wrong-password)$/) });
+      await backend.signInWithEmailAndPassword(backend.auth, email, 'secret-password');
+      expect(backend.auth.currentUser.uid).toBe(uid);
+      await vi.waitFor(() => expect(states).toContain(uid));
+      expect(states).toContain(null);
+      unsubscribe();
+
+      await expect(backend.createUserWithEmailAndPassword(backend.auth, email, 'secret-password'))
+        .rejects.toMatchObject({ code: 'auth/email-already-in-use' });
+    });
+  });
+};
+
+describe('local backend', () => {
+  runContract(() => createLocalBackend(false));
+});
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('Firebase backend (emulator suite)', () => {
+  runContract(() => createFirebaseBackend({
+    apiKey: 'demo-key',
+    projectId: process.env.GCLOUD_PROJECT || 'demo-collab-docs',
+    storageBucket: 'demo-collab-docs.appspot.com',
+  }, { emulators: true }));
+});
@@ -0,0 +1,307 @@
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, query, where, orderBy, getDoc, getDocs, setDoc, updateDoc, deleteDoc, deleteField, writeBatch } from 'firebase/firestore';
+import { ref, uploadBytes, getBytes } from 'firebase/storage';
+import { generateFirestoreRules, generateStorageRules } from '../accessControl.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const firestoreRules = readFileSync(join(root, 'firestore.rules'), 'utf8');
+const storageRules = readFileSync(join(root, 'storage.rules'), 'utf8');
+
+describe('committed rules', () => {
+  test('are the ones accessControl.js generates', () => {
+    expect(firestoreRules).toBe(generateFirestoreRules());
+    expect(storageRules).toBe(generateStorageRules());
+  });
+});
+
+// Needs the Firestore and Storage emulators: `npm run test:emulators`
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('security rules (emulator suite)', () => {
+  const appId = 'rules-tests';
+  const privatePath = `artifacts/${appId}/users/owner/documents/plan`;
+  const publicPath = `artifacts/${appId}/public/data/documents/notes`;
+  const acl = { editor: 'editor', commenter: 'commenter', viewer: 'viewer' };
+  let testEnv;
+
+  const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+  const filesAs = (uid) => testEnv.authenticatedContext(uid).storage();
+  const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: process.env.GCLOUD_PROJECT || 'demo-collab-docs',
+      firestore: { rules: firestoreRules },
+      storage: process.env.FIREBASE_STORAGE_EMULATOR_HOST ? { rules: storageRules } : undefined,
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(privatePath, { title: 'Plan', authorId: 'owner', acl, openComments: 0, lastUpdated: 1 });
+    await seed(publicPath, { title: 'Notes', authorId: 'author', openComments: 0, lastUpdated: 1 });
+  });
+
+  afterAll(async () => {
+    if (testEnv) await testEnv.cleanup();
+  });
+
+  describe('private documents', () => {
+    test('are created by their owner only, as themselves', async () => {
+      await assertSucceeds(setDoc(doc(as('owner'), `artifacts/${appId}/users/owner/documents/new`), { authorId: 'owner' }));
+      await assertFails(setDoc(doc(as('owner'), `artifacts/${appId}/users/owner/documents/forged`), { authorId: 'other' }));
+      await assertFails(setDoc(doc(as('other'), `artifacts/${appId}/users/owner/documents/new`), { authorId: 'owner' }));
+    });
+
+    test('are readable by everyone on the access list and nobody else', async () => {
+      for (const uid of ['owner', 'editor', 'commenter', 'viewer']) {
+        await assertSucceeds(getDoc(doc(as(uid), privatePath)));
+      }
+      await assertFails(getDoc(doc(as('stranger'), privatePath)));
+    });
+
+    test('are listed by their owner with the dashboard and trash queries', async () => {
+      const documentsRef = collection(as('owner'), `artifacts/${appId}/users/owner/documents`);
+      await seed(`artifacts/${appId}/users/owner/documents/old`, { title: 'Old', authorId: 'owner', acl: {}, lastUpdated: 0, trashedAt: 1, trashedBy: 'owner' });
+      await assertSucceeds(getDocs(query(documentsRef, orderBy('lastUpdated', 'desc'))));
+      await assertSucceeds(getDocs(query(documentsRef, where('trashedBy', '==', 'owner'))));
+      await assertFails(getDocs(query(collection(as('editor'), `artifacts/${appId}/users/owner/documents`), orderBy('lastUpdated', 'desc'))));
+    });
+
+    test('editors change the content but not the access list, owner or trash state', async () => {
+      await assertSucceeds(updateDoc(doc(as('editor'), privatePath), { title: 'New title' }));
+      await assertFails(updateDoc(doc(as('editor'), privatePath), { 'acl.stranger': 'editor' }));
+      await assertFails(updateDoc(doc(as('editor'), privatePath), { authorId: 'editor' }));
+      await assertFails(updateDoc(doc(as('editor'), privatePath), { trashedAt: 2, trashedBy: 'editor' }));
+    });
+
+    test('commenters only keep the open comment count, viewers change nothing', async () => {
+      await assertSucceeds(updateDoc(doc(as('commenter'), privatePath), { openComments: 1 }));
+      await assertFails(updateDoc(doc(as('commenter'), privatePath), { openComments: 50 }));
+      await assertFails(updateDoc(doc(as('commenter'), privatePath), { openComments: 'many' }));
+      await assertFails(updateDoc(doc(as('commenter'), privatePath), { title: 'New title' }));
+      await assertFails(updateDoc(doc(as('viewer'), privatePath), { openComments: 1 }));
+    });
+
+    test('only the owner deletes them', async () => {
+      await assertFails(deleteDoc(doc(as('editor'), privatePath)));
+      await assertSucceeds(deleteDoc(doc(as('owner'), privatePath)));
+    });
+  });
+
+  describe('public documents', () => {
+    test('are created by anyone, as themselves', async () => {
+      const newPath = `artifacts/${appId}/public/data/documents/new`;
+      await assertFails(setDoc(doc(as('visitor'), newPath), { title: 'Forged', authorId: 'author' }));
+      await assertSucceeds(setDoc(doc(as('visitor'), newPath), { title: 'Mine', authorId: 'visitor' }));
+    });
+
+    test('are edited by anyone, but only the author trashes them', async () => {
+      await assertSucceeds(updateDoc(doc(as('visitor'), publicPath), { title: 'Better notes' }));
+      await assertFails(updateDoc(doc(as('visitor'), publicPath), { trashedAt: 2, trashedBy: 'visitor' }));
+      await assertSucceeds(updateDoc(doc(as('author'), publicPath), { trashedAt: 2, trashedBy: 'author' }));
+    });
+
+    test('cannot be taken over or given away', async () => {
+      await assertFails(updateDoc(doc(as('visitor'), publicPath), { authorId: 'visitor' }));
+      await assertFails(setDoc(doc(as('visitor'), publicPath), { title: 'Notes', authorId: 'visitor' }));
+      await assertFails(updateDoc(doc(as('author'), publicPath), { authorId: 'visitor' }));
+      await assertFails(deleteDoc(doc(as('visitor'), publicPath)));
+    });
+  });
+
+  describe('change history', () => {
+    const revision = (authorId) => ({ title: 'Plan', content: 'Old text', authorId, createdAt: 1 });
+
+    test('editors add revisions and operations as themselves, and nobody rewrites them', async () => {
+      const revisionPath = `${privatePath}/revisions/first`;
+      await assertFails(setDoc(doc(as('editor'), revisionPath), revision('owner')));
+      await assertFails(setDoc(doc(as('commenter'), revisionPath), revision('commenter')));
+      await assertSucceeds(setDoc(doc(as('editor'), revisionPath), revision('editor')));
+      await assertFails(updateDoc(doc(as('editor'), revisionPath), { content: 'Rewritten' }));
+      await assertFails(updateDoc(doc(as('owner'), revisionPath), { content: 'Rewritten' }));
+      await assertFails(deleteDoc(doc(as('editor'), revisionPath)));
+      await assertSucceeds(setDoc(doc(as('editor'), `${privatePath}/ops/1`), { version: 1, ops: ['Hi'], authorId: 'editor' }));
+      await assertFails(setDoc(doc(as('editor'), `${privatePath}/ops/1`), { version: 1, ops: ['Bye'], authorId: 'editor' }));
+    });
+
+    test('public history is open to add to, but not to rewrite or clear', async () => {
+      const revisionPath = `${publicPath}/revisions/first`;
+      await assertFails(setDoc(doc(as('visitor'), revisionPath), revision('author')));
+      await assertSucceeds(setDoc(doc(as('visitor'), revisionPath), revision('visitor')));
+      await assertFails(updateDoc(doc(as('stranger'), revisionPath), { content: 'Rewritten' }));
+      await assertFails(deleteDoc(doc(as('visitor'), revisionPath)));
+      await assertSucceeds(deleteDoc(doc(as('author'), revisionPath)));
+    });
+
+    test('editors rewrite the private body, but only the owner deletes it', async () => {
+      const bodyPath = `${privatePath}/content/body`;
+      await assertSucceeds(setDoc(doc(as('editor'), bodyPath), { content: 'Hello', version: 1 }));
+      await assertFails(deleteDoc(doc(as('editor'), bodyPath)));
+      await assertSucceeds(deleteDoc(doc(as('owner'), bodyPath)));
+    });
+
+    test('the public body is rewritten by anyone but cleared by the author', async () => {
+      const bodyPath = `${publicPath}/content/body`;
+      await assertSucceeds(setDoc(doc(as('visitor'), bodyPath), { content: 'Hello', version: 1 }));
+      await assertFails(deleteDoc(doc(as('visitor'), bodyPath)));
+      await assertSucceeds(deleteDoc(doc(as('author'), bodyPath)));
+    });
+  });
+
+  describe('comments and presence', () => {
+    const commentPath = `${privatePath}/comments/first`;
+
+    test('comments are written as their author, and only authors edit their words', async () => {
+      await assertFails(setDoc(doc(as('commenter'), commentPath), { authorId: 'editor', body: 'Forged' }));
+      await assertFails(setDoc(doc(as('viewer'), commentPath), { authorId: 'viewer', body: 'Hi' }));
+      await assertSucceeds(setDoc(doc(as('commenter'), commentPath), { authorId: 'commenter', body: 'Hi', resolved: false }));
+      await assertFails(updateDoc(doc(as('editor'), commentPath), { body: 'Changed' }));
+      await assertSucceeds(updateDoc(doc(as('editor'), commentPath), { resolved: true }));
+      await assertSucceeds(updateDoc(doc(as('commenter'), commentPath), { body: 'Edited' }));
+    });
+
+    test('editors cannot comment in someone else\'s name', async () => {
+      await assertFails(setDoc(doc(as('editor'), commentPath), { authorId: 'owner', body: 'Forged' }));
+      await seed(commentPath, { authorId: 'commenter', body: 'Hi', parentId: null });
+      await assertFails(setDoc(doc(as('editor'), commentPath), { authorId: 'commenter', body: 'Rewritten', parentId: null }));
+      await assertFails(deleteDoc(doc(as('editor'), commentPath)));
+    });
+
+    test('deleting a thread deletes the replies of others with it', async () => {
+      await seed(commentPath, { authorId: 'commenter', body: 'Hi', parentId: null });
+      await seed(`${privatePath}/comments/reply`, { authorId: 'editor', body: 'Hello', parentId: 'first' });
+      await assertFails(deleteDoc(doc(as('viewer'), `${privatePath}/comments/reply`)));
+      await assertSucceeds(deleteDoc(doc(as('commenter'), `${privatePath}/comments/reply`)));
+    });
+
+    test('each session writes only its own presence record', async () => {
+      await assertSucceeds(setDoc(doc(as('viewer'), `${privatePath}/presence/viewer_tab`), { userId: 'viewer' }));
+      await assertFails(setDoc(doc(as('viewer'), `${privatePath}/presence/editor_tab`), { userId: 'editor' }));
+      await assertFails(setDoc(doc(as('editor'), `${privatePath}/presence/viewer_tab`), { userId: 'viewer' }));
+      await assertFails(setDoc(doc(as('editor'), `${privatePath}/presence/editor_tab`), { userId: 'viewer' }));
+    });
+
+    test('public comments are open to everyone, but only as themselves', async () => {
+      const publicComment = `${publicPath}/comments/first`;
+      await assertFails(setDoc(doc(as('visitor'), publicComment), { authorId: 'author', body: 'Forged' }));
+      await assertSucceeds(setDoc(doc(as('visitor'), publicComment), { authorId: 'visitor', body: 'Hi', parentId: null, resolved: false }));
+      await assertFails(updateDoc(doc(as('other'), publicComment), { body: 'Rewritten' }));
+      await assertSucceeds(updateDoc(doc(as('other'), publicComment), { resolved: true }));
+      await assertFails(deleteDoc(doc(as('other'), publicComment)));
+      await assertSucceeds(deleteDoc(doc(as('author'), publicComment)));
+    });
+
+    test('public presence records are written by their own session only', async () => {
+      await assertSucceeds(setDoc(doc(as('visitor'), `${publicPath}/presence/visitor_tab`), { userId: 'visitor' }));
+      await assertFails(setDoc(doc(as('other'), `${publicPath}/presence/visitor_tab`), { userId: 'visitor' }));
+      await assertFails(deleteDoc(doc(as('other'), `${publicPath}/presence/visitor_tab`)));
+    });
+  });
+
+  describe('moving documents', () => {
+    const copyPath = `artifacts/${appId}/users/owner/documents/copy`;
+
+    test('a move in progress fences off new content from everyone but the owner', async () => {
+      await seed(privatePath, { title: 'Plan', authorId: 'owner', acl, openComments: 0, moving: Date.now() });
+      await assertFails(updateDoc(doc(as('editor'), privatePath), { title: 'Late edit' }));
+      await assertFails(setDoc(doc(as('editor'), `${privatePath}/content/body`), { content: 'Late', version: 1 }));
+      await assertFails(setDoc(doc(as('editor'), `${privatePath}/ops/1`), { version: 1, authorId: 'editor' }));
+      await assertFails(setDoc(doc(as('commenter'), `${privatePath}/comments/late`), { authorId: 'commenter', body: 'Late' }));
+      await assertFails(updateDoc(doc(as('commenter'), privatePath), { openComments: 1 }));
+      await assertSucceeds(updateDoc(doc(as('owner'), privatePath), { moving: deleteField() }));
+    });
+
+    test('a fence left by an interrupted move expires', async () => {
+      await seed(privatePath, { title: 'Plan', authorId: 'owner', acl, moving: Date.now() - 11 * 60 * 1000 });
+      await assertSucceeds(updateDoc(doc(as('editor'), privatePath), { title: 'Edited again' }));
+    });
+
+    test('only the owner sets or clears the move flags', async () => {
+      await assertFails(updateDoc(doc(as('editor'), privatePath), { moving: Date.now() }));
+      await assertFails(updateDoc(doc(as('visitor'), publicPath), { moving: Date.now() }));
+      await assertFails(updateDoc(doc(as('visitor'), publicPath), { importing: true }));
+    });
+
+    test('the owner copies in everyone\'s comments and attachments while the copy is importing', async () => {
+      const comment = { authorId: 'commenter', body: 'Hi', parentId: null };
+      const attachment = { name: 'notes.txt', size: 5, contentType: 'text/plain', uploadedBy: 'editor', createdAt: 1 };
+      await seed(copyPath, { title: 'Plan', authorId: 'owner', importing: true });
+      await assertSucceeds(setDoc(doc(as('owner'), `${copyPath}/comments/first`), comment));
+      await assertSucceeds(setDoc(doc(as('owner'), `${copyPath}/attachments/notes`), attachment));
+
+      await seed(copyPath, { title: 'Plan', authorId: 'owner' });
+      await assertFails(setDoc(doc(as('owner'), `${copyPath}/comments/second`), comment));
+      await assertFails(setDoc(doc(as('owner'), `${copyPath}/attachments/other`), attachment));
+    });
+
+    test('a copy and its history can be created in one batch', async () => {
+      const batch = writeBatch(as('owner'));
+      batch.set(doc(as('owner'), copyPath), { title: 'Plan', authorId: 'owner', acl: {}, importing: true });
+      batch.set(doc(as('owner'), `${copyPath}/comments/first`), { authorId: 'commenter', body: 'Hi', parentId: null });
+      batch.set(doc(as('owner'), `${copyPath}/attachments/notes`), { name: 'notes.txt', size: 5, contentType: 'text/plain', uploadedBy: 'editor', createdAt: 1 });
+      await assertSucceeds(batch.commit());
+    });
+
+    test('public copies take comments from their author only', async () => {
+      const publicCopy = `artifacts/${appId}/public/data/documents/copy`;
+      await seed(publicCopy, { title: 'Plan', authorId: 'owner', importing: true });
+      await assertSucceeds(setDoc(doc(as('owner'), `${publicCopy}/comments/first`), { authorId: 'commenter', body: 'Hi' }));
+      await assertFails(setDoc(doc(as('visitor'), `${publicCopy}/comments/second`), { authorId: 'commenter', body: 'Forged' }));
+    });
+  });
+
+  describe('audit log', () => {
+    const event = (actorId, readers) => ({ actorId, appId, documentId: 'plan', readers, action: 'edit', createdAt: 1 });
+
+    test('events are added as oneself for readers who have access, and never changed', async () => {
+      const eventPath = `${privatePath}/activity/first`;
+      await assertFails(setDoc(doc(as('editor'), eventPath), event('owner', ['owner'])));
+      await assertFails(setDoc(doc(as('editor'), eventPath), event('editor', ['stranger'])));
+      await assertSucceeds(setDoc(doc(as('editor'), eventPath), event('editor', ['owner', 'editor'])));
+      await assertFails(updateDoc(doc(as('editor'), eventPath), { action: 'create' }));
+      await assertFails(deleteDoc(doc(as('editor'), eventPath)));
+    });
+
+    test('the owner cannot rewrite the log of their own documents', async () => {
+      const eventPath = `${privatePath}/activity/second`;
+      await seed(eventPath, event('editor', ['owner', 'editor']));
+      await assertFails(updateDoc(doc(as('owner'), eventPath), { action: 'create' }));
+      await assertFails(deleteDoc(doc(as('owner'), eventPath)));
+      await assertSucceeds(setDoc(doc(as('owner'), `artifacts/${appId}/users/owner/folders/work`), { name: 'Work', parentId: null, createdBy: 'owner', createdAt: 1 }));
+    });
+  });
+
+  describe('profiles', () => {
+    const profilePath = (uid) => `artifacts/${appId}/public/data/profiles/${uid}`;
+    const profile = { displayName: 'Ada', avatarUrl: '', bio: '', updatedAt: 1 };
+
+    test('each user writes only their own, within the limits', async () => {
+      await assertSucceeds(setDoc(doc(as('ada'), profilePath('ada')), profile));
+      await assertFails(setDoc(doc(as('ada'), profilePath('grace')), profile));
+      await assertFails(setDoc(doc(as('ada'), profilePath('ada')), { ...profile, displayName: 'x'.repeat(51) }));
+      await assertFails(setDoc(doc(as('ada'), profilePath('ada')), { ...profile, avatarUrl: 'http://insecure.example' }));
+      await assertFails(setDoc(doc(as('ada'), profilePath('ada')), { ...profile, admin: true }));
+    });
+  });
+
+  describe.skipIf(!process.env.FIREBASE_STORAGE_EMULATOR_HOST)('attachment files', () => {
+    const filePath = `${privatePath}/attachments/notes`;
+    const text = (size = 5) => new Uint8Array(size).fill(65);
+
+    test('editors upload allowed types up to the size limit', async () => {
+      await assertSucceeds(uploadBytes(ref(filesAs('editor'), filePath), text(), { contentType: 'text/plain' }));
+      await assertFails(uploadBytes(ref(filesAs('editor'), `${filePath}-script`), text(), { contentType: 'text/html' }));
+      await assertFails(uploadBytes(ref(filesAs('editor'), `${filePath}-large`), text(10 * 1024 * 1024 + 1), { contentType: 'text/plain' }));
+      await assertFails(uploadBytes(ref(filesAs('viewer'), `${filePath}-viewer`), text(), { contentType: 'text/plain' }));
+    });
+
+    test('files are readable by everyone with access only', async () => {
+      await testEnv.withSecurityRulesDisabled(context => uploadBytes(ref(context.storage(), filePath), text(), { contentType: 'text/plain' }));
+      await assertSucceeds(getBytes(ref(filesAs('viewer'), filePath)));
+      await assertFails(getBytes(ref(filesAs('stranger'), filePath)));
+    });
+  });
+});